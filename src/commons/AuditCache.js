@@ -0,0 +1,147 @@
+/**
+ * Persistent analysis cache.
+ * Analysis results are stored on disk (one JSON file per entry) under a key hashing the analyzed
+ * source, the analysis options and the tool version, so that unchanged files are not analyzed again
+ * on later runs, and any change of content, options or version misses the cache.
+ *
+ * @module AuditCache
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { threadId } from 'worker_threads';
+
+import AppLogger from './AppLogger.js';
+import { generateHash, toolInfo } from './AuditUtils.js';
+
+/**
+ * Default cache options.
+ * @const {Object} auditCacheDefaultOptions
+ * @property {boolean} enabled - Whether the analysis results are cached.
+ * @property {string} dir - Cache directory (relative to the working directory).
+ */
+export const auditCacheDefaultOptions = {
+    enabled: true,
+    dir: '.code-health-cache',
+};
+
+/**
+ * Hit and miss counters of a cache.
+ * @typedef {Object} AuditCacheStats
+ * @property {number} hits - Entries read from the cache.
+ * @property {number} misses - Entries missing (or unreadable) in the cache.
+ * @property {number} writes - Entries written to the cache.
+ */
+
+/**
+ * An analysis cache.
+ * @typedef {Object} AuditCache
+ * @property {string} cacheDir - Absolute path of the cache directory.
+ * @property {AuditCacheStats} stats - Hit and miss counters.
+ * @property {(namespace: string, source: string, options: Object) => string} buildKey - Builds the key of an analysis.
+ * @property {(namespace: string, key: string) => Object|null} read - Reads an entry (`null` on miss).
+ * @property {(namespace: string, key: string, value: Object) => boolean} write - Writes an entry.
+ */
+
+/**
+ * Builds the path of a cache entry.
+ * @param {string} cacheDir - The cache directory.
+ * @param {string} namespace - The analysis kind (e.g. `complexity`).
+ * @param {string} key - The entry key.
+ * @returns {string}
+ */
+const getCacheEntryFile = (cacheDir, namespace, key) =>
+    path.join(cacheDir, namespace, key.slice(0, 2), `${key}.json`);
+
+/**
+ * Creates an analysis cache stored in a directory.
+ *
+ * @param {string} [dir=auditCacheDefaultOptions.dir] - The cache directory.
+ * @returns {AuditCache}
+ *
+ * @example
+ * const cache = createAuditCache('.code-health-cache');
+ * const key = cache.buildKey('complexity', source, options);
+ * const report = cache.read('complexity', key) || analyze(source);
+ */
+export const createAuditCache = (dir = auditCacheDefaultOptions.dir) => {
+    const cacheDir = path.resolve(dir);
+    const stats = { hits: 0, misses: 0, writes: 0 };
+
+    return {
+        cacheDir,
+        stats,
+        buildKey: (namespace, source, options) =>
+            // a new version of the tool may analyze differently
+            generateHash({ namespace, source, options, version: toolInfo.version }),
+        read: (namespace, key) => {
+            const entryFile = getCacheEntryFile(cacheDir, namespace, key);
+            try {
+                if (fs.existsSync(entryFile)) {
+                    const value = fs.readJsonSync(entryFile);
+                    stats.hits += 1;
+                    return value;
+                }
+            } catch (error) {
+                AppLogger.info(`[AuditCache - read] ${entryFile} error:  ${error.message}`);
+            }
+            stats.misses += 1;
+            return null;
+        },
+        write: (namespace, key, value) => {
+            const entryFile = getCacheEntryFile(cacheDir, namespace, key);
+            try {
+                fs.mkdirSync(path.dirname(entryFile), { recursive: true });
+                // write then rename, so that a concurrent reader never gets a partial entry
+                const temporaryFile = `${entryFile}.${process.pid}-${threadId}.tmp`;
+                fs.writeFileSync(temporaryFile, JSON.stringify(value));
+                fs.renameSync(temporaryFile, entryFile);
+                stats.writes += 1;
+                return true;
+            } catch (error) {
+                AppLogger.info(`[AuditCache - write] ${entryFile} error:  ${error.message}`);
+                return false;
+            }
+        },
+    };
+};
+
+/**
+ * Reads the size of a cache directory.
+ * @param {string} [dir=auditCacheDefaultOptions.dir] - The cache directory.
+ * @returns {{cacheDir: string, entries: number, bytes: number}}
+ */
+export const readAuditCacheSize = (dir = auditCacheDefaultOptions.dir) => {
+    const cacheDir = path.resolve(dir);
+    const directories = [cacheDir];
+    const size = { cacheDir, entries: 0, bytes: 0 };
+
+    while (directories.length && fs.existsSync(cacheDir)) {
+        const directory = directories.shift();
+        fs.readdirSync(directory, { withFileTypes: true }).forEach((entry) => {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                directories.push(entryPath);
+            } else if (entry.name.endsWith('.json')) {
+                size.entries += 1;
+                size.bytes += fs.statSync(entryPath).size;
+            }
+        });
+    }
+
+    return size;
+};
+
+/**
+ * Invalidates a cache: removes its directory.
+ * @param {string} [dir=auditCacheDefaultOptions.dir] - The cache directory.
+ * @returns {boolean} `true` if the cache was removed (or did not exist), `false` on error.
+ */
+export const clearAuditCache = (dir = auditCacheDefaultOptions.dir) => {
+    try {
+        fs.removeSync(path.resolve(dir));
+        return true;
+    } catch (error) {
+        AppLogger.info(`[AuditCache - clearAuditCache] error:  ${error.message}`);
+        return false;
+    }
+};
@@ -0,0 +1,118 @@
+/**
+ * Changed files detection (local git), used to restrict the audits of a pull request
+ * to the files changed since a git ref.
+ *
+ * @module AuditChanges
+ */
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+
+import AppLogger from './AppLogger.js';
+
+/**
+ * Runs a git command and returns its NUL separated output entries.
+ * @param {string} cwd - The working directory.
+ * @param {string[]} gitArgs - The git arguments.
+ * @returns {string[]} - The output entries.
+ */
+const readGitEntries = (cwd, gitArgs) =>
+    execFileSync('git', gitArgs, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] })
+        .split('\0')
+        .filter((entry) => entry.length);
+
+/**
+ * Checks that a git ref names a commit.
+ * @param {string} cwd - The working directory.
+ * @param {string} ref - The git ref.
+ * @returns {boolean}
+ */
+const isGitCommit = (cwd, ref) => {
+    try {
+        readGitEntries(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Finds the top-level directory of the git work tree of a directory.
+ * @param {string} srcDir - A directory.
+ * @returns {string|null} - Absolute (real) path of the work tree, null when `srcDir` is not in a git work tree.
+ *
+ * @example
+ * const repositoryDir = findRepositoryDir('./src') || path.resolve('./src');
+ */
+export const findRepositoryDir = (srcDir) => {
+    try {
+        const [repositoryDir] = readGitEntries(path.resolve(srcDir || '.'), [
+            'rev-parse',
+            '--show-toplevel',
+        ]).map((entry) => entry.trim());
+        return repositoryDir || null;
+    } catch (error) {
+        const message = error.stderr?.toString().trim() || error.message;
+        AppLogger.info(`[AuditChanges - findRepositoryDir] error:  ${message}`);
+        return null;
+    }
+};
+
+/**
+ * Lists the files of a directory changed since a git ref: files modified, added or renamed
+ * between the ref and the working tree (committed, staged or not), plus untracked files
+ * that are not ignored.
+ *
+ * @param {string} srcDir - The audited directory (inside a git work tree).
+ * @param {string} since - The git ref (branch, tag, commit, e.g. `origin/main`).
+ * @returns {{files: string[], error: string|null}} - Absolute paths of the changed files under `srcDir`
+ * (sorted), or the error when `srcDir` is not in a git work tree or the ref is unknown.
+ *
+ * @example
+ * const { files, error } = findChangedFiles('./src', 'origin/main');
+ */
+export const findChangedFiles = (srcDir, since) => {
+    try {
+        const rootDir = path.resolve(srcDir || '.');
+        const [repositoryDir] = readGitEntries(rootDir, ['rev-parse', '--show-toplevel']).map(
+            (entry) => entry.trim(),
+        );
+
+        if (!isGitCommit(rootDir, since)) {
+            return { files: [], error: `unknown git ref "${since}"` };
+        }
+
+        const changedEntries = [
+            ...readGitEntries(repositoryDir, [
+                'diff',
+                '--name-only',
+                '-z',
+                '--diff-filter=ACMR',
+                since,
+                '--',
+            ]),
+            ...readGitEntries(repositoryDir, ['ls-files', '--others', '--exclude-standard', '-z']),
+        ];
+
+        // git paths are relative to the real path of the repository (srcDir may go through a symlink)
+        const realRootDir = fs.realpathSync(rootDir);
+        const files = [
+            ...new Set(
+                changedEntries
+                    .map((entry) => path.relative(realRootDir, path.join(repositoryDir, entry)))
+                    .filter((file) => file.length && !file.startsWith('..'))
+                    .map((file) => path.join(rootDir, file)),
+            ),
+        ].sort();
+
+        AppLogger.info(
+            `[AuditChanges - findChangedFiles] since:  ${since}, files:  ${files.length}`,
+        );
+
+        return { files, error: null };
+    } catch (error) {
+        const message = error.stderr?.toString().trim() || error.message;
+        AppLogger.info(`[AuditChanges - findChangedFiles] error:  ${message}`);
+        return { files: [], error: message };
+    }
+};
@@ -0,0 +1,393 @@
+/**
+ * Project configuration file support.
+ * The configuration file (`.codehealthrc`, `.codehealthrc.json`, `code-health.config.js`
+ * or `code-health.config.mjs`) is looked up from the audited directory up to the filesystem root,
+ * validated against {@link auditConfigSchema}, then merged over the default options.
+ *
+ * @module AuditConfig
+ */
+import Ajv from 'ajv';
+import { cruise } from 'dependency-cruiser';
+import fs from 'fs-extra';
+import lodash from 'lodash';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import AppLogger from './AppLogger.js';
+import { auditCacheDefaultOptions } from './AuditCache.js';
+import { auditFilesDefaultOptions } from './AuditFiles.js';
+import {
+    architectureRuleSeverities,
+    architectureRulesDefaultOptions,
+    buildArchitectureRuleSet,
+    codeDuplicationDefaultOptions,
+    complexityAuditStatsDefaultLimits,
+    complexityInspectDefaultOptions,
+    louvainDefaultOptions,
+    madgeDefaultOptions,
+    modularityCentralityIds,
+    modularityGranularities,
+} from './AuditUtils.js';
+
+/**
+ * Configuration file names, by lookup priority in a directory.
+ * @type {string[]}
+ */
+export const auditConfigFileNames = [
+    '.codehealthrc',
+    '.codehealthrc.json',
+    'code-health.config.js',
+    'code-health.config.mjs',
+];
+
+const stringArraySchema = {
+    type: 'array',
+    items: { type: 'string' },
+};
+
+const positiveNumberSchema = {
+    type: 'number',
+    minimum: 0,
+};
+
+/**
+ * Architecture rule: its conditions (dependency-cruiser rule syntax) are validated by
+ * dependency-cruiser itself (see `validateArchitectureRules`).
+ * @type {Object}
+ */
+const ruleSchema = {
+    type: 'object',
+    required: ['from', 'to'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        severity: { enum: architectureRuleSeverities },
+        comment: { type: 'string' },
+        from: { type: 'object' },
+        to: { type: 'object' },
+    },
+};
+
+/**
+ * JSON Schema of the configuration file.
+ * @type {Object}
+ */
+export const auditConfigSchema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        files: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                include: stringArraySchema,
+                exclude: stringArraySchema,
+                ignoreFiles: stringArraySchema,
+            },
+        },
+        complexity: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                inspect: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        noempty: { type: 'boolean' },
+                        quiet: { type: 'boolean' },
+                    },
+                },
+                limits: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        maintainability: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                moderate: positiveNumberSchema,
+                                good: positiveNumberSchema,
+                            },
+                        },
+                        cyclomatic: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                moderate: positiveNumberSchema,
+                                bad: positiveNumberSchema,
+                                veryBad: positiveNumberSchema,
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        duplication: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                mode: { enum: ['strict', 'mild', 'weak'] },
+                threshold: positiveNumberSchema,
+                format: stringArraySchema,
+            },
+        },
+        modularity: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                madge: {
+                    type: 'object',
+                    properties: {
+                        fileExtensions: stringArraySchema,
+                    },
+                },
+                louvain: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        resolution: { type: 'number', exclusiveMinimum: 0 },
+                    },
+                },
+                centralities: {
+                    type: 'array',
+                    uniqueItems: true,
+                    items: { enum: modularityCentralityIds },
+                },
+                granularity: { enum: modularityGranularities },
+                rules: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        forbidden: { type: 'array', items: ruleSchema },
+                        allowed: { type: 'array', items: ruleSchema },
+                        allowedSeverity: { enum: architectureRuleSeverities },
+                    },
+                },
+            },
+        },
+        cache: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                enabled: { type: 'boolean' },
+                dir: { type: 'string', minLength: 1 },
+            },
+        },
+        gate: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                enabled: { type: 'boolean' },
+                allowSkipped: { type: 'boolean' },
+                minMaintainability: positiveNumberSchema,
+                maxCyclomatic: positiveNumberSchema,
+                maxDuplication: positiveNumberSchema,
+                maxCircular: positiveNumberSchema,
+                minModularity: { type: 'number' },
+                maxRuleViolations: positiveNumberSchema,
+            },
+        },
+    },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateAuditConfigSchema = ajv.compile(auditConfigSchema);
+
+/**
+ * Formats an Ajv validation error as a readable message.
+ * @param {Object} error - Ajv error object.
+ * @param {string} [rootName='configuration'] - Name of the validated document (errors at its root).
+ * @returns {string} - e.g. `modularity.louvain.resolution must be > 0`.
+ */
+export const formatValidationError = (error, rootName = 'configuration') => {
+    const property = error.instancePath.split('/').filter(Boolean).join('.') || rootName;
+
+    if (error.keyword === 'additionalProperties') {
+        return `${property} has an unknown property "${error.params.additionalProperty}"`;
+    }
+
+    if (error.keyword === 'enum') {
+        return `${property} must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+
+    return `${property} ${error.message}`;
+};
+
+/**
+ * Validates a configuration object against {@link auditConfigSchema}, then checks the ordering of its complexity limits.
+ * @param {Object} config - The configuration to validate.
+ * @returns {string[]} - The validation error messages (empty when the configuration is valid).
+ */
+export const validateAuditConfig = (config) => {
+    if (validateAuditConfigSchema(config)) {
+        return validateComplexityLimits(config);
+    }
+    return validateAuditConfigSchema.errors.map((error) => formatValidationError(error));
+};
+
+/**
+ * Checks that the complexity limits (merged over the defaults) are ordered,
+ * so that the maintainability and cyclomatic buckets neither overlap nor stay empty.
+ * @param {Object} config - The (schema-valid) configuration to check.
+ * @returns {string[]} - The ordering error messages (empty when the limits are ordered).
+ */
+const validateComplexityLimits = (config) => {
+    const { maintainability, cyclomatic } = lodash.merge(
+        lodash.cloneDeep(complexityAuditStatsDefaultLimits),
+        config?.complexity?.limits,
+    );
+    const errors = [];
+
+    if (maintainability.moderate > maintainability.good) {
+        errors.push(
+            `complexity.limits.maintainability.moderate (${maintainability.moderate}) must be <= complexity.limits.maintainability.good (${maintainability.good})`,
+        );
+    }
+
+    if (cyclomatic.moderate > cyclomatic.bad) {
+        errors.push(
+            `complexity.limits.cyclomatic.moderate (${cyclomatic.moderate}) must be <= complexity.limits.cyclomatic.bad (${cyclomatic.bad})`,
+        );
+    }
+
+    if (cyclomatic.bad > cyclomatic.veryBad) {
+        errors.push(
+            `complexity.limits.cyclomatic.bad (${cyclomatic.bad}) must be <= complexity.limits.cyclomatic.veryBad (${cyclomatic.veryBad})`,
+        );
+    }
+
+    return errors;
+};
+
+/**
+ * Validates the architecture rules (`modularity.rules`) with dependency-cruiser: unknown
+ * conditions, invalid values and unsafe regular expressions are rejected, without analyzing any file.
+ *
+ * @async
+ * @param {Object} config - The (schema-valid) configuration to check.
+ * @returns {Promise<string[]>} - The validation error messages (empty when the rules are valid).
+ */
+export const validateArchitectureRules = async (config) => {
+    const rules = config?.modularity?.rules;
+
+    if (!rules?.forbidden?.length && !rules?.allowed?.length) {
+        return [];
+    }
+
+    try {
+        await cruise([], { validate: true, ruleSet: buildArchitectureRuleSet(rules) });
+        return [];
+    } catch (error) {
+        return [`modularity.rules ${error.message.trim()}`];
+    }
+};
+
+/**
+ * Finds the closest configuration file, walking up from the audited directory.
+ * @param {string} srcDir - The audited directory.
+ * @returns {string|null} - The configuration file path, or null if none is found.
+ */
+export const findAuditConfigFile = (srcDir) => {
+    let directory = path.resolve(srcDir || '.');
+
+    while (directory) {
+        const configFile = auditConfigFileNames
+            .map((fileName) => path.join(directory, fileName))
+            .find((file) => fs.existsSync(file) && fs.statSync(file).isFile());
+
+        if (configFile) {
+            return configFile;
+        }
+
+        const parentDirectory = path.dirname(directory);
+        directory = parentDirectory !== directory ? parentDirectory : null;
+    }
+
+    return null;
+};
+
+/**
+ * Reads a configuration file (JSON, or ES module with a default export).
+ * @param {string} configFile - The configuration file path.
+ * @returns {Promise<Object>} - The raw configuration.
+ */
+const readAuditConfigFile = async (configFile) => {
+    if (/\.(m?js)$/.test(configFile)) {
+        const configModule = await import(pathToFileURL(path.resolve(configFile)).href);
+        return configModule.default;
+    }
+    return fs.readJsonSync(configFile);
+};
+
+/**
+ * Merges a (validated) configuration over the default options.
+ * Objects are merged recursively, arrays replace the defaults.
+ * @param {Object} [config={}] - The configuration to merge.
+ * @returns {Object} - The resolved configuration (`files`, `complexity`, `duplication`, `modularity`, `cache`, `gate`).
+ */
+export const resolveAuditConfig = (config = {}) => {
+    const replaceArrays = (defaultValue, value) => (Array.isArray(value) ? value : undefined);
+
+    return lodash.mergeWith(
+        lodash.cloneDeep({
+            files: auditFilesDefaultOptions,
+            complexity: {
+                inspect: complexityInspectDefaultOptions,
+                limits: complexityAuditStatsDefaultLimits,
+            },
+            duplication: codeDuplicationDefaultOptions,
+            modularity: {
+                madge: madgeDefaultOptions,
+                louvain: louvainDefaultOptions,
+                centralities: modularityCentralityIds,
+                granularity: 'file',
+                rules: architectureRulesDefaultOptions,
+            },
+            cache: auditCacheDefaultOptions,
+            gate: {},
+        }),
+        config,
+        replaceArrays,
+    );
+};
+
+/**
+ * Loads the project configuration.
+ *
+ * @async
+ * @param {string} srcDir - The audited directory (configuration lookup start).
+ * @param {string} [configFile] - Explicit configuration file (skips the lookup).
+ * @returns {Promise<{config: Object, configFile: string|null, errors: string[]}>}
+ * The resolved configuration, the file it was read from, and the validation errors (prefixed with the file name).
+ *
+ * @example
+ * const { config, errors } = await loadAuditConfig('./src');
+ * if (errors.length) errors.forEach((message) => AppLogger.error(message));
+ */
+export const loadAuditConfig = async (srcDir, configFile) => {
+    const auditConfigFile = configFile || findAuditConfigFile(srcDir);
+    AppLogger.info(`[AuditConfig - loadAuditConfig] configFile:  ${auditConfigFile}`);
+
+    if (!auditConfigFile) {
+        return { config: resolveAuditConfig(), configFile: null, errors: [] };
+    }
+
+    try {
+        const rawConfig = await readAuditConfigFile(auditConfigFile);
+        const schemaErrors = validateAuditConfig(rawConfig);
+        const errors = schemaErrors.length
+            ? schemaErrors
+            : await validateArchitectureRules(rawConfig);
+
+        return {
+            config: errors.length ? resolveAuditConfig() : resolveAuditConfig(rawConfig),
+            configFile: auditConfigFile,
+            errors: errors.map((message) => `${auditConfigFile}: ${message}`),
+        };
+    } catch (error) {
+        return {
+            config: resolveAuditConfig(),
+            configFile: auditConfigFile,
+            errors: [`${auditConfigFile}: ${error.message}`],
+        };
+    }
+};
@@ -0,0 +1,353 @@
+/**
+ * Audited files discovery.
+ * A single include/exclude model, using gitignore-style patterns matched against paths
+ * relative to the audited directory, decides which files are analyzed by the complexity,
+ * duplication and modularity audits. The ignore files (`.gitignore`, `.codehealthignore`)
+ * found along the way are honored too.
+ *
+ * @module AuditFiles
+ */
+import fs from 'fs-extra';
+import ignore from 'ignore';
+import path from 'path';
+
+import AppLogger from './AppLogger.js';
+
+/**
+ * Default include/exclude patterns (gitignore syntax: a pattern without slash matches at any depth,
+ * a trailing slash only matches directories, `!` negates a previous pattern).
+ * @const {Object} auditFilesDefaultOptions
+ * @property {string[]} include - A file is audited only if it matches one of these patterns.
+ * @property {string[]} exclude - A file (or a whole directory) matching one of these patterns is skipped.
+ * @property {string[]} ignoreFiles - Ignore files honored in every directory (gitignore syntax).
+ */
+export const auditFilesDefaultOptions = {
+    include: ['*.js', '*.jsx', '*.ts', '*.tsx'],
+    exclude: [
+        '.*/',
+        'node_modules/',
+        'bower_components/',
+        'dist/',
+        'build/',
+        'target/',
+        'coverage/',
+        'public/',
+        '__mocks__/',
+        '_mock_/',
+        'mocks/',
+        '__tests__/',
+        '__test__/',
+        'cypress/',
+        '*.test.*',
+        '*.spec.*',
+        '*.mock.*',
+        '*.stories.*',
+        '*.d.ts',
+        '*.min.js',
+        '*.config.*',
+        '.eslintrc.*',
+        'jest.*',
+        'babel.*',
+        'webpack.*',
+    ],
+    ignoreFiles: ['.gitignore', '.codehealthignore'],
+};
+
+/**
+ * A file or directory skipped during discovery.
+ * @typedef {Object} AuditFileExclusion
+ * @property {string} file - Path relative to the audited directory (directories end with `/`).
+ * @property {{source: string, pattern: string|null, ignoreFile?: string}} rule - The rule that skipped it
+ * (`source`: `exclude`, `ignore-file`, `include` when no include pattern matched, `symlink`,
+ * or `since` when the file did not change since the git ref `pattern`).
+ */
+
+/**
+ * Result of the audited files discovery.
+ * @typedef {Object} AuditFileSet
+ * @property {string} rootDir - Absolute path of the audited directory.
+ * @property {string} basePath - `rootDir` with a trailing separator (prefix of every file).
+ * @property {string[]} files - Absolute paths of the audited files, sorted.
+ * @property {AuditFileExclusion[]} excluded - Skipped files and directories, sorted.
+ * @property {string} [since] - Git ref the files were restricted to the changes of (see {@link restrictAuditFiles}).
+ */
+
+/**
+ * Converts a path to posix separators.
+ * @param {string} filePath - The path to convert.
+ * @returns {string} - The posix path.
+ */
+const toPosixPath = (filePath) => filePath.split(path.sep).join('/');
+
+/**
+ * Compiles gitignore-style patterns into ordered rules.
+ * @param {string[]} patterns - The patterns.
+ * @param {string} source - The rule source (`include`, `exclude` or `ignore-file`).
+ * @returns {Array<Object>} - The compiled rules.
+ */
+const compileRules = (patterns, source) =>
+    (patterns || []).map((pattern) => {
+        const negated = pattern.startsWith('!');
+        return {
+            source,
+            pattern,
+            negated,
+            matcher: ignore().add(negated ? pattern.slice(1) : pattern),
+        };
+    });
+
+/**
+ * Finds the rule deciding a path: as in gitignore, the last matching pattern wins.
+ * @param {Array<Object>} rules - The compiled rules.
+ * @param {string} relativePath - Posix path relative to the rules directory (directories end with `/`).
+ * @param {Object|null} [previousMatch=null] - The match of the previous rules (e.g. of an outer ignore file).
+ * @returns {Object|null} - The matching (non negated) rule, or null.
+ */
+const findMatchingRule = (rules, relativePath, previousMatch = null) =>
+    rules.reduce((match, rule) => {
+        if (!rule.matcher.ignores(relativePath)) {
+            return match;
+        }
+        return rule.negated ? null : rule;
+    }, previousMatch);
+
+/**
+ * Reads the ignore files (e.g. `.gitignore`, `.codehealthignore`) of a directory.
+ * Each ignore file is a scope: its patterns are matched against paths relative to its directory.
+ * @param {string} directory - Absolute path of the directory.
+ * @param {string[]} ignoreFiles - Ignore file names.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {Array<{directory: string, ignoreFile: string, rules: Array<Object>}>} - The ignore scopes.
+ */
+const readIgnoreScopes = (directory, ignoreFiles, rootDir) =>
+    (ignoreFiles || [])
+        .map((fileName) => path.join(directory, fileName))
+        .filter((file) => fs.existsSync(file) && fs.statSync(file).isFile())
+        .map((file) => {
+            const ignoreFile = toPosixPath(path.relative(rootDir, file));
+            const patterns = fs
+                .readFileSync(file, 'utf-8')
+                .split(/\r?\n/)
+                .map((line) => line.replace(/\s+$/, ''))
+                .filter((line) => line.length && !line.startsWith('#'));
+
+            return {
+                directory,
+                ignoreFile,
+                rules: compileRules(patterns, 'ignore-file').map((rule) => ({
+                    ...rule,
+                    ignoreFile,
+                })),
+            };
+        });
+
+/**
+ * Reads the ignore files of the directories between the repository root (the closest
+ * ancestor holding a `.git` entry) and the audited directory, as they also apply to it.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @param {string[]} ignoreFiles - Ignore file names.
+ * @returns {Array<Object>} - The ignore scopes, from the repository root down (empty outside a repository).
+ */
+const readAncestorIgnoreScopes = (rootDir, ignoreFiles) => {
+    const ancestors = [];
+    let directory = rootDir;
+
+    while (!fs.existsSync(path.join(directory, '.git'))) {
+        const parentDirectory = path.dirname(directory);
+        if (parentDirectory === directory) {
+            return [];
+        }
+        directory = parentDirectory;
+        ancestors.unshift(directory);
+    }
+
+    return ancestors.flatMap((ancestor) => readIgnoreScopes(ancestor, ignoreFiles, rootDir));
+};
+
+/**
+ * Finds the ignore file rule deciding a path. Scopes are evaluated from the outermost to the
+ * innermost ignore file, so, as in git, a deeper ignore file overrides the outer ones.
+ * @param {Array<Object>} scopes - The ignore scopes.
+ * @param {string} relativePath - Posix path relative to the audited directory (directories end with `/`).
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {Object|null} - The matching rule (with its `ignoreFile`), or null.
+ */
+const findIgnoreFileRule = (scopes, relativePath, rootDir) =>
+    scopes.reduce((match, { directory, rules }) => {
+        const scopePath = toPosixPath(path.relative(directory, path.join(rootDir, relativePath)));
+        return findMatchingRule(
+            rules,
+            relativePath.endsWith('/') ? `${scopePath}/` : scopePath,
+            match,
+        );
+    }, null);
+
+/**
+ * Classifies a directory entry.
+ * @param {fs.Dirent} entry - The directory entry.
+ * @param {string} relativePath - Posix path of the entry relative to the audited directory.
+ * @param {Object} rules - The compiled `includeRules` and `excludeRules`, the ignore `scopes` and the `rootDir`.
+ * @returns {{type: ('directory'|'file'|'excluded'), file: string, rule?: Object}}
+ */
+const classifyEntry = (entry, relativePath, { includeRules, excludeRules, scopes, rootDir }) => {
+    if (entry.isSymbolicLink()) {
+        return { type: 'excluded', file: relativePath, rule: { source: 'symlink', pattern: null } };
+    }
+
+    const entryPath = entry.isDirectory() ? `${relativePath}/` : relativePath;
+    const excludeRule =
+        findMatchingRule(excludeRules, entryPath) || findIgnoreFileRule(scopes, entryPath, rootDir);
+
+    if (excludeRule) {
+        return { type: 'excluded', file: entryPath, rule: excludeRule };
+    }
+
+    if (entry.isDirectory()) {
+        return { type: 'directory', file: relativePath };
+    }
+
+    if (!findMatchingRule(includeRules, relativePath)) {
+        return { type: 'excluded', file: relativePath, rule: { source: 'include', pattern: null } };
+    }
+
+    return { type: 'file', file: relativePath };
+};
+
+/**
+ * Discovers the audited files of a directory.
+ * Besides the `include` and `exclude` patterns, the ignore files found in every directory
+ * (and in its ancestors up to the repository root) are honored.
+ *
+ * @param {string} srcDir - The audited directory.
+ * @param {Object} [options=auditFilesDefaultOptions] - The `include` and `exclude` patterns, and the `ignoreFiles` names.
+ * @returns {AuditFileSet} - The audited files and the skipped ones (empty on error).
+ *
+ * @example
+ * const { files, excluded } = discoverAuditFiles('./src', { include: ['*.ts'], exclude: ['generated/'] });
+ */
+export const discoverAuditFiles = (srcDir, options = auditFilesDefaultOptions) => {
+    const rootDir = path.resolve(srcDir || '.');
+    const auditFileSet = {
+        rootDir,
+        basePath: `${rootDir}${path.sep}`,
+        files: [],
+        excluded: [],
+    };
+
+    try {
+        const includeRules = compileRules(
+            options?.include ?? auditFilesDefaultOptions.include,
+            'include',
+        );
+        const excludeRules = compileRules(
+            options?.exclude ?? auditFilesDefaultOptions.exclude,
+            'exclude',
+        );
+        const ignoreFiles = options?.ignoreFiles ?? auditFilesDefaultOptions.ignoreFiles;
+
+        const directories = [
+            { directory: '', scopes: readAncestorIgnoreScopes(rootDir, ignoreFiles) },
+        ];
+
+        while (directories.length) {
+            const { directory, scopes: parentScopes } = directories.shift();
+            const absoluteDirectory = path.join(rootDir, directory);
+            const scopes = [
+                ...parentScopes,
+                ...readIgnoreScopes(absoluteDirectory, ignoreFiles, rootDir),
+            ];
+
+            fs.readdirSync(absoluteDirectory, { withFileTypes: true })
+                .sort((a, b) => (a.name > b.name ? 1 : -1))
+                .map((entry) =>
+                    classifyEntry(entry, directory ? `${directory}/${entry.name}` : entry.name, {
+                        includeRules,
+                        excludeRules,
+                        scopes,
+                        rootDir,
+                    }),
+                )
+                .forEach(({ type, file, rule }) => {
+                    if (type === 'directory') {
+                        directories.push({ directory: file, scopes });
+                    } else if (type === 'file') {
+                        auditFileSet.files.push(path.join(rootDir, file));
+                    } else {
+                        auditFileSet.excluded.push({
+                            file,
+                            rule: {
+                                source: rule.source,
+                                pattern: rule.pattern,
+                                ...(rule.ignoreFile ? { ignoreFile: rule.ignoreFile } : {}),
+                            },
+                        });
+                    }
+                });
+        }
+
+        auditFileSet.files.sort();
+        auditFileSet.excluded.sort((a, b) => (a.file > b.file ? 1 : -1));
+
+        AppLogger.info(
+            `[AuditFiles - discoverAuditFiles] files:  ${auditFileSet.files.length}, excluded:  ${auditFileSet.excluded.length}`,
+        );
+
+        return auditFileSet;
+    } catch (error) {
+        AppLogger.info(`[AuditFiles - discoverAuditFiles] error:  ${error.message}`);
+        return auditFileSet;
+    }
+};
+
+/**
+ * Restricts an audited file set to the files changed since a git ref:
+ * the unchanged files are moved to the skipped files.
+ *
+ * @param {AuditFileSet} auditFiles - The audited files.
+ * @param {string[]} changedFiles - Absolute paths of the changed files (see `findChangedFiles`).
+ * @param {string} since - The git ref.
+ * @returns {AuditFileSet} - The changed audited files.
+ */
+export const restrictAuditFiles = (auditFiles, changedFiles, since) => {
+    const changed = new Set(changedFiles);
+    const unchangedFiles = auditFiles.files
+        .filter((file) => !changed.has(file))
+        .map((file) => ({
+            file: toPosixPath(path.relative(auditFiles.rootDir, file)),
+            rule: { source: 'since', pattern: since },
+        }));
+
+    return {
+        ...auditFiles,
+        files: auditFiles.files.filter((file) => changed.has(file)),
+        excluded: [...auditFiles.excluded, ...unchangedFiles].sort((a, b) =>
+            a.file > b.file ? 1 : -1,
+        ),
+        since,
+    };
+};
+
+/**
+ * Formats a skipped file with the rule that skipped it.
+ * @param {AuditFileExclusion} exclusion - The skipped file.
+ * @returns {string} - e.g. `src/Button.test.tsx (excluded by "*.test.*")`.
+ */
+export const formatAuditFileExclusion = ({ file, rule }) => {
+    if (rule?.source === 'exclude') {
+        return `${file} (excluded by "${rule.pattern}")`;
+    }
+
+    if (rule?.source === 'ignore-file') {
+        return `${file} (ignored by "${rule.pattern}" in ${rule.ignoreFile})`;
+    }
+
+    if (rule?.source === 'since') {
+        return `${file} (not changed since ${rule.pattern})`;
+    }
+
+    if (rule?.source === 'symlink') {
+        return `${file} (symbolic link)`;
+    }
+
+    return `${file} (not matched by any include pattern)`;
+};
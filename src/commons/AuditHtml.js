@@ -0,0 +1,189 @@
+/**
+ * Self-contained HTML reports (`--html-single-file`): the scripts, style sheets and images a
+ * report loads are inlined, so that the report is one portable file that renders offline
+ * (e.g. on air-gapped audit machines). The libraries of the interactive report features are always
+ * bundled into the reports.
+ *
+ * @module AuditHtml
+ */
+import fs from 'fs-extra';
+import { createRequire } from 'module';
+import path from 'path';
+
+import AppLogger from './AppLogger.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Escapes the HTML special characters of a value displayed by a report (`n/a` when missing).
+ * Reports inline it in their scripts with `escapeHtmlScript`: file paths and function names
+ * (e.g. `<anon method-1>`) must not be parsed as markup.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+    String(value ?? 'n/a')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+/**
+ * Declaration of `escapeHtml` in the inline script of a report.
+ * @const {string}
+ *
+ * @example
+ * const html = `<script>${escapeHtmlScript} cell.innerHTML = escapeHtml(file.path);</script>`;
+ */
+export const escapeHtmlScript = `const escapeHtml = ${escapeHtml.toString()};`;
+
+/**
+ * Local file of the remote scripts loaded by the reports (CDN url -> file of an installed package).
+ * @const {Object<string, Function>}
+ */
+const remoteScriptFiles = {
+    'https://cdn.jsdelivr.net/npm/chart.js': () =>
+        path.join(path.dirname(require.resolve('chart.js')), 'chart.umd.min.js'),
+};
+
+/**
+ * Browser builds of the packages bundled into the reports (package name -> file).
+ * @const {Object<string, Function>}
+ */
+const bundledScriptFiles = {
+    graphology: () =>
+        path.join(path.dirname(require.resolve('graphology')), 'graphology.umd.min.js'),
+    sigma: () => path.join(path.dirname(require.resolve('sigma')), 'sigma.min.js'),
+};
+
+/**
+ * Formats the inline `<script>` tags of bundled packages, for the report features that must
+ * work offline whatever the options (e.g. the interactive dependency graph).
+ * @param {string[]} packageNames - Keys of `bundledScriptFiles`.
+ * @returns {string} - The script tags (a missing package is skipped).
+ *
+ * @example
+ * const html = `<head>${formatBundledScripts(['graphology', 'sigma'])}</head>`;
+ */
+export const formatBundledScripts = (packageNames) =>
+    packageNames
+        .map((packageName) => {
+            try {
+                // a script may contain the closing tag in a string literal
+                const script = fs
+                    .readFileSync(bundledScriptFiles[packageName](), 'utf-8')
+                    .replace(/<\/script/gi, '<\\/script');
+                return `<script>\n${script}\n</script>`;
+            } catch (error) {
+                AppLogger.info(`[AuditHtml - formatBundledScripts] error:  ${error.message}`);
+                return '';
+            }
+        })
+        .join('\n');
+
+/**
+ * Image media types by file extension.
+ * @const {Object<string, string>}
+ */
+const imageMediaTypes = {
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+};
+
+/**
+ * Resolves the file of a resource loaded by a report.
+ * @param {string} source - The `src` or `href` of the resource.
+ * @param {string} baseDir - Directory of the report (relative sources are resolved from it).
+ * @returns {string|null} - The file path, null when the resource is not available locally.
+ */
+const resolveResourceFile = (source, baseDir) => {
+    try {
+        if (!remoteScriptFiles[source] && /^[a-z][a-z0-9+.-]*:/i.test(source)) {
+            // other remote (or already inlined) resource
+            return null;
+        }
+
+        const file = remoteScriptFiles[source]
+            ? remoteScriptFiles[source]()
+            : path.resolve(baseDir, source.split(/[?#]/)[0]);
+
+        return fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+    } catch (error) {
+        AppLogger.info(`[AuditHtml - resolveResourceFile] error:  ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Inlines the scripts, style sheets and images of an HTML report.
+ * Resources that cannot be found locally (e.g. a missing image) are left as they are.
+ *
+ * @param {string} html - The HTML report.
+ * @param {string} baseDir - Directory of the report.
+ * @returns {string} - The self-contained HTML report.
+ *
+ * @example
+ * fs.writeFileSync(reportFile, inlineHtmlResources(html, path.dirname(reportFile)));
+ */
+export const inlineHtmlResources = (html, baseDir) => {
+    if (!html?.length) {
+        return html;
+    }
+
+    return html
+        .replace(/<script([^>]*)>\s*<\/script>/g, (tag, attributes) => {
+            const source = attributes.match(/\ssrc="([^"]+)"/)?.[1];
+            const file = source ? resolveResourceFile(source, baseDir) : null;
+            if (!file) {
+                return tag;
+            }
+            // a script may contain the closing tag in a string literal
+            const script = fs.readFileSync(file, 'utf-8').replace(/<\/script/gi, '<\\/script');
+            return `<script${attributes.replace(/\ssrc="[^"]+"/, '')}>\n${script}\n</script>`;
+        })
+        .replace(/<link([^>]*?)>/g, (tag, attributes) => {
+            const source = attributes.match(/\shref="([^"]+)"/)?.[1];
+            const file =
+                /\srel="stylesheet"/.test(attributes) && source
+                    ? resolveResourceFile(source, baseDir)
+                    : null;
+            if (!file) {
+                return tag;
+            }
+            const style = fs.readFileSync(file, 'utf-8').replace(/<\/style/gi, '<\\/style');
+            return `<style>\n${style}\n</style>`;
+        })
+        .replace(/<img([^>]*?)\ssrc="([^"]+)"/g, (tag, before, source) => {
+            const file = resolveResourceFile(source, baseDir);
+            const mediaType = file && imageMediaTypes[path.extname(file).toLowerCase()];
+            if (!mediaType) {
+                return tag;
+            }
+            return `<img${before} src="data:${mediaType};base64,${fs.readFileSync(file).toString('base64')}"`;
+        });
+};
+
+/**
+ * Inlines the scripts, style sheets and images of an HTML report file, in place.
+ * @param {string} htmlFile - Path of the HTML report.
+ * @returns {boolean} `true` if the report was rewritten, `false` otherwise.
+ */
+export const inlineHtmlFile = (htmlFile) => {
+    try {
+        if (!fs.existsSync(htmlFile)) {
+            return false;
+        }
+
+        const html = fs.readFileSync(htmlFile, 'utf-8');
+        fs.writeFileSync(htmlFile, inlineHtmlResources(html, path.dirname(htmlFile)));
+
+        return true;
+    } catch (error) {
+        AppLogger.info(`[AuditHtml - inlineHtmlFile] error:  ${error.message}`);
+        return false;
+    }
+};
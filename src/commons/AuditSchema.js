@@ -0,0 +1,131 @@
+/**
+ * Versioned schemas of the JSON reports.
+ * Every JSON report (`CodeComplexityReport.json`, `CodeModularityReport.json`, `CodeHealthReport.json`)
+ * starts with a header (`schemaVersion`, `reportType`, `tool`) and is described by a JSON Schema
+ * shipped in the `schemas` directory of the package. The schema version follows semver: a minor
+ * version only adds optional fields, a major version changes or removes fields.
+ *
+ * @module AuditSchema
+ */
+import Ajv from 'ajv';
+import fs from 'fs-extra';
+
+import AppLogger from './AppLogger.js';
+import { formatValidationError } from './AuditConfig.js';
+import { toolInfo } from './AuditUtils.js';
+
+/**
+ * Version of the JSON report schemas.
+ * @const {string}
+ */
+export const auditSchemaVersion = '1.5.0';
+
+/**
+ * JSON Schema file by report type.
+ * @const {Object<string, string>}
+ */
+export const auditSchemaFileNames = {
+    complexity: 'code-complexity-report.schema.json',
+    modularity: 'code-modularity-report.schema.json',
+    health: 'code-health-report.schema.json',
+};
+
+/**
+ * Directory of the JSON Schema files.
+ * @const {URL}
+ */
+const auditSchemaDir = new URL('../../schemas/', import.meta.url);
+
+/**
+ * Header of a JSON report.
+ * @typedef {Object} AuditReportHeader
+ * @property {string} schemaVersion - Version of the report schema (see `auditSchemaVersion`).
+ * @property {('complexity'|'modularity'|'health')} reportType - Type of the report (its schema).
+ * @property {{name: string, version: string}} tool - Tool that wrote the report.
+ */
+
+/**
+ * Builds the header of a JSON report.
+ * @param {('complexity'|'modularity'|'health')} reportType
+ * @returns {AuditReportHeader}
+ */
+export const buildAuditReportHeader = (reportType) => ({
+    schemaVersion: auditSchemaVersion,
+    reportType,
+    tool: {
+        name: toolInfo.name,
+        version: toolInfo.version,
+    },
+});
+
+/**
+ * Reads the JSON Schema of a report type.
+ * @param {string} reportType
+ * @returns {Object|null} - The schema, null for an unknown report type.
+ */
+export const readAuditSchema = (reportType) =>
+    auditSchemaFileNames[reportType]
+        ? fs.readJsonSync(new URL(auditSchemaFileNames[reportType], auditSchemaDir))
+        : null;
+
+const ajv = new Ajv({ allErrors: true });
+
+/**
+ * Compiled schema validators by report type (compiled on first use).
+ * @type {Object<string, Function>}
+ */
+const auditSchemaValidators = {};
+
+/**
+ * Result of a report validation.
+ * @typedef {Object} AuditReportValidation
+ * @property {boolean} valid - `true` when the report matches its schema.
+ * @property {string|null} reportType - Type of the report (null when unknown).
+ * @property {string|null} schemaVersion - Schema version of the report (null when missing).
+ * @property {string[]} errors - Validation error messages (empty when the report is valid).
+ */
+
+/**
+ * Validates a JSON report against the schema of its `reportType`.
+ * @param {Object} report - A parsed JSON report.
+ * @returns {AuditReportValidation}
+ *
+ * @example
+ * const { valid, errors } = validateAuditReport(fs.readJsonSync('report/CodeHealthReport.json'));
+ */
+export const validateAuditReport = (report) => {
+    const reportType = report?.reportType || null;
+    const schemaVersion = report?.schemaVersion || null;
+
+    try {
+        if (!auditSchemaFileNames[reportType]) {
+            return {
+                valid: false,
+                reportType,
+                schemaVersion,
+                errors: [
+                    `report has ${reportType ? `an unknown reportType "${reportType}"` : 'no reportType'} (${Object.keys(auditSchemaFileNames).join(', ')})`,
+                ],
+            };
+        }
+
+        if (!auditSchemaValidators[reportType]) {
+            auditSchemaValidators[reportType] = ajv.compile(readAuditSchema(reportType));
+        }
+
+        const validateSchema = auditSchemaValidators[reportType];
+        const valid = validateSchema(report);
+
+        return {
+            valid,
+            reportType,
+            schemaVersion,
+            errors: valid
+                ? []
+                : validateSchema.errors.map((error) => formatValidationError(error, 'report')),
+        };
+    } catch (error) {
+        AppLogger.info(`[AuditSchema - validateAuditReport] error:  ${error.message}`);
+        return { valid: false, reportType, schemaVersion, errors: [error.message] };
+    }
+};
@@ -1,11 +1,18 @@
 import crypto from 'crypto';
 import fs from 'fs-extra';
-import glob from 'globby';
-import lodash from 'lodash';
-import path from 'path';
-import unixify from 'unixify';
 
 import AppLogger from './AppLogger.js';
+import { discoverAuditFiles } from './AuditFiles.js';
+
+/**
+ * Name, version and repository of the tool (reports and cache keys).
+ * @const {{name: string, version: string, informationUri: string}}
+ */
+export const toolInfo = {
+    name: 'code-health-meter',
+    version: fs.readJsonSync(new URL('../../package.json', import.meta.url)).version,
+    informationUri: 'https://github.com/helabenkhalfallah/code-health-meter',
+};
 
 /**
  * Options for creating the Graphology graph.
@@ -29,94 +36,111 @@ export const louvainDefaultOptions = {
     resolution: 0.74,
 };
 
+/**
+ * Centralities of the modularity audit, in addition to the degree centralities (all by default,
+ * `modularity.centralities` in the configuration file selects them).
+ * @const {string[]}
+ */
+export const modularityCentralityIds = [
+    'betweenness',
+    'closeness',
+    'pagerank',
+    'hits',
+    'eigenvector',
+];
+
+/**
+ * Granularities of the modularity graph (`--granularity`, `modularity.granularity` in the
+ * configuration file): files, directories (`folder`) or workspace packages (`package`).
+ * @const {string[]}
+ */
+export const modularityGranularities = ['file', 'folder', 'package'];
+
+/**
+ * Limits of the enumeration of the elementary cycles of a strongly connected component of the
+ * dependency graph (their number grows exponentially with its dependencies): cycles listed and
+ * steps of the depth-first search. Beyond them, the cycle counts are lower bounds.
+ * @type {{maxCycles: number, maxSteps: number}}
+ */
+export const cycleEnumerationDefaultOptions = {
+    maxCycles: 1000,
+    maxSteps: 100000,
+};
+
+/**
+ * Severities of the architecture rules, as in dependency-cruiser (only `error` violations count
+ * toward the quality gate, `ignore` rules report nothing).
+ * @const {string[]}
+ */
+export const architectureRuleSeverities = ['error', 'warn', 'info', 'ignore'];
+
+/**
+ * Default architecture rules of the modularity audit (`modularity.rules` in the configuration
+ * file, in the dependency-cruiser rule syntax): none.
+ * @type {{forbidden: Object[], allowed: Object[], allowedSeverity: string}}
+ */
+export const architectureRulesDefaultOptions = {
+    forbidden: [],
+    allowed: [],
+    allowedSeverity: 'warn',
+};
+
+/**
+ * Builds the dependency-cruiser rule set of the architecture rules (unnamed forbidden rules get a name).
+ * @param {{forbidden?: Object[], allowed?: Object[], allowedSeverity?: string}} rules - `modularity.rules` of the configuration.
+ * @returns {Object} The dependency-cruiser rule set.
+ */
+export const buildArchitectureRuleSet = (rules) => ({
+    forbidden: (rules?.forbidden || []).map((rule) => ({ name: 'unnamed', ...rule })),
+    ...(rules?.allowed?.length
+        ? { allowed: rules.allowed, allowedSeverity: rules.allowedSeverity || 'warn' }
+        : {}),
+});
+
 /**
  * Default options for the Madge analysis.
- * @type {{fileExtensions: string[], excludeRegExp: string[]}}
+ * Audited files are selected by the include/exclude model of `AuditFiles`.
+ * @type {{fileExtensions: string[]}}
  */
 export const madgeDefaultOptions = {
     fileExtensions: ['ts', 'tsx', 'js', 'jsx'],
-    excludeRegExp: [
-        '.*node_modules/.*',
-        '.*target/.*',
-        '.*dist/.*',
-        '.*__mocks__/.*',
-        '.*_mock_/.*',
-        '.*mock*/.*',
-        '.*mocks/.*',
-        '.*public/.*',
-        '.*husky/.*',
-        '.*vscode/.*',
-        '.*idea/.*',
-        '.*next/.*',
-        '.*gitlab/.*',
-        '.*github/.*',
-        '.*eslint.*',
-        '.*jest.*',
-        '.*test*.*',
-        '.*Test*.*',
-        '.*spec.*',
-        '.*cucumber.*',
-        '.*hmr.*',
-        '.*config.*',
-        '.*babel.*',
-        '.*webpack.*',
-        '.*mock.*',
-        '.*.types.*',
-        '.*.svg',
-        '.*.d.ts.*',
-    ],
 };
 
 /**
  * Default options for the code duplication analysis.
+ * Audited files are selected by the include/exclude model of `AuditFiles`.
  * */
 export const codeDuplicationDefaultOptions = {
     mode: 'strict',
     threshold: 0,
     format: ['javascript', 'typescript', 'jsx', 'tsx'],
-    ignore: [
-        '**/node_modules/**',
-        '**/target/**',
-        '**/dist/**',
-        '**/__mocks__/**',
-        '**/mocks/**',
-        //'**/mock**/**',
-        '**/_mock_/**',
-        '**/**Mock**/**',
-        '**/public/**',
-        '**/.husky/**',
-        '**/.vscode/.*',
-        '**/.idea/**',
-        '**/.gitlab/**',
-        '**/.github/**',
-        '**/eslint-config/**',
-        '**/jest-config/**',
-        '**/tailwind-config/**',
-        '**/typescript-config/**',
-        '**/.eslintrc.**',
-        '**/.gitlab-ci.**',
-        '**/tailwind.**',
-        '**/tsconfig.json',
-        '**/turbo.json',
-        '**/jest.**',
-        '**/__test__/**',
-        '**/__tests__/**',
-        //'**/tests/**',
-        //'**/test**/**',
-        '**/**test.**',
-        '**/**Test**',
-        '**/test**',
-        '**/**spec.**',
-        '**/**hmr**',
-        '**/**config**',
-        '**/**cucumber**',
-        '**/webpack/**',
-        '**/**webpack**',
-        '**/next**.**',
-        '**/.next/**',
-        'babel',
-        '.*.d.ts.*',
-    ],
+};
+
+/**
+ * Bucket limits used to categorize files in the complexity audit summary.
+ * @const {Object} complexityAuditStatsDefaultLimits
+ * @property {{moderate: number, good: number}} maintainability - MI (%) lower limits of the moderate and good buckets.
+ * @property {{moderate: number, bad: number, veryBad: number}} cyclomatic - Cyclomatic lower (exclusive) limits of the moderate, bad and very bad buckets.
+ */
+export const complexityAuditStatsDefaultLimits = {
+    maintainability: {
+        moderate: 65,
+        good: 85,
+    },
+    cyclomatic: {
+        moderate: 10,
+        bad: 20,
+        veryBad: 40,
+    },
+};
+
+/**
+ * Default options for the complexity inspection (see `parseFile`).
+ * @type {{noempty: boolean, quiet: boolean}}
+ */
+export const complexityInspectDefaultOptions = {
+    noempty: true,
+    quiet: true,
 };
 
 /**
@@ -161,47 +185,6 @@ export const isAcceptedFileType = (fileName) =>
     fileName?.endsWith('.tsx') ||
     false;
 
-/**
- * Checks if a file is excluded.
- * @param {string} filePath - The path of the file.
- * @returns {boolean} - Returns true if the file is excluded, false otherwise.
- */
-export const isExcludedFile = (filePath) =>
-    filePath?.toLowerCase()?.includes('snap') ||
-    filePath?.toLowerCase()?.includes('mock') ||
-    filePath?.toLowerCase()?.includes('jest') ||
-    filePath?.toLowerCase()?.includes('webpack') ||
-    filePath?.toLowerCase()?.includes('public') ||
-    filePath?.toLowerCase()?.includes('cypress') ||
-    filePath?.toLowerCase()?.includes('gitlab') ||
-    filePath?.toLowerCase()?.includes('deploy') ||
-    filePath?.toLowerCase()?.includes('target') ||
-    filePath?.toLowerCase()?.includes('node_modules') ||
-    filePath?.toLowerCase()?.includes('report-complexity') ||
-    filePath?.toLowerCase()?.includes('eslint') ||
-    filePath?.toLowerCase()?.includes('babel') ||
-    filePath?.toLowerCase()?.includes('husky') ||
-    filePath?.toLowerCase()?.includes('postcss') ||
-    filePath?.toLowerCase()?.includes('routes') ||
-    filePath?.toLowerCase()?.includes('path') ||
-    filePath?.toLowerCase()?.includes('dico') ||
-    filePath?.toLowerCase()?.includes('redux') ||
-    filePath?.toLowerCase()?.includes('/dist/') ||
-    filePath?.toLowerCase()?.includes('/bff/') ||
-    filePath?.toLowerCase()?.includes('/wsclient/') ||
-    filePath?.toLowerCase()?.includes('/js/index.js') ||
-    filePath?.toLowerCase()?.includes('/ts/index.ts') ||
-    filePath?.toLowerCase()?.includes('test') ||
-    filePath?.toLowerCase()?.includes('spec') ||
-    filePath?.toLowerCase()?.endsWith('.d.ts') ||
-    filePath?.toLowerCase()?.endsWith('.config.js') ||
-    filePath?.toLowerCase()?.endsWith('.config.ts') ||
-    filePath?.toLowerCase()?.includes('/types/') ||
-    filePath?.toLowerCase()?.includes('type') ||
-    filePath?.toLowerCase()?.includes('index') ||
-    filePath?.toLowerCase()?.includes('dico') ||
-    false;
-
 /**
  * This asynchronous function reads a file and returns its content as a string.
  *
@@ -255,64 +238,10 @@ export const isNonCompliantFile = async (antiPattern, source) => {
 };
 
 /**
- * Finds the common base path among a list of files.
- * @param {string[]} files - The list of file paths.
- * @returns {string} - Returns the common base path.
- */
-function findCommonBase(files) {
-    AppLogger.info(`[AuditUtils - findCommonBase] files:  ${files?.length}`);
-
-    if (!files || files.length === 0 || files.length === 1) {
-        return '';
-    }
-
-    const lastSlash = files[0].lastIndexOf(path.sep);
-    AppLogger.info(`[AuditUtils - findCommonBase] lastSlash:  ${lastSlash}`);
-
-    if (!lastSlash) {
-        return '';
-    }
-
-    const first = files[0].substr(0, lastSlash + 1);
-    AppLogger.info(`[AuditUtils - findCommonBase] first:  ${first}`);
-
-    let prefixlen = first.length;
-    AppLogger.info(`[AuditUtils - findCommonBase] prefixlen:  ${prefixlen}`);
-
-    /**
-     * Handles the prefixing of a file.
-     * @param {string} file - The file to handle.
-     */
-    function handleFilePrefixing(file) {
-        AppLogger.info(`[AuditUtils - findCommonBase] file:  ${file}`);
-
-        for (let i = prefixlen; i > 0; i--) {
-            if (file.substr(0, i) === first.substr(0, i)) {
-                prefixlen = i;
-                return;
-            }
-        }
-        prefixlen = 0;
-    }
-
-    files.forEach(handleFilePrefixing);
-
-    AppLogger.info(`[AuditUtils - findCommonBase] prefixlen:  ${prefixlen}`);
-
-    return first.substr(0, prefixlen);
-}
-
-/**
- * Converts a pattern to a file.
- * @param {string} pattern - The pattern to convert.
- * @returns {Array} - Returns an array containing the files.
- */
-const patternToFile = (pattern) => glob.sync(unixify(pattern));
-
-/**
- * This function retrieves files from a given source directory.
+ * This function retrieves the audited files from a given source directory.
  *
  * @param {string} srcDir - The source directory from which to retrieve files.
+ * @param {Object} [options] - The `include` and `exclude` patterns (see `auditFilesDefaultOptions`).
  * @returns {Object} An object containing an array of files and the base path.
  * If an error occurs, it returns an object with an empty files array and null basePath.
  * @throws Will log the error message if one occurs.
@@ -322,7 +251,7 @@ const patternToFile = (pattern) => glob.sync(unixify(pattern));
  * print(result.files); // Logs the array of files.
  * print(result.basePath); // Logs the base path.
  */
-export const getFiles = (srcDir) => {
+export const getFiles = (srcDir, options) => {
     try {
         AppLogger.info(`[AuditUtils - parseFiles] srcDir:  ${srcDir}`);
 
@@ -330,12 +259,10 @@ export const getFiles = (srcDir) => {
             return null;
         }
 
-        const files = lodash.chain([srcDir]).map(patternToFile).flatten().value();
+        const { files, basePath } = discoverAuditFiles(srcDir, options);
 
         AppLogger.info(`[AuditUtils - parseFiles] files:  ${files?.length}`);
 
-        const basePath = findCommonBase(files);
-
         return {
             files,
             basePath,
@@ -355,32 +282,15 @@ export const getFiles = (srcDir) => {
  * @param {string} file - The path to the file.
  * @param {string} basePath - The base path for all files.
  * @param {Object} options - The options for parsing.
- * @param {RegExp} [options.exclude] - A regular expression for files to exclude.
  * @param {boolean} [options.noempty] - Whether to skip empty lines.
- * @returns {Object|null} An object containing the file information, or null if the file is excluded or not a JavaScript/TypeScript file.
+ * @returns {Object|null} An object containing the file information, or null if the file is empty or not a JavaScript/TypeScript file.
+ * When empty lines are skipped, `lineMap[i]` holds the original line number of the analyzed line `i + 1`.
  */
 export const parseFile = (file, basePath, options) => {
     AppLogger.info(`[AuditUtils - parseFile] file:  ${file}`);
     AppLogger.info(`[AuditUtils - parseFile] basePath:  ${basePath}`);
     AppLogger.info(`[AuditUtils - parseFile] options:  ${options}`);
 
-    const mockPattern = /.*?(Mock).(js|jsx|ts|tsx)$/gi;
-    const testPattern = /.*?(Test).(js|jsx|ts|tsx)$/gi;
-    const nodeModulesPattern = /node_modules/g;
-    const targetModulesPattern = /target/g;
-
-    if (
-        file &&
-        ((options.exclude && file.match(options.exclude)) ||
-            file.match(targetModulesPattern) ||
-            file.match(mockPattern) ||
-            file.match(testPattern) ||
-            file.match(nodeModulesPattern))
-    ) {
-        AppLogger.info(`[AuditUtils - parseFile] excluded file:  ${file}`);
-        return null;
-    }
-
     if (!file.match(/\.(js|jsx|ts|tsx)$/)) {
         return null;
     }
@@ -400,8 +310,15 @@ export const parseFile = (file, basePath, options) => {
         return null;
     }
 
+    // original (1-based) line number of each line kept in the analyzed source
+    let lineMap = null;
+
     // if skip empty line option
     if (options.noempty) {
+        lineMap = source
+            .split(/\r?\n/)
+            .map((line, index) => (line.trim().length ? index + 1 : null))
+            .filter((line) => line !== null);
         source = source.replace(/^\s*[\r\n]/gm, '');
     }
 
@@ -415,6 +332,7 @@ export const parseFile = (file, basePath, options) => {
         fileSafe,
         fileShort,
         source,
+        lineMap,
         options,
     };
 };
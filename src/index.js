@@ -2,11 +2,40 @@
 import { execSync } from 'child_process';
 import fs from 'fs-extra';
 import { parseArgs } from 'node:util';
+import path from 'path';
 
 import AppLogger from './commons/AppLogger.js';
+import { clearAuditCache, createAuditCache, readAuditCacheSize } from './commons/AuditCache.js';
+import { findChangedFiles } from './commons/AuditChanges.js';
+import { loadAuditConfig } from './commons/AuditConfig.js';
+import {
+    discoverAuditFiles,
+    formatAuditFileExclusion,
+    restrictAuditFiles,
+} from './commons/AuditFiles.js';
+import { validateAuditReport } from './commons/AuditSchema.js';
+import { modularityGranularities } from './commons/AuditUtils.js';
 import { startComplexityAudit } from './kernel/complexity/CodeComplexityAuditor.js';
 import { writeCodeComplexityAuditToFile } from './kernel/complexity/CodeComplexityUtils.js';
+import { startCodeDashboardAudit } from './kernel/dashboard/CodeDashboardAuditor.js';
+import { writeCodeDashboardToFile } from './kernel/dashboard/CodeDashboardUtils.js';
+import { startCodeHealthDiff } from './kernel/diff/CodeHealthDiffAuditor.js';
+import {
+    codeHealthDiffFileExtensions,
+    readCodeHealthReport,
+    writeCodeHealthDiffToFile,
+} from './kernel/diff/CodeHealthDiffUtils.js';
 import { startDuplicationAudit } from './kernel/duplication/CodeDuplicationAuditor.js';
+import { startCodeExportAudit } from './kernel/export/CodeExportAuditor.js';
+import { codeExportFileNames } from './kernel/export/CodeExportConfig.js';
+import { writeCodeExportToFile } from './kernel/export/CodeExportUtils.js';
+import {
+    formatQualityGateRuleResult,
+    startQualityGateAudit,
+} from './kernel/gate/QualityGateAuditor.js';
+import { qualityGateDefaultThresholds } from './kernel/gate/QualityGateConfig.js';
+import { startCodeHealthAudit } from './kernel/health/CodeHealthAuditor.js';
+import { writeCodeHealthAuditToFile } from './kernel/health/CodeHealthUtils.js';
 import { startModularityAudit } from './kernel/modularity/CodeModularityAuditor.js';
 import { writeCodeModularityAuditToFile } from './kernel/modularity/CodeModularityUtils.js';
 
@@ -15,6 +44,7 @@ import { writeCodeModularityAuditToFile } from './kernel/modularity/CodeModulari
  * @type {Object}
  */
 const args = parseArgs({
+    allowPositionals: true,
     options: {
         srcDir: {
             type: 'string',
@@ -25,6 +55,63 @@ const args = parseArgs({
         format: {
             type: 'string',
         },
+        config: {
+            type: 'string',
+        },
+        'explain-exclusions': {
+            type: 'boolean',
+        },
+        gate: {
+            type: 'boolean',
+        },
+        'allow-skipped': {
+            type: 'boolean',
+        },
+        minMaintainability: {
+            type: 'string',
+        },
+        maxCyclomatic: {
+            type: 'string',
+        },
+        maxDuplication: {
+            type: 'string',
+        },
+        maxCircular: {
+            type: 'string',
+        },
+        minModularity: {
+            type: 'string',
+        },
+        maxRuleViolations: {
+            type: 'string',
+        },
+        baseline: {
+            type: 'string',
+        },
+        since: {
+            type: 'string',
+        },
+        base: {
+            type: 'string',
+        },
+        head: {
+            type: 'string',
+        },
+        cacheDir: {
+            type: 'string',
+        },
+        'no-cache': {
+            type: 'boolean',
+        },
+        concurrency: {
+            type: 'string',
+        },
+        'html-single-file': {
+            type: 'boolean',
+        },
+        granularity: {
+            type: 'string',
+        },
     },
 });
 
@@ -32,7 +119,233 @@ const args = parseArgs({
  * Destructures the values from the parsed arguments.
  * @type {Object}
  */
-const { srcDir, outputDir, format } = args?.values || {};
+const {
+    srcDir,
+    outputDir,
+    format,
+    config,
+    'explain-exclusions': explainExclusions,
+    gate,
+    'allow-skipped': allowSkipped,
+    baseline,
+    since,
+    base,
+    head,
+    cacheDir,
+    'no-cache': noCache,
+    concurrency,
+    'html-single-file': htmlSingleFile,
+    granularity,
+    ...gateThresholds
+} = args?.values || {};
+
+/**
+ * Sub-command: none (audit), `diff` (compare two CodeHealthReport.json files),
+ * `cache` (`cache stats` or `cache clear`) or `validate` (check JSON reports against their schema).
+ * @type {string|undefined}
+ */
+const [command, commandAction, ...commandArgs] = args?.positionals || [];
+
+if (command && !['diff', 'cache', 'validate'].includes(command)) {
+    AppLogger.info(`Unknown command "${command}" (available commands: diff, cache, validate)`);
+    process.exit(-1);
+}
+
+/**
+ * Reads the diff formats (comma separated; `md` is an alias of `markdown`).
+ * @param {string} diffFormat - The --format value.
+ * @returns {string[]} - The diff formats, exits when one is not supported.
+ */
+const readDiffFormats = (diffFormat) => {
+    const diffFormats = (diffFormat || 'json')
+        .split(',')
+        .map((item) => item.trim())
+        .map((item) => (item === 'md' ? 'markdown' : item));
+
+    const invalidFormats = diffFormats.filter((item) => !codeHealthDiffFileExtensions[item]);
+    if (invalidFormats.length) {
+        AppLogger.info(
+            `Unsupported diff format: ${invalidFormats.join(', ')} (json, markdown or html)`,
+        );
+        process.exit(-1);
+    }
+
+    return diffFormats;
+};
+
+/**
+ * Formats of the audit reports (one report per audit).
+ * @type {string[]}
+ */
+const auditReportFormats = ['json', 'html'];
+
+/**
+ * Reads the output formats of an audit run (comma separated; `md` is an alias of `markdown`):
+ * audit report formats (`json`, `html`) and export formats (e.g. `sarif`, `markdown`).
+ * @param {string} outputFormat - The --format value.
+ * @returns {string[]} - The output formats, exits when one is not supported.
+ */
+const readOutputFormats = (outputFormat) => {
+    const outputFormats = (outputFormat || 'json')
+        .split(',')
+        .map((item) => item.trim())
+        .map((item) => (item === 'md' ? 'markdown' : item));
+    const supportedFormats = [...auditReportFormats, ...Object.keys(codeExportFileNames)];
+
+    const invalidFormats = outputFormats.filter((item) => !supportedFormats.includes(item));
+    if (invalidFormats.length) {
+        AppLogger.info(
+            `Unsupported format: ${invalidFormats.join(', ')} (${supportedFormats.join(', ')})`,
+        );
+        process.exit(-1);
+    }
+
+    return outputFormats;
+};
+
+/**
+ * Compares two combined reports and writes the diff in each requested format.
+ * @param {Object} params
+ * @param {Object} params.baseReport - The baseline CodeHealthReport.
+ * @param {Object} params.headReport - The new CodeHealthReport.
+ * @param {string} params.diffOutputDir - Output directory of the diff files.
+ * @param {string[]} params.diffFormats - The diff formats.
+ * @returns {Object} - The diff (result of `startCodeHealthDiff`).
+ */
+const writeCodeHealthDiff = ({ baseReport, headReport, diffOutputDir, diffFormats }) => {
+    const codeHealthDiffResult = startCodeHealthDiff({ base: baseReport, head: headReport });
+    const { counts } = codeHealthDiffResult.summary || {};
+
+    AppLogger.info(
+        `[Diff] changed files: ${counts?.changedFiles}, new files: ${counts?.addedFiles}, removed files: ${counts?.removedFiles}, new clones: ${counts?.newClones}, new circular dependencies: ${counts?.newCircular}, community changes: ${counts?.communityChanges}`,
+    );
+
+    diffFormats.forEach((fileFormat) =>
+        writeCodeHealthDiffToFile({
+            codeHealthDiffOptions: {
+                outputDir: diffOutputDir,
+                fileFormat,
+            },
+            codeHealthDiffResult,
+        }),
+    );
+
+    return codeHealthDiffResult;
+};
+
+/**
+ * Diff command: code-health-meter diff --base old/CodeHealthReport.json --head new/CodeHealthReport.json
+ * The diff is written to --outputDir (defaults to the directory of the head report).
+ */
+if (command === 'diff') {
+    if (!base || !head) {
+        AppLogger.info(
+            'base and head are required (code-health-meter diff --base "old/CodeHealthReport.json" --head "new/CodeHealthReport.json" --format "json,markdown,html")',
+        );
+        process.exit(-1);
+    }
+
+    const diffFormats = readDiffFormats(format);
+    const baseReport = readCodeHealthReport(base);
+    const headReport = readCodeHealthReport(head);
+
+    if (!baseReport || !headReport) {
+        AppLogger.error(`Unable to read ${!baseReport ? base : head}`);
+        process.exit(-1);
+    }
+
+    writeCodeHealthDiff({
+        baseReport,
+        headReport,
+        diffOutputDir:
+            outputDir ||
+            (fs.existsSync(head) && fs.statSync(head).isDirectory() ? head : path.dirname(head)),
+        diffFormats,
+    });
+
+    process.exit(0);
+}
+
+/**
+ * Cache command: code-health-meter cache stats|clear [--cacheDir ".code-health-cache"]
+ * The cache directory defaults to the one of the configuration file (looked up from --srcDir).
+ */
+if (command === 'cache') {
+    if (!['stats', 'clear'].includes(commandAction)) {
+        AppLogger.info(
+            'cache command requires an action (code-health-meter cache stats|clear --cacheDir ".code-health-cache")',
+        );
+        process.exit(-1);
+    }
+
+    const { config: cacheConfig, errors: cacheConfigErrors } = await loadAuditConfig(
+        srcDir,
+        config,
+    );
+
+    if (cacheConfigErrors.length) {
+        cacheConfigErrors.forEach((message) =>
+            AppLogger.error(`Invalid configuration: ${message}`),
+        );
+        process.exit(-1);
+    }
+
+    const auditCacheDir = cacheDir || cacheConfig.cache.dir;
+
+    if (commandAction === 'clear') {
+        if (!clearAuditCache(auditCacheDir)) {
+            AppLogger.error(`Unable to clear the cache ${path.resolve(auditCacheDir)}`);
+            process.exit(-1);
+        }
+        AppLogger.info(`[Cache] cleared ${path.resolve(auditCacheDir)}`);
+        process.exit(0);
+    }
+
+    const { cacheDir: auditCachePath, entries, bytes } = readAuditCacheSize(auditCacheDir);
+    AppLogger.info(`[Cache] ${auditCachePath}: ${entries} entries, ${bytes} bytes`);
+    process.exit(0);
+}
+
+/**
+ * Validate command: code-health-meter validate report/CodeHealthReport.json [...other reports]
+ * Exits with code 1 when a report does not match the schema of its `reportType`.
+ */
+if (command === 'validate') {
+    const reportFiles = [commandAction, ...commandArgs].filter(Boolean);
+
+    if (!reportFiles.length) {
+        AppLogger.info(
+            'validate command requires a report (code-health-meter validate "report/CodeHealthReport.json")',
+        );
+        process.exit(-1);
+    }
+
+    const invalidReports = reportFiles.filter((reportFile) => {
+        let report = null;
+        try {
+            report = fs.readJsonSync(reportFile);
+        } catch {
+            AppLogger.error(`[Validate] Unable to read ${reportFile}`);
+            return true;
+        }
+
+        const { valid, reportType, schemaVersion, errors } = validateAuditReport(report);
+        if (valid) {
+            AppLogger.info(
+                `[Validate] ${reportFile}: valid ${reportType} report (schema ${schemaVersion})`,
+            );
+            return false;
+        }
+
+        AppLogger.error(
+            `[Validate] ${reportFile}: invalid ${reportType ? `${reportType} ` : ''}report`,
+        );
+        errors.forEach((message) => AppLogger.error(`[Validate]     ${message}`));
+        return true;
+    });
+
+    process.exit(invalidReports.length ? 1 : 0);
+}
 
 /**
  * Checks if the source directory and output directory are provided.
@@ -44,6 +357,121 @@ if (!srcDir || !outputDir) {
     process.exit(-1);
 }
 
+/**
+ * Output formats (--format, comma separated).
+ * @type {string[]}
+ */
+const outputFormats = readOutputFormats(format);
+
+/**
+ * Formats of the audit reports: the json and html output formats (json when there is none).
+ * @type {string[]}
+ */
+const auditFormats = outputFormats.filter((item) => auditReportFormats.includes(item));
+if (!auditFormats.length) {
+    auditFormats.push('json');
+}
+
+/**
+ * Formats of the project exports (e.g. SARIF).
+ * @type {string[]}
+ */
+const exportFormats = outputFormats.filter((item) => codeExportFileNames[item]);
+
+/**
+ * Loads the project configuration file (--config, or the closest one to srcDir).
+ * @type {Object}
+ */
+const {
+    config: auditConfig,
+    configFile,
+    errors: configErrors,
+} = await loadAuditConfig(srcDir, config);
+
+if (configErrors.length) {
+    configErrors.forEach((message) => AppLogger.error(`Invalid configuration: ${message}`));
+    process.exit(-1);
+}
+
+if (configFile) {
+    AppLogger.info(`Using configuration file: ${configFile}`);
+}
+
+/**
+ * Baseline report (--baseline) the new report is compared to, read before cleaning the output directory.
+ * @type {Object|null}
+ */
+const baselineReport = baseline ? readCodeHealthReport(baseline) : null;
+
+if (baseline && !baselineReport) {
+    AppLogger.error(`Unable to read ${baseline}`);
+    process.exit(-1);
+}
+
+const {
+    enabled: gateEnabled,
+    allowSkipped: configAllowSkipped,
+    ...configGateThresholds
+} = auditConfig.gate;
+
+/**
+ * Quality gate thresholds: defaults, overridden by the configuration file, then by the threshold options.
+ * The gate is enabled by --gate, by any threshold option or by `gate.enabled` in the configuration file.
+ * @type {Object|null}
+ */
+const qualityGateThresholds =
+    gate || gateEnabled || Object.keys(gateThresholds).length
+        ? {
+              ...qualityGateDefaultThresholds,
+              ...configGateThresholds,
+              ...Object.fromEntries(
+                  Object.entries(gateThresholds).map(([id, value]) => [id, Number(value)]),
+              ),
+          }
+        : null;
+
+/**
+ * Checks if the quality gate thresholds are numbers.
+ */
+if (qualityGateThresholds) {
+    const invalidThresholds = Object.entries(qualityGateThresholds).filter(
+        ([, value]) => !Number.isFinite(value),
+    );
+    if (invalidThresholds.length) {
+        AppLogger.info(
+            `quality gate thresholds must be numbers (${invalidThresholds.map(([id]) => `--${id}`).join(', ')})`,
+        );
+        process.exit(-1);
+    }
+}
+
+/**
+ * Number of worker threads of the complexity audit (--concurrency, defaults to 1: no worker).
+ * @type {number}
+ */
+const complexityConcurrency = concurrency === undefined ? 1 : Number(concurrency);
+
+if (!Number.isInteger(complexityConcurrency) || complexityConcurrency < 1) {
+    AppLogger.info('--concurrency must be a positive integer (e.g. --concurrency 4)');
+    process.exit(-1);
+}
+
+if (granularity !== undefined && !modularityGranularities.includes(granularity)) {
+    AppLogger.info(`--granularity must be one of: ${modularityGranularities.join(', ')}`);
+    process.exit(-1);
+}
+
+/**
+ * Files changed since the --since git ref (complexity and duplication are restricted to them).
+ * @type {{files: string[], error: string|null}|null}
+ */
+const changedFiles = since ? findChangedFiles(srcDir, since) : null;
+
+if (changedFiles?.error) {
+    AppLogger.error(`Unable to list the files changed since ${since}: ${changedFiles.error}`);
+    process.exit(-1);
+}
+
 AppLogger.info('***** Code audit start *****');
 
 /**
@@ -58,50 +486,222 @@ if (fs.existsSync(outputDir)) {
     }
 }
 
+/**
+ * Discovers the audited files once: the same file set feeds the three audits.
+ * @type {import('./commons/AuditFiles.js').AuditFileSet}
+ */
+const projectAuditFiles = discoverAuditFiles(srcDir, auditConfig.files);
+
+/**
+ * Audited files of the complexity and duplication audits: the changed ones with --since.
+ * @type {import('./commons/AuditFiles.js').AuditFileSet}
+ */
+const auditFiles = changedFiles
+    ? restrictAuditFiles(projectAuditFiles, changedFiles.files, since)
+    : projectAuditFiles;
+
+AppLogger.info(
+    `Audited files: ${auditFiles.files.length}, skipped files and directories: ${auditFiles.excluded.length}`,
+);
+
+if (explainExclusions) {
+    auditFiles.excluded.forEach((exclusion) =>
+        AppLogger.info(`[Excluded] ${formatAuditFileExclusion(exclusion)}`),
+    );
+}
+
+/**
+ * Cache of the module analyses (--no-cache or `cache.enabled: false` disables it).
+ * @type {import('./commons/AuditCache.js').AuditCache|null}
+ */
+const auditCache =
+    !noCache && auditConfig.cache.enabled
+        ? createAuditCache(cacheDir || auditConfig.cache.dir)
+        : null;
+
 /**
  * Starts the code complexity audit.
  * @type {Object}
  */
 const codeComplexityAnalysisResult = await startComplexityAudit(srcDir, {
-    exclude: null,
-    noempty: true,
-    quiet: true,
-    title: srcDir,
+    inspect: {
+        ...auditConfig.complexity.inspect,
+        title: srcDir,
+    },
+    limits: auditConfig.complexity.limits,
+    auditFiles,
+    cache: auditCache,
+    concurrency: complexityConcurrency,
 });
 
+if (auditCache) {
+    AppLogger.info(
+        `[Cache] complexity: ${auditCache.stats.hits} hits, ${auditCache.stats.misses} misses (${auditCache.cacheDir})`,
+    );
+}
+
 /**
  * Writes the audit result to files.
  */
-writeCodeComplexityAuditToFile({
-    codeComplexityOptions: {
-        outputDir: `${outputDir}/code-complexity-audit`,
-        fileFormat: format, // html or json
-    },
-    codeComplexityAnalysisResult,
-});
+auditFormats.forEach((fileFormat) =>
+    writeCodeComplexityAuditToFile({
+        codeComplexityOptions: {
+            outputDir: `${outputDir}/code-complexity-audit`,
+            fileFormat, // html or json
+        },
+        codeComplexityAnalysisResult,
+    }),
+);
 
 /**
  * Starts the code duplication audit.
  * @type {Object}
  */
-await startDuplicationAudit(srcDir, `${outputDir}/code-duplication-audit`, format);
+const codeDuplicationAnalysisResult = await startDuplicationAudit(
+    srcDir,
+    `${outputDir}/code-duplication-audit`,
+    {
+        fileFormat: auditFormats.join(','),
+        duplicationOptions: auditConfig.duplication,
+        auditFiles,
+        htmlSingleFile,
+    },
+);
 
 /**
- * Starts the code modularity audit.
+ * Starts the code modularity audit: the whole graph is built, even with --since
+ * (the changed modules and their neighbors are then highlighted).
  * https://github.com/pahen/madge?tab=readme-ov-file#configuration
  * @type {Object}
  */
-const codeModularityAnalysisResult = await startModularityAudit(srcDir);
+const codeModularityAnalysisResult = await startModularityAudit(srcDir, {
+    ...auditConfig.modularity,
+    granularity: granularity || auditConfig.modularity.granularity,
+    auditFiles: projectAuditFiles,
+    changedFiles: changedFiles ? auditFiles.files : undefined,
+});
 
 /**
  * Writes the audit result to files.
  */
-writeCodeModularityAuditToFile({
-    codeModularityOptions: {
-        outputDir: `${outputDir}/code-modularity-audit`,
-        fileFormat: format, // html or json
-    },
+auditFormats.forEach((fileFormat) =>
+    writeCodeModularityAuditToFile({
+        codeModularityOptions: {
+            outputDir: `${outputDir}/code-modularity-audit`,
+            fileFormat, // html or json
+            singleFile: htmlSingleFile,
+        },
+        codeModularityAnalysisResult,
+    }),
+);
+
+/**
+ * Joins the audit results into one record per module (and a project rollup).
+ * @type {Object}
+ */
+const codeHealthAnalysisResult = startCodeHealthAudit({
+    auditFiles,
+    codeComplexityAnalysisResult,
+    codeDuplicationAnalysisResult,
     codeModularityAnalysisResult,
 });
 
+/**
+ * Writes the combined report to file.
+ */
+writeCodeHealthAuditToFile({
+    codeHealthOptions: {
+        outputDir,
+    },
+    codeHealthAnalysisResult,
+});
+
+/**
+ * Compares the new combined report to the baseline (in the json and html output formats).
+ * @type {Object|null}
+ */
+const codeHealthDiffResult = baselineReport
+    ? writeCodeHealthDiff({
+          baseReport: baselineReport,
+          headReport: codeHealthAnalysisResult,
+          diffOutputDir: outputDir,
+          diffFormats: auditFormats,
+      })
+    : null;
+
+/**
+ * Checks the audit results against the quality gate thresholds.
+ * @type {Object|null}
+ */
+const qualityGateResult = qualityGateThresholds
+    ? startQualityGateAudit({
+          thresholds: qualityGateThresholds,
+          allowSkipped: allowSkipped || configAllowSkipped,
+          codeComplexityAnalysisResult,
+          codeDuplicationAnalysisResult,
+          codeModularityAnalysisResult,
+      })
+    : null;
+
+/**
+ * Exports the findings and summaries of the audits (e.g. SARIF, Markdown, JUnit).
+ */
+if (exportFormats.length) {
+    const codeExportAnalysisResult = startCodeExportAudit({
+        auditFiles,
+        codeComplexityAnalysisResult,
+        codeDuplicationAnalysisResult,
+        codeModularityAnalysisResult,
+        codeHealthAnalysisResult,
+        codeHealthDiffResult,
+        qualityGateResult,
+        limits: auditConfig.complexity.limits,
+    });
+
+    exportFormats.forEach((fileFormat) =>
+        writeCodeExportToFile({
+            codeExportOptions: {
+                outputDir,
+                fileFormat,
+            },
+            codeExportAnalysisResult,
+        }),
+    );
+}
+
+/**
+ * Writes the dashboard (index.html) linking the detailed reports, in the html output format.
+ */
+if (auditFormats.includes('html')) {
+    writeCodeDashboardToFile({
+        codeDashboardOptions: {
+            outputDir,
+        },
+        codeDashboardAnalysisResult: startCodeDashboardAudit({
+            auditFiles,
+            codeHealthAnalysisResult,
+            codeComplexityAnalysisResult,
+            codeModularityAnalysisResult,
+            limits: auditConfig.complexity.limits,
+        }),
+    });
+}
+
+/**
+ * Logs the quality gate result.
+ */
+if (qualityGateResult) {
+    const { passed, results } = qualityGateResult;
+
+    results.forEach((result) => {
+        AppLogger.info(`[Quality Gate] ${formatQualityGateRuleResult(result)}`);
+        result.offenders.forEach((offender) => AppLogger.info(`[Quality Gate]     ${offender}`));
+    });
+
+    if (!passed) {
+        AppLogger.error('***** Code audit finished: quality gate failed *****');
+        process.exit(1);
+    }
+}
+
 AppLogger.info('***** Code audit finished successfully *****');
@@ -1,7 +1,12 @@
 import AppLogger from '../../commons/AppLogger.js';
-import { isAcceptedFileType, isExcludedFile } from '../../commons/AuditUtils.js';
-import { buildAuditStats, buildFullComplexityReport } from './CodeComplexityBuilder.js';
-import { inspectDirectory } from './CodeComplexityUtils.js';
+import { isAcceptedFileType } from '../../commons/AuditUtils.js';
+import {
+    buildAuditStats,
+    buildComplexityTreemap,
+    buildFullComplexityReport,
+} from './CodeComplexityBuilder.js';
+import { buildFunctionReports } from './CodeComplexityMetrics.js';
+import { inspectDirectoryInParallel } from './CodeComplexityUtils.js';
 
 /** @typedef {import('./CodeComplexityMetrics.js').AnalyzedFileEntry} AnalyzedFileEntry */
 /** @typedef {import('./CodeComplexityMetrics.js').MetricId} MetricId */
@@ -12,8 +17,13 @@ import { inspectDirectory } from './CodeComplexityUtils.js';
  *
  * @async
  * @param {string} directory - Root directory to analyze.
- * @param {Object} options   - Options (forwarded to `inspectDirectory` if needed).
- * @returns {Promise<{summary:Object, auditReports:Object[]} | {}>}
+ * @param {Object} options   - Options (forwarded to `inspectDirectoryInParallel` if needed).
+ * @param {Object} [options.inspect] - Inspection options (see `parseFile`).
+ * @param {Object} [options.limits]  - MI and cyclomatic bucket limits (see `buildAuditStats`).
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} [options.auditFiles] - Audited files (discovered from `directory` when missing).
+ * @param {import('../../commons/AuditCache.js').AuditCache} [options.cache] - Cache of the module analyses (hits and misses counted in `cache.stats`).
+ * @param {number} [options.concurrency=1] - Number of worker threads analyzing the files (`1`: no worker).
+ * @returns {Promise<{summary:Object, auditReports:Object[], functionReports:Object[], treemap:Object} | {}>}
  */
 export const startComplexityAudit = async (directory, options) => {
     try {
@@ -22,10 +32,14 @@ export const startComplexityAudit = async (directory, options) => {
 
         const inspectOpts = options?.inspect ?? options;
 
-        const { summary, files } = inspectDirectory({
-            srcDir: directory,
-            options: inspectOpts,
-        });
+        const { summary, files } =
+            (await inspectDirectoryInParallel({
+                srcDir: directory,
+                options: inspectOpts,
+                auditFiles: options?.auditFiles,
+                cache: options?.cache,
+                concurrency: options?.concurrency,
+            })) || {};
 
         AppLogger.info(`[CodeComplexityAuditor - startAudit] files:  ${files?.length}`);
         AppLogger.info(
@@ -38,7 +52,7 @@ export const startComplexityAudit = async (directory, options) => {
         const auditableEntries = files
             .filter((item) => {
                 const fileName = item.file;
-                return isAcceptedFileType(fileName) && !isExcludedFile(fileName);
+                return isAcceptedFileType(fileName);
             })
             .sort((a, b) => (a.fileMaintainability > b.fileMaintainability ? 1 : -1));
 
@@ -49,10 +63,15 @@ export const startComplexityAudit = async (directory, options) => {
             entries: auditableEntries,
             metricIds,
             summaryBase: summary,
-            buildAuditStats,
+            buildAuditStats: (reports) => buildAuditStats(reports, options?.limits),
+            limits: options?.limits,
         });
 
-        return { summary: combinedSummary, auditReports };
+        const functionReports = buildFunctionReports(auditableEntries, options?.limits);
+
+        const treemap = buildComplexityTreemap(auditableEntries, options?.limits);
+
+        return { summary: combinedSummary, auditReports, functionReports, treemap };
     } catch (error) {
         AppLogger.info(`[CodeComplexityAuditor - startAudit] error:  ${error.message}`);
         return {};
@@ -1,4 +1,5 @@
 import AppLogger from '../../commons/AppLogger.js';
+import { complexityAuditStatsDefaultLimits } from '../../commons/AuditUtils.js';
 import { buildMetricById } from './CodeComplexityMetrics.js';
 
 /** JSDoc type imports for editors/IDE (still plain JS). */
@@ -12,13 +13,46 @@ export const REPORT_TITLES = Object.freeze({
     mi: 'Maintainability Index IM (%)',
 });
 
+/** Metric id (stable key of the exported reports) by title of the Halstead reports. */
+export const HALSTEAD_METRIC_IDS = Object.freeze({
+    'Program Length (N)': 'halsteadLength',
+    'Program Volume (V)': 'halsteadVolume',
+    'Difficulty Level (D)': 'halsteadDifficulty',
+    'Implementation Effort (E) or Understanding': 'halsteadEffort',
+    'Number of estimated bugs in a module or function (B)': 'halsteadBugs',
+    'Time (T) to implement or understand the program': 'halsteadTime',
+});
+
+/** Metric id (stable key of the exported reports) by category of the other reports. */
+const METRIC_IDS = Object.freeze({
+    maintainability: 'maintainability',
+    'physical sloc': 'physicalSloc',
+    'logical sloc': 'logicalSloc',
+    cyclomatic: 'cyclomatic',
+});
+
+/**
+ * Reads the stable id of a metric report (e.g. `maintainability`, `halsteadVolume`).
+ * @param {MetricReport} report
+ * @returns {string|null}
+ */
+export const readMetricId = (report) =>
+    (report?.category === 'halstead'
+        ? HALSTEAD_METRIC_IDS[report.title]
+        : METRIC_IDS[report?.category]) || null;
+
 /**
  * Compose reports for selected metric ids over the same analyzed entries array.
  * @param {AnalyzedFileEntry[]} entries - From `inspectDirectory()`
  * @param {MetricId[]} [metricIds=['mi','sloc','cyclo','hal']]
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits (report statuses)
  * @returns {MetricReport[]} concatenated metric reports
  */
-export function composeComplexityReports(entries, metricIds = ['mi', 'sloc', 'cyclo', 'hal']) {
+export function composeComplexityReports(
+    entries,
+    metricIds = ['mi', 'sloc', 'cyclo', 'hal'],
+    limits = complexityAuditStatsDefaultLimits,
+) {
     /** @type {MetricReport[]} */
     const reports = [];
     const ids =
@@ -29,7 +63,7 @@ export function composeComplexityReports(entries, metricIds = ['mi', 'sloc', 'cy
             AppLogger.info(`[composeComplexityReports] Unknown metric id: ${id}`);
             continue;
         }
-        reports.push(...(fn(entries) || []));
+        reports.push(...(fn(entries, limits) || []));
     }
     return reports;
 }
@@ -38,11 +72,14 @@ export function composeComplexityReports(entries, metricIds = ['mi', 'sloc', 'cy
  * Aggregate audit statistics from a mixed set of metric reports.
  * Recognized titles: REPORT_TITLES.cyclomatic, REPORT_TITLES.mi
  * @param {MetricReport[]} reports
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits
  * @returns {Object} categorized counts and newline-joined file lists
  */
-export const buildAuditStats = (reports) => {
+export const buildAuditStats = (reports, limits = complexityAuditStatsDefaultLimits) => {
     if (!reports) return {};
 
+    const { maintainability: miLimits, cyclomatic: cyclomaticLimits } = limits;
+
     const complexityReports = reports
         .filter((item) => item.title === REPORT_TITLES.cyclomatic)
         .map((report) => ({ file: report?.file, cyclomatic: report?.score }));
@@ -53,27 +90,29 @@ export const buildAuditStats = (reports) => {
 
     // Maintainability buckets
     const badMaintainabilityFiles = maintainabilityReports.filter(
-        (r) => Math.ceil(r.maintainability) < 65,
+        (r) => Math.ceil(r.maintainability) < miLimits.moderate,
     );
     const moderateMaintainabilityFiles = maintainabilityReports.filter((r) => {
         const v = Math.ceil(r.maintainability);
-        return v < 85 && v >= 65;
+        return v < miLimits.good && v >= miLimits.moderate;
     });
     const goodMaintainabilityFiles = maintainabilityReports.filter(
-        (r) => Math.ceil(r.maintainability) >= 85,
+        (r) => Math.ceil(r.maintainability) >= miLimits.good,
     );
 
     // Cyclomatic buckets
     const goodCyclomaticFiles = complexityReports.filter(
-        (r) => r.cyclomatic <= 10 && r.cyclomatic >= 1,
+        (r) => r.cyclomatic <= cyclomaticLimits.moderate && r.cyclomatic >= 1,
     );
     const moderateCyclomaticFiles = complexityReports.filter(
-        (r) => r.cyclomatic <= 20 && r.cyclomatic > 10,
+        (r) => r.cyclomatic <= cyclomaticLimits.bad && r.cyclomatic > cyclomaticLimits.moderate,
     );
     const badCyclomaticFiles = complexityReports.filter(
-        (r) => r.cyclomatic <= 40 && r.cyclomatic > 20,
+        (r) => r.cyclomatic <= cyclomaticLimits.veryBad && r.cyclomatic > cyclomaticLimits.bad,
+    );
+    const veryBadCyclomaticFiles = complexityReports.filter(
+        (r) => r.cyclomatic > cyclomaticLimits.veryBad,
     );
-    const veryBadCyclomaticFiles = complexityReports.filter((r) => r.cyclomatic > 40);
 
     return {
         goodMaintainabilityTotal: goodMaintainabilityFiles.length,
@@ -116,6 +155,7 @@ export const buildAuditStats = (reports) => {
  * @param {MetricId[]} [params.metricIds=['mi','sloc','cyclo','hal']]
  * @param {Object} [params.summaryBase] - Existing summary fields (psloc/lsloc/MI averages, etc.)
  * @param {(reports: MetricReport[]) => Object} [params.buildAuditStats] - Derives counts/lists
+ * @param {Object} [params.limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits (report statuses)
  * @returns {{ summary: Object, auditReports: MetricReport[] }}
  */
 export function buildFullComplexityReport({
@@ -124,9 +164,145 @@ export function buildFullComplexityReport({
     metricIds,
     summaryBase = {},
     buildAuditStats,
+    limits = complexityAuditStatsDefaultLimits,
 }) {
     const analyzed = entries ?? files ?? [];
-    const auditReports = composeComplexityReports(analyzed, metricIds);
+    const auditReports = composeComplexityReports(analyzed, metricIds, limits);
     const stats = buildAuditStats ? buildAuditStats(auditReports) : {};
     return { summary: { ...summaryBase, ...stats }, auditReports };
 }
+
+/**
+ * Node of the complexity treemap: a directory (with `children`) or a file.
+ * @typedef {Object} ComplexityTreemapNode
+ * @property {string} name - File or directory name.
+ * @property {string} path - Path relative to the audited directory (`''` for the root).
+ * @property {number} logicalSloc - Logical SLOC (sum of the files of a directory): the area.
+ * @property {number} files - Number of files.
+ * @property {number|null} maintainability - Maintainability index (%), averaged over the files of
+ * a directory weighted by their logical SLOC.
+ * @property {number|null} cyclomatic - Cyclomatic complexity (sum of the files of a directory).
+ * @property {number|null} [maxCyclomatic] - Highest cyclomatic complexity of the files of a directory (directories only).
+ * @property {('good'|'moderate'|'bad')|null} maintainabilityStatus - Maintainability bucket.
+ * @property {('good'|'moderate'|'bad'|'veryBad')|null} cyclomaticStatus - Cyclomatic bucket (of the
+ * highest file value for a directory, since the limits are per-file limits).
+ * @property {ComplexityTreemapNode[]} [children] - Subdirectories and files (directories only).
+ */
+
+/**
+ * Reads the maintainability bucket of a value (same limits as `buildAuditStats`).
+ * @param {number|null} maintainability
+ * @param {Object} limits - MI and cyclomatic bucket limits.
+ * @returns {('good'|'moderate'|'bad')|null}
+ */
+const readMaintainabilityStatus = (maintainability, { maintainability: miLimits }) => {
+    if (typeof maintainability !== 'number') return null;
+    if (Math.ceil(maintainability) >= miLimits.good) return 'good';
+    return Math.ceil(maintainability) >= miLimits.moderate ? 'moderate' : 'bad';
+};
+
+/**
+ * Reads the cyclomatic complexity bucket of a value (same limits as `buildAuditStats`).
+ * @param {number|null} cyclomatic
+ * @param {Object} limits - MI and cyclomatic bucket limits.
+ * @returns {('good'|'moderate'|'bad'|'veryBad')|null}
+ */
+const readCyclomaticStatus = (cyclomatic, { cyclomatic: cyclomaticLimits }) => {
+    if (typeof cyclomatic !== 'number') return null;
+    if (cyclomatic <= cyclomaticLimits.moderate) return 'good';
+    if (cyclomatic <= cyclomaticLimits.bad) return 'moderate';
+    return cyclomatic <= cyclomaticLimits.veryBad ? 'bad' : 'veryBad';
+};
+
+/**
+ * Rolls the file values up a directory node (children sorted by decreasing logical SLOC).
+ * @param {ComplexityTreemapNode} node
+ * @param {Object} limits - MI and cyclomatic bucket limits.
+ * @returns {ComplexityTreemapNode}
+ */
+const rollupTreemapNode = (node, limits) => {
+    if (!node.children) {
+        return {
+            ...node,
+            maintainabilityStatus: readMaintainabilityStatus(node.maintainability, limits),
+            cyclomaticStatus: readCyclomaticStatus(node.cyclomatic, limits),
+        };
+    }
+
+    const children = node.children
+        .map((child) => rollupTreemapNode(child, limits))
+        .sort((a, b) => b.logicalSloc - a.logicalSloc || a.name.localeCompare(b.name));
+    const logicalSloc = children.reduce((sum, child) => sum + child.logicalSloc, 0);
+    const weighted = children.filter((child) => typeof child.maintainability === 'number');
+    const weight = weighted.reduce((sum, child) => sum + Math.max(child.logicalSloc, 1), 0);
+    const maintainability = weighted.length
+        ? Number(
+              (
+                  weighted.reduce(
+                      (sum, child) => sum + child.maintainability * Math.max(child.logicalSloc, 1),
+                      0,
+                  ) / weight
+              ).toFixed(2),
+          )
+        : null;
+    const cyclomatic = children.reduce((sum, child) => sum + (child.cyclomatic || 0), 0);
+    const cyclomatics = children
+        .map((child) => (child.children ? child.maxCyclomatic : child.cyclomatic))
+        .filter((value) => typeof value === 'number');
+    const maxCyclomatic = cyclomatics.length ? Math.max(...cyclomatics) : null;
+
+    return {
+        ...node,
+        logicalSloc,
+        files: children.reduce((sum, child) => sum + child.files, 0),
+        maintainability,
+        cyclomatic,
+        maxCyclomatic,
+        maintainabilityStatus: readMaintainabilityStatus(maintainability, limits),
+        cyclomaticStatus: readCyclomaticStatus(maxCyclomatic, limits),
+        children,
+    };
+};
+
+/**
+ * Build the directory hierarchy of the analyzed files (complexity treemap): the area of a node
+ * is its logical SLOC, its color its maintainability index or cyclomatic complexity.
+ *
+ * @param {AnalyzedFileEntry[]} entries - From `inspectDirectory()` (`fileSLOC`, `fileMaintainability`, `fileComplexity`).
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits.
+ * @returns {ComplexityTreemapNode} The root directory.
+ *
+ * @example
+ * const treemap = buildComplexityTreemap(entries);
+ * treemap.children.map((child) => `${child.path}: ${child.logicalSloc}`);
+ */
+export const buildComplexityTreemap = (entries, limits = complexityAuditStatsDefaultLimits) => {
+    const root = { name: '', path: '', children: [] };
+
+    (entries || []).forEach((entry) => {
+        const segments = String(entry.file).split(/[\\/]/).filter(Boolean);
+        const directory = segments.slice(0, -1).reduce((parent, segment) => {
+            const childPath = parent.path ? `${parent.path}/${segment}` : segment;
+            let child = parent.children.find((item) => item.children && item.name === segment);
+            if (!child) {
+                child = { name: segment, path: childPath, children: [] };
+                parent.children.push(child);
+            }
+            return child;
+        }, root);
+
+        directory.children.push({
+            name: segments[segments.length - 1],
+            path: segments.join('/'),
+            logicalSloc: entry.fileSLOC?.logical || 0,
+            files: 1,
+            maintainability:
+                typeof entry.fileMaintainability === 'number'
+                    ? Number(entry.fileMaintainability.toFixed(2))
+                    : null,
+            cyclomatic: entry.fileComplexity?.cyclomatic ?? null,
+        });
+    });
+
+    return rollupTreemapNode(root, limits);
+};
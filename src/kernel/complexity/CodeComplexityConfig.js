@@ -1,13 +1,112 @@
+import { escapeHtmlScript } from '../../commons/AuditHtml.js';
+import { complexityAuditStatsDefaultLimits } from '../../commons/AuditUtils.js';
 import Matcher from '../../commons/Matcher.js';
 
+/**
+ * Format the script drawing the complexity treemap (squarified layout, nested by directory):
+ * the area of a file is its logical SLOC, its color the selected metric bucket.
+ * @returns {string}
+ */
+const formatTreemapScript = () => `
+        const treemapColors = { good: "#4caf50", moderate: "#ffb300", bad: "#e53935", veryBad: "#8e0000" };
+        const treemapDiv = document.getElementById("treemap");
+        const treemapMetric = document.getElementById("treemap-metric");
+
+        // Squarified treemap: lays the nodes out in rows keeping the rectangles close to squares
+        const layoutTreemap = (nodes, rect) => {
+            const items = nodes.filter((node) => node.logicalSloc > 0);
+            const total = items.reduce((sum, node) => sum + node.logicalSloc, 0);
+            const scale = total ? (rect.width * rect.height) / total : 0;
+            const rects = [];
+            const worstRatio = (row, side) => {
+                const areas = row.map((node) => node.logicalSloc * scale);
+                const sum = areas.reduce((a, b) => a + b, 0);
+                return Math.max((side * side * Math.max(...areas)) / (sum * sum), (sum * sum) / (side * side * Math.min(...areas)));
+            };
+            const layoutRow = (row, free) => {
+                const area = row.reduce((sum, node) => sum + node.logicalSloc * scale, 0);
+                const vertical = free.width >= free.height;
+                const thickness = area / (vertical ? free.height : free.width);
+                let offset = vertical ? free.y : free.x;
+                row.forEach((node) => {
+                    const length = (node.logicalSloc * scale) / thickness;
+                    rects.push(vertical
+                        ? { node, x: free.x, y: offset, width: thickness, height: length }
+                        : { node, x: offset, y: free.y, width: length, height: thickness });
+                    offset += length;
+                });
+                return vertical
+                    ? { x: free.x + thickness, y: free.y, width: free.width - thickness, height: free.height }
+                    : { x: free.x, y: free.y + thickness, width: free.width, height: free.height - thickness };
+            };
+            let free = rect;
+            let row = [];
+            items.forEach((node) => {
+                const side = Math.min(free.width, free.height);
+                if (!row.length || worstRatio([...row, node], side) <= worstRatio(row, side)) {
+                    row.push(node);
+                } else {
+                    free = layoutRow(row, free);
+                    row = [node];
+                }
+            });
+            if (row.length) layoutRow(row, free);
+            return rects;
+        };
+
+        const describeTreemapNode = (node) => (node.path || "/") + "\\n" + (node.children ? node.files + " files, " : "")
+            + node.logicalSloc + " logical SLOC\\nMaintainability: " + node.maintainability + " %\\nCyclomatic: " + node.cyclomatic
+            + (node.children ? " (max per file: " + node.maxCyclomatic + ")" : "");
+
+        const drawTreemapNode = ({ node, x, y, width, height }, metric) => {
+            const box = document.createElement("div");
+            box.className = "treemap-node";
+            Object.assign(box.style, { left: x + "px", top: y + "px", width: Math.max(width - 2, 0) + "px", height: Math.max(height - 2, 0) + "px" });
+            box.title = describeTreemapNode(node);
+            if (!node.children) {
+                box.style.backgroundColor = treemapColors[node[metric + "Status"]] || "#bdbdbd";
+                if (width > 40 && height > 14) box.textContent = node.name;
+                return [box];
+            }
+            box.classList.add("treemap-directory");
+            // the directory name is drawn in a header when there is room for it
+            const header = width > 40 && height > 36 ? 16 : 0;
+            if (header) {
+                const label = document.createElement("div");
+                label.className = "treemap-label";
+                label.textContent = node.name + "/";
+                box.appendChild(label);
+            }
+            const children = layoutTreemap(node.children, { x: x + 2, y: y + header + 2, width: width - 6, height: height - header - 6 });
+            return [box, ...children.flatMap((child) => drawTreemapNode(child, metric))];
+        };
+
+        const drawTreemap = () => {
+            treemapDiv.innerHTML = "";
+            const root = codeComplexityReport.treemap;
+            if (!root?.children?.length) {
+                treemapDiv.textContent = "No file to display.";
+                return;
+            }
+            const rect = { x: 0, y: 0, width: treemapDiv.clientWidth, height: treemapDiv.clientHeight };
+            layoutTreemap(root.children, rect)
+                .flatMap((child) => drawTreemapNode(child, treemapMetric.value))
+                .forEach((box) => treemapDiv.appendChild(box));
+        };
+        treemapMetric.addEventListener("change", drawTreemap);
+        window.addEventListener("resize", drawTreemap);
+        drawTreemap();`;
+
 /**
  * Format Html Complexity Reports
  * @param {object} summary - The audit summary
  * @param {Object} reports - The reports grouped by file
+ * @param {Object} [functions] - The function reports grouped by file
+ * @param {Object} [treemap] - The directory hierarchy of the files (see `buildComplexityTreemap`)
  * @returns {string} - The html report
  */
-export const formatCodeComplexityHtmlReport = ({ summary, reports }) => {
-    const codeComplexityReport = { summary, reports };
+export const formatCodeComplexityHtmlReport = ({ summary, reports, functions, treemap }) => {
+    const codeComplexityReport = { summary, reports, functions: functions || {}, treemap };
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -26,6 +125,10 @@ export const formatCodeComplexityHtmlReport = ({ summary, reports }) => {
         th, td { padding: 8px; border: 1px solid #ddd; text-align: left; }
         th { background-color: #f4f4f4; }
         .help { font-size: 14px; color: gray; margin-top: 8px; }
+        #treemap { position: relative; width: 100%; height: 500px; overflow: hidden; }
+        .treemap-node { position: absolute; box-sizing: border-box; border: 1px solid #fff; overflow: hidden; font-size: 11px; color: #fff; padding: 1px 2px; white-space: nowrap; text-overflow: ellipsis; }
+        .treemap-directory { background-color: #eeeeee; border-color: #9e9e9e; color: #333; }
+        .treemap-label { font-weight: bold; line-height: 14px; overflow: hidden; text-overflow: ellipsis; }
     </style>
 </head>
 <body>
@@ -43,6 +146,21 @@ export const formatCodeComplexityHtmlReport = ({ summary, reports }) => {
             <span class="help">- Maintainability: A measure designed to track maintainability and indicate when it becomes less costly or less risky to rewrite the code instead of modifying it.<br></span>
         </div>
         
+        <div class="section">
+            <h2>Most Complex Functions</h2>
+            <table id="top-functions">
+                <tr><th>Function</th><th>File</th><th>Lines</th><th>Cyclomatic</th><th>Status</th></tr>
+            </table>
+            <span class="help">- The functions with the highest cyclomatic complexity across the project, whatever the size of the file they live in.<br></span>
+        </div>
+
+        <div class="section">
+            <h2>Complexity Treemap</h2>
+            <p><label>Color: <select id="treemap-metric"><option value="maintainability">Maintainability</option><option value="cyclomatic">Cyclomatic Complexity</option></select></label></p>
+            <div id="treemap"></div>
+            <span class="help">- Files are nested by directory, the area of a file is its logical SLOC, its color the status of the selected metric (green: good, orange: moderate, red: bad, dark red: very bad). Hover a file or a directory to see its metrics (directories: maintainability averaged by logical SLOC, total cyclomatic complexity).<br></span>
+        </div>
+
         <input type="text" class="search" placeholder="Search files..." id="search">
         
         <div class="section">
@@ -52,7 +170,8 @@ export const formatCodeComplexityHtmlReport = ({ summary, reports }) => {
     </div>
     
     <script>
-        const codeComplexityReport = ${JSON.stringify(codeComplexityReport, null, 2)};
+        const codeComplexityReport = ${JSON.stringify(codeComplexityReport, null, 2).replace(/</g, '\\u003c')};
+        ${escapeHtmlScript}
 
         // Fill summary data
         if (codeComplexityReport?.summary?.average) {
@@ -66,6 +185,20 @@ export const formatCodeComplexityHtmlReport = ({ summary, reports }) => {
             document.getElementById("avg-maintainability").textContent += ' %';
         }
 
+        // Populate Most Complex Functions
+        const topFunctionsTable = document.getElementById("top-functions");
+        Object.entries(codeComplexityReport.functions)
+            .flatMap(([file, fileFunctions]) => fileFunctions.map(fn => ({ ...fn, file })))
+            .sort((a, b) => b.cyclomatic - a.cyclomatic)
+            .slice(0, 10)
+            .forEach(fn => {
+                const row = document.createElement("tr");
+                row.innerHTML = \`<td>\${escapeHtml(fn.name)}</td><td>\${escapeHtml(fn.file)}</td><td>\${fn.lineStart}-\${fn.lineEnd}</td><td>\${fn.cyclomatic}</td><td>\${fn.status}</td>\`;
+                topFunctionsTable.appendChild(row);
+            });
+
+${formatTreemapScript()}
+
         // Populate File Reports
         if (codeComplexityReport?.reports && Object.keys(codeComplexityReport.reports).length !== 0) {
             const reportsDiv = document.getElementById("reports");
@@ -96,10 +229,26 @@ export const formatCodeComplexityHtmlReport = ({ summary, reports }) => {
                 table.innerHTML = \`<tr><th>Metric</th><th>Score</th></tr>\`;
                 metrics.forEach(metric => {
                     const row = document.createElement("tr");
-                    row.innerHTML = \`<td>\${metric.title}</td><td>\${metric.score}</td>\`;
+                    row.innerHTML = \`<td>\${metric.title}</td><td>\${metric.score} \${metric.unit}</td>\`;
                     table.appendChild(row);
                 });
                 detailsDiv.appendChild(table);
+
+                const fileFunctions = codeComplexityReport.functions[file] || [];
+                if (fileFunctions.length) {
+                    const functionsTable = document.createElement("table");
+                    functionsTable.innerHTML = \`<tr><th>Function</th><th>Lines</th><th>Params</th><th>Cyclomatic</th><th>Logical SLOC</th><th>Halstead Volume</th><th>Halstead Difficulty</th><th>Halstead Effort</th><th>Estimated Bugs</th></tr>\`;
+                    fileFunctions.forEach(fn => {
+                        const row = document.createElement("tr");
+                        row.innerHTML = \`<td>\${escapeHtml(fn.name)}</td><td>\${fn.lineStart}-\${fn.lineEnd}</td><td>\${fn.params}</td><td>\${fn.cyclomatic} (\${fn.status})</td><td>\${fn.sloc.logical}</td><td>\${Number(fn.halstead.volume.toFixed(2))}</td><td>\${Number(fn.halstead.difficulty.toFixed(2))}</td><td>\${Number(fn.halstead.effort.toFixed(2))}</td><td>\${Number(fn.halstead.bugs.toFixed(3))}</td>\`;
+                        functionsTable.appendChild(row);
+                    });
+                    const functionsTitle = document.createElement("h4");
+                    functionsTitle.textContent = "Functions";
+                    detailsDiv.appendChild(functionsTitle);
+                    detailsDiv.appendChild(functionsTable);
+                }
+
                 fileDiv.appendChild(detailsDiv);
 
                 reportsDiv.appendChild(fileDiv);
@@ -235,31 +384,52 @@ export const formatHalsteadReports = (halsteadMetrics, file) => {
 };
 
 /**
- * Format Cyclomatic Complexity Report
+ * Get the risk status of a cyclomatic complexity value
  * @param {number} cyclomaticMetric
- * @param {string} file
- * @return {object}
- *
- * */
-export const formatCyclomaticComplexityReport = (cyclomaticMetric, file) => {
-    const complexityStatus = Matcher()
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits
+ * @return {string}
+ */
+export const getCyclomaticComplexityStatus = (
+    cyclomaticMetric,
+    limits = complexityAuditStatsDefaultLimits,
+) => {
+    const { moderate, bad, veryBad } = limits.cyclomatic;
+
+    return Matcher()
         .on(
-            () => cyclomaticMetric <= 10,
+            () => cyclomaticMetric <= moderate,
             () => 'Low risk',
         )
         .on(
-            () => cyclomaticMetric > 10 && cyclomaticMetric <= 20,
+            () => cyclomaticMetric > moderate && cyclomaticMetric <= bad,
             () => 'Moderate risk',
         )
         .on(
-            () => cyclomaticMetric > 20 && cyclomaticMetric <= 40,
+            () => cyclomaticMetric > bad && cyclomaticMetric <= veryBad,
             () => 'High risk',
         )
         .on(
-            () => cyclomaticMetric > 40,
+            () => cyclomaticMetric > veryBad,
             () => 'Most complex and highly unstable',
         )
         .otherwise(() => '');
+};
+
+/**
+ * Format Cyclomatic Complexity Report
+ * @param {number} cyclomaticMetric
+ * @param {string} file
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits
+ * @return {object}
+ *
+ * */
+export const formatCyclomaticComplexityReport = (
+    cyclomaticMetric,
+    file,
+    limits = complexityAuditStatsDefaultLimits,
+) => {
+    const complexityStatus = getCyclomaticComplexityStatus(cyclomaticMetric, limits);
+    const { moderate, bad, veryBad } = limits.cyclomatic;
 
     return {
         type: 'code-complexity',
@@ -267,10 +437,10 @@ export const formatCyclomaticComplexityReport = (cyclomaticMetric, file) => {
         title: 'Cyclomatic Complexity',
         description: `Cyclomatic Complexity corresponds to the number of conditional branches in a program's flowchart (the number of linearly independent paths).
           The larger the cyclomatic number, the more execution paths there will be in the function, and the more difficult it will be to understand and test:
-          - If the cyclomatic number is 1 to 10, then the code is structured, well written, highly testable, the cost and effort are less.
-          - If the cyclomatic number is 10 to 20, the code is complex and moderately testable, and the cost and effort are medium.
-          - If the cyclomatic number is 20 to 40, then the code is very complex and poorly testable, and the cost and effort are high.
-          - If the cyclomatic number is > 40, it is not testable at all, and the cost and effort are very high.
+          - If the cyclomatic number is 1 to ${moderate}, then the code is structured, well written, highly testable, the cost and effort are less.
+          - If the cyclomatic number is ${moderate} to ${bad}, the code is complex and moderately testable, and the cost and effort are medium.
+          - If the cyclomatic number is ${bad} to ${veryBad}, then the code is very complex and poorly testable, and the cost and effort are high.
+          - If the cyclomatic number is > ${veryBad}, it is not testable at all, and the cost and effort are very high.
 
 The cyclomatic complexity report (or McCabe complexity report) presents the cyclomatic complexity (general measure of the solidity and reliability of a program) for the selected project entity.`,
         status: complexityStatus,
@@ -283,26 +453,76 @@ The cyclomatic complexity report (or McCabe complexity report) presents the cycl
     };
 };
 
+/**
+ * Format Function Complexity Report
+ * @param {object} functionMetrics - A function overview (name, line range, params, cyclomatic, sloc, halstead)
+ * @param {string} file
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits
+ * @return {object}
+ */
+export const formatFunctionComplexityReport = (
+    functionMetrics,
+    file,
+    limits = complexityAuditStatsDefaultLimits,
+) => {
+    const { name, lineStart, lineEnd, paramCount, cyclomatic, sloc, halstead } =
+        functionMetrics || {};
+
+    return {
+        type: 'code-complexity',
+        category: 'function',
+        title: 'Function Complexity',
+        description:
+            'Function Complexity: cyclomatic complexity, SLOC and Halstead measures of a single function or class method. A complex function hidden in a large file is not visible in the file-level averages.',
+        status: getCyclomaticComplexityStatus(cyclomatic, limits),
+        name: name || '<anonymous>',
+        lineStart: lineStart || null,
+        lineEnd: lineEnd || null,
+        params: paramCount || 0,
+        cyclomatic: cyclomatic || 0,
+        sloc: {
+            physical: sloc?.physical || 0,
+            logical: sloc?.logical || 0,
+        },
+        halstead: {
+            length: halstead?.length || 0,
+            vocabulary: halstead?.vocabulary || 0,
+            volume: halstead?.volume || 0,
+            difficulty: halstead?.difficulty || 0,
+            effort: halstead?.effort || 0,
+            bugs: halstead?.bugs || 0,
+            time: halstead?.time || 0,
+        },
+        file,
+    };
+};
+
 /**
  * Format MaintainabilityIndex report
  * @param {number} fileMaintainability
  * @param {string} file
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits
  * @return {object}
  * */
-export const formatMaintainabilityIndexReport = (fileMaintainability, file) => {
+export const formatMaintainabilityIndexReport = (
+    fileMaintainability,
+    file,
+    limits = complexityAuditStatsDefaultLimits,
+) => {
+    const { moderate, good } = limits.maintainability;
+    // Rounded up, as in the buckets of the summary (`buildAuditStats`)
+    const maintainability = Math.ceil(fileMaintainability || 0);
     const maintainabilityStatus = Matcher()
         .on(
-            () => Math.round(fileMaintainability || 0) < 65,
+            () => maintainability < moderate,
             () => 'Low Maintainability',
         )
         .on(
-            () => Math.round(fileMaintainability || 0) >= 85,
+            () => maintainability >= good,
             () => 'High Maintainability',
         )
         .on(
-            () =>
-                Math.round(fileMaintainability || 0) >= 65 &&
-                Math.round(fileMaintainability || 0) < 85,
+            () => maintainability >= moderate && maintainability < good,
             () => 'Moderate Maintainability',
         )
         .otherwise(() => '');
@@ -312,9 +532,9 @@ export const formatMaintainabilityIndexReport = (fileMaintainability, file) => {
         category: 'maintainability',
         title: 'Maintainability Index IM (%)',
         description: `The maintainability index is a measure designed to track maintainability and indicate when it becomes less costly or less risky to rewrite the code instead of modifying it.
-    - 85 and above: good maintainability.
-    - 65–85: moderate maintainability.
-    - < 65: difficult to maintain.
+    - ${good} and above: good maintainability.
+    - ${moderate}–${good}: moderate maintainability.
+    - < ${moderate}: difficult to maintain.
     The maintainability index is calculated using the following formula:
     171 - 5.2 * ln(Halstead Volume) - 0.23 * (Cyclomatic Complexity) - 16.2 * ln(Number of statements)
     - V represents the Halstead Volume.
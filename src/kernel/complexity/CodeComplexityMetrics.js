@@ -1,6 +1,8 @@
+import { complexityAuditStatsDefaultLimits } from '../../commons/AuditUtils.js';
 import {
     formatCyclomaticComplexityReport,
     formatFileSLOCIndicators,
+    formatFunctionComplexityReport,
     formatHalsteadReports,
     formatMaintainabilityIndexReport,
 } from './CodeComplexityConfig.js';
@@ -23,6 +25,19 @@ import {
  * @property {number} fileMaintainability
  * @property {{ cyclomatic?: number, halstead?: Object }} fileComplexity
  * @property {{ physical?: number, logical?: number }} fileSLOC
+ * @property {FunctionOverview[]} [fileFunctions]
+ */
+
+/**
+ * A single function (or class method) kept by `getOverviewReport()`.
+ * @typedef {Object} FunctionOverview
+ * @property {string} name
+ * @property {number} lineStart
+ * @property {number} lineEnd
+ * @property {number} paramCount
+ * @property {number} cyclomatic
+ * @property {{ physical?: number, logical?: number }} sloc
+ * @property {Object} halstead
  */
 
 /** Legacy alias kept for compatibility. */
@@ -41,15 +56,19 @@ import {
 /**
  * Build Maintainability Index reports for analyzed entries.
  * @param {AnalyzedFileEntry[]} [entries=[]]
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits
  * @returns {MetricReport[]}
  */
-export function buildMaintainabilityReports(entries = []) {
+export function buildMaintainabilityReports(
+    entries = [],
+    limits = complexityAuditStatsDefaultLimits,
+) {
     /** @type {MetricReport[]} */
     const out = [];
     for (const item of entries) {
         const { file, fileMaintainability } = item || {};
         if (!file) continue;
-        out.push(formatMaintainabilityIndexReport(fileMaintainability, file));
+        out.push(formatMaintainabilityIndexReport(fileMaintainability, file, limits));
     }
     return out;
 }
@@ -73,16 +92,35 @@ export function buildSLOCReports(entries = []) {
 /**
  * Build Cyclomatic Complexity reports.
  * @param {AnalyzedFileEntry[]} [entries=[]]
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits
  * @returns {MetricReport[]}
  */
-export function buildCyclomaticReports(entries = []) {
+export function buildCyclomaticReports(entries = [], limits = complexityAuditStatsDefaultLimits) {
     /** @type {MetricReport[]} */
     const out = [];
     for (const item of entries) {
         const { file, fileComplexity } = item || {};
         if (!file) continue;
         const { cyclomatic } = fileComplexity || {};
-        out.push(formatCyclomaticComplexityReport(cyclomatic, file));
+        out.push(formatCyclomaticComplexityReport(cyclomatic, file, limits));
+    }
+    return out;
+}
+
+/**
+ * Build per-function complexity reports (one report per function or class method).
+ * @param {AnalyzedFileEntry[]} [entries=[]]
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic bucket limits
+ * @returns {Object[]}
+ */
+export function buildFunctionReports(entries = [], limits = complexityAuditStatsDefaultLimits) {
+    const out = [];
+    for (const item of entries) {
+        const { file, fileFunctions } = item || {};
+        if (!file) continue;
+        for (const func of fileFunctions || []) {
+            out.push(formatFunctionComplexityReport(func, file, limits));
+        }
     }
     return out;
 }
@@ -107,7 +145,7 @@ export function buildHalsteadMetricReports(entries = []) {
 /**
  * Lookup a per-metric builder function by id.
  * @param {MetricId} id - 'mi' | 'sloc' | 'cyclo' | 'hal'
- * @returns {(entries: AnalyzedFileEntry[]) => MetricReport[] | undefined}
+ * @returns {(entries: AnalyzedFileEntry[], limits?: Object) => MetricReport[] | undefined}
  */
 export const buildMetricById = (id) =>
     ({
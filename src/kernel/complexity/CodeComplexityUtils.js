@@ -2,16 +2,48 @@ import fs from 'fs-extra';
 import lodash from 'lodash';
 import path from 'path';
 import TyphonEscomplex from 'typhonjs-escomplex';
+import { Worker } from 'worker_threads';
 
 import AppLogger from '../../commons/AppLogger.js';
+import { buildAuditReportHeader } from '../../commons/AuditSchema.js';
 import {
     complexityParserOptions,
     complexityReportOptions,
     getFiles,
     parseFile,
 } from '../../commons/AuditUtils.js';
+import { readMetricId } from './CodeComplexityBuilder.js';
 import { formatCodeComplexityHtmlReport } from './CodeComplexityConfig.js';
 
+/**
+ * Runs escomplex on a module, unless its report is cached: reports are cached under the
+ * analyzed source, the analyzer and parser options and the tool version.
+ * @param {string} source - The source code to analyze.
+ * @param {Object} options - The options for the escomplex module analyzer.
+ * @param {import('../../commons/AuditCache.js').AuditCache} [cache] - The analysis cache.
+ * @returns {Object} - Returns the escomplex report (plain object when cached).
+ */
+const analyzeModule = (source, options, cache) => {
+    if (!cache) {
+        return TyphonEscomplex.analyzeModule(source, options, complexityParserOptions);
+    }
+
+    const cacheKey = cache.buildKey('complexity', source, {
+        options,
+        parserOptions: complexityParserOptions,
+    });
+    const cachedReport = cache.read('complexity', cacheKey);
+    if (cachedReport) {
+        return cachedReport;
+    }
+
+    const report = TyphonEscomplex.analyzeModule(source, options, complexityParserOptions);
+    // the JSON form of the report holds every field read afterwards
+    cache.write('complexity', cacheKey, report);
+
+    return report;
+};
+
 /**
  * Processes the source code to generate a complexity report.
  * @param {string} source - The source code to analyze.
@@ -34,7 +66,7 @@ function process(source, options, reportInfo) {
     // http://www.literateprogramming.com/mccabe.pdf
     // http://horst-zuse.homepage.t-online.de/z-halstead-final-05-1.pdf
     // https://avandeursen.com/2014/08/29/think-twice-before-using-the-maintainability-index/
-    const report = TyphonEscomplex.analyzeModule(source, options, complexityParserOptions);
+    const report = analyzeModule(source, options, reportInfo.cache);
     AppLogger.info(`[CodeComplexityUtils - process] report:  ${report}`);
 
     // Make the short filename easily accessible
@@ -55,6 +87,12 @@ function process(source, options, reportInfo) {
             },
         );
 
+        // restore the original line numbers when empty lines were skipped before analysis
+        if (reportInfo.lineMap?.length) {
+            func.lineStart = reportInfo.lineMap[func.lineStart - 1] || func.lineStart;
+            func.lineEnd = reportInfo.lineMap[func.lineEnd - 1] || func.lineEnd;
+        }
+
         func.line = func.line || func.lineStart;
 
         return func;
@@ -89,6 +127,29 @@ export const analyzers = {
     },
 };
 
+/**
+ * Keeps the per-function values needed by the function-level report.
+ * @param {Object} func - A function (or class method) report from `process`.
+ * @returns {Object} - Returns the function name, line range, params, cyclomatic, SLOC and Halstead values.
+ */
+const getFunctionOverview = (func) => ({
+    name: func.name,
+    lineStart: func.lineStart,
+    lineEnd: func.lineEnd,
+    paramCount: func.paramCount,
+    cyclomatic: func.cyclomatic,
+    sloc: lodash.clone(func.sloc),
+    halstead: lodash.pick(func.halstead, [
+        'bugs',
+        'difficulty',
+        'effort',
+        'length',
+        'time',
+        'vocabulary',
+        'volume',
+    ]),
+});
+
 /**
  * Filters out information unused in the overview for space/performance.
  * @param {Array} reports - The reports to filter.
@@ -127,6 +188,7 @@ export const getOverviewReport = (reports) => {
                     physical: report.complexity.aggregate.sloc.physical,
                     logical: report.complexity.aggregate.sloc.logical,
                 },
+                fileFunctions: (report.complexity.functions || []).map(getFunctionOverview),
             });
         }
     });
@@ -152,21 +214,24 @@ export const getOverviewReport = (reports) => {
  * @param {string} params.file - The path to the file.
  * @param {string} params.basePath - The common base path for all files.
  * @param {Object} params.options - The options for parsing and reporting.
+ * @param {import('../../commons/AuditCache.js').AuditCache} [params.cache] - The analysis cache.
  * @returns {Object|null} An object containing the reports for each analyzer, or null if an error occurs.
  */
-const inspectFile = ({ file, basePath, options }) => {
+export const inspectFile = ({ file, basePath, options, cache }) => {
     try {
         const report = parseFile(file, basePath, options);
         if (!report) {
             return null;
         }
 
-        const { fileSafe, fileShort, source } = report;
+        const { fileSafe, fileShort, source, lineMap } = report;
 
         const reportInfo = {
             file,
             fileShort,
             fileSafe,
+            lineMap,
+            cache,
         };
 
         // run reports against current file
@@ -192,15 +257,25 @@ const inspectFile = ({ file, basePath, options }) => {
     }
 };
 
+/**
+ * Checks that a file inspection produced at least one analyzer report.
+ * @param {Object|null} report - Result of `inspectFile`.
+ * @returns {boolean}
+ */
+const isInspectedFileReport = (report) => Boolean(report && Object.keys(report).length > 0);
+
 /**
  * Inspect directory files.
- * @param {string} srcDir - The directory to parse.
- * @param {Object} options - The options for the parser.
+ * @param {Object} params - The parameters for the inspection.
+ * @param {string} params.srcDir - The directory to parse.
+ * @param {Object} params.options - The options for the parser.
+ * @param {Object} [params.auditFiles] - Already discovered audited files (`files` and `basePath`).
+ * @param {import('../../commons/AuditCache.js').AuditCache} [params.cache] - The analysis cache.
  * @returns {Array} - Returns an array containing the reports.
  */
-const inspectFiles = (srcDir, options) => {
+const inspectFiles = ({ srcDir, options, auditFiles, cache }) => {
     try {
-        const { files, basePath } = getFiles(srcDir);
+        const { files, basePath } = auditFiles || getFiles(srcDir);
         AppLogger.info(`[CodeComplexityUtils - inspectFiles] files:  ${files?.length}`);
         AppLogger.info(`[CodeComplexityUtils - inspectFiles] basePath:  ${basePath}`);
 
@@ -221,8 +296,9 @@ const inspectFiles = (srcDir, options) => {
                 file,
                 basePath,
                 options: mergedOptions,
+                cache,
             });
-            if (report && Object.keys(report) && Object.keys(report).length > 0) {
+            if (isInspectedFileReport(report)) {
                 reports.push(report);
             }
         }
@@ -239,13 +315,17 @@ const inspectFiles = (srcDir, options) => {
 /**
  * Inspects the source directory.
  * @param {Object} params - The parameters for the inspection.
+ * @param {string} params.srcDir - The directory to inspect.
+ * @param {Object} params.options - The options for the parser.
+ * @param {Object} [params.auditFiles] - Already discovered audited files (discovered from `srcDir` when missing).
+ * @param {import('../../commons/AuditCache.js').AuditCache} [params.cache] - The analysis cache (no caching when missing).
  * @returns {Object} - Returns an object containing the overview report.
  */
-export const inspectDirectory = ({ srcDir, options }) => {
+export const inspectDirectory = ({ srcDir, options, auditFiles, cache }) => {
     try {
         AppLogger.info(`[CodeComplexityUtils - inspectDirectory] srcDir:  ${srcDir}`);
 
-        const reports = inspectFiles(srcDir, options);
+        const reports = inspectFiles({ srcDir, options, auditFiles, cache });
 
         AppLogger.info(`[CodeComplexityUtils - inspectDirectory] reports:  ${reports?.length}`);
 
@@ -256,6 +336,156 @@ export const inspectDirectory = ({ srcDir, options }) => {
     }
 };
 
+/**
+ * Entry point of the complexity analysis worker threads.
+ * @type {URL}
+ */
+const complexityWorkerUrl = new URL('./CodeComplexityWorker.js', import.meta.url);
+
+/**
+ * Inspects files over a pool of worker threads.
+ * Each worker is handed the next file as soon as it is done with the previous one, and the reports
+ * are put back in the order of `files`, so that the result is the same as a serial inspection.
+ *
+ * @async
+ * @param {Object} params - The parameters for the inspection.
+ * @param {string[]} params.files - The files to inspect.
+ * @param {string} params.basePath - The common base path for all files.
+ * @param {Object} params.options - The options for parsing and reporting.
+ * @param {import('../../commons/AuditCache.js').AuditCache} [params.cache] - The analysis cache
+ * (shared on disk with the workers, their hits and misses are added to `cache.stats`).
+ * @param {number} params.concurrency - The number of worker threads.
+ * @returns {Promise<Array>} - Returns the reports, in the order of `files`.
+ */
+const inspectFilesInParallel = async ({ files, basePath, options, cache, concurrency }) => {
+    const reports = new Array(files.length).fill(null);
+    const workersCacheStats = [];
+    let nextIndex = 0;
+
+    const workers = [];
+
+    const runWorker = (workerId) =>
+        new Promise((resolve, reject) => {
+            const worker = new Worker(complexityWorkerUrl, {
+                workerData: { basePath, options, cacheDir: cache?.cacheDir ?? null },
+            });
+            workers.push(worker);
+
+            let pendingFile = null;
+            let finished = false;
+
+            const postNextFile = () => {
+                if (nextIndex >= files.length) {
+                    finished = true;
+                    worker.terminate().then(resolve, reject);
+                    return;
+                }
+                pendingFile = files[nextIndex];
+                worker.postMessage({ index: nextIndex, file: pendingFile });
+                nextIndex += 1;
+            };
+
+            worker.on('message', ({ index, report, cacheStats }) => {
+                reports[index] = report;
+                workersCacheStats[workerId] = cacheStats;
+                pendingFile = null;
+                postNextFile();
+            });
+            worker.on('error', reject);
+            // a worker exiting on its own (e.g. process.exit in a parser plugin) never posts back
+            worker.on('exit', (code) => {
+                if (!finished) {
+                    reject(
+                        new Error(
+                            `worker ${workerId} exited with code ${code}${pendingFile ? ` while inspecting ${pendingFile}` : ''}`,
+                        ),
+                    );
+                }
+            });
+
+            postNextFile();
+        });
+
+    try {
+        await Promise.all(
+            Array.from({ length: Math.min(concurrency, files.length) }, (_, workerId) =>
+                runWorker(workerId),
+            ),
+        );
+    } catch (error) {
+        // stop the other workers: the inspection failed as a whole
+        nextIndex = files.length;
+        await Promise.allSettled(workers.map((worker) => worker.terminate()));
+        throw error;
+    }
+
+    if (cache) {
+        workersCacheStats.filter(Boolean).forEach(({ hits, misses, writes }) => {
+            cache.stats.hits += hits;
+            cache.stats.misses += misses;
+            cache.stats.writes += writes;
+        });
+    }
+
+    return reports.filter(isInspectedFileReport);
+};
+
+/**
+ * Inspects the source directory over a pool of worker threads (see `inspectDirectory`).
+ * The overview report is the same as the one of a serial inspection.
+ *
+ * @async
+ * @param {Object} params - The parameters for the inspection.
+ * @param {string} params.srcDir - The directory to inspect.
+ * @param {Object} params.options - The options for the parser.
+ * @param {Object} [params.auditFiles] - Already discovered audited files (discovered from `srcDir` when missing).
+ * @param {import('../../commons/AuditCache.js').AuditCache} [params.cache] - The analysis cache (no caching when missing).
+ * @param {number} [params.concurrency=1] - The number of worker threads (`1`: serial inspection).
+ * @returns {Promise<Object|null>} - Returns an object containing the overview report.
+ */
+export const inspectDirectoryInParallel = async ({
+    srcDir,
+    options,
+    auditFiles,
+    cache,
+    concurrency = 1,
+}) => {
+    try {
+        AppLogger.info(`[CodeComplexityUtils - inspectDirectoryInParallel] srcDir:  ${srcDir}`);
+        AppLogger.info(
+            `[CodeComplexityUtils - inspectDirectoryInParallel] concurrency:  ${concurrency}`,
+        );
+
+        const { files, basePath } = auditFiles || getFiles(srcDir);
+
+        if (concurrency <= 1 || !files?.length) {
+            return inspectDirectory({ srcDir, options, auditFiles: { files, basePath }, cache });
+        }
+
+        const reports = await inspectFilesInParallel({
+            files,
+            basePath,
+            options: {
+                ...(options || {}),
+                ...complexityReportOptions,
+            },
+            cache,
+            concurrency,
+        });
+
+        AppLogger.info(
+            `[CodeComplexityUtils - inspectDirectoryInParallel] reports:  ${reports?.length}`,
+        );
+
+        return getOverviewReport(reports);
+    } catch (error) {
+        AppLogger.info(
+            `[CodeComplexityUtils - inspectDirectoryInParallel] error:  ${error.message}`,
+        );
+        return null;
+    }
+};
+
 /**
  * Groups code complexity reports by file.
  * @param {Array} reports - The reports to group.
@@ -269,29 +499,132 @@ const groupCodeComplexityReportsByFile = (reports) =>
                 ...(acc[report.file] || []),
                 {
                     title: report.title,
-                    score: `${Number((report.score || report.scorePercent || 0).toFixed(2))} ${report.scoreUnit || ''}`,
+                    score: Number((report.score || report.scorePercent || 0).toFixed(2)),
+                    unit: report.scoreUnit || '',
                 },
             ],
         }),
         {},
     );
 
+/**
+ * Groups function complexity reports by file.
+ * @param {Array} functionReports - The function reports to group.
+ * @returns {Object} - Returns an object with the function reports grouped by file.
+ */
+const groupFunctionReportsByFile = (functionReports) =>
+    functionReports?.reduce(
+        (acc, report) => ({
+            ...acc,
+            [report.file]: [
+                ...(acc[report.file] || []),
+                {
+                    name: report.name,
+                    lineStart: report.lineStart,
+                    lineEnd: report.lineEnd,
+                    params: report.params,
+                    cyclomatic: report.cyclomatic,
+                    status: report.status,
+                    sloc: report.sloc,
+                    halstead: report.halstead,
+                },
+            ],
+        }),
+        {},
+    ) || {};
+
+/**
+ * Builds the versioned JSON report (see `schemas/code-complexity-report.schema.json`):
+ * numeric values with their unit in a separate field, keyed by stable metric ids.
+ * @param {object} summary - The audit summary
+ * @param {Array} auditReports - The audit reports.
+ * @param {Array} [functionReports] - The function-level reports.
+ * @returns {Object} - Returns the JSON report.
+ */
+const buildCodeComplexityJsonReport = ({ summary, auditReports, functionReports }) => {
+    const files = {};
+    const readFile = (file) => {
+        if (!files[file]) {
+            files[file] = { path: file, metrics: {}, functions: [] };
+        }
+        return files[file];
+    };
+
+    (auditReports || []).forEach((report) => {
+        const metricId = readMetricId(report);
+        if (metricId) {
+            readFile(report.file).metrics[metricId] = {
+                value: report.category === 'maintainability' ? report.scorePercent : report.score,
+                unit: report.scoreUnit || null,
+                status: report.status || null,
+            };
+        }
+    });
+
+    (functionReports || []).forEach((report) =>
+        readFile(report.file).functions.push({
+            name: report.name,
+            lineStart: report.lineStart,
+            lineEnd: report.lineEnd,
+            params: report.params,
+            cyclomatic: report.cyclomatic,
+            status: report.status,
+            sloc: report.sloc,
+            halstead: report.halstead,
+        }),
+    );
+
+    return {
+        ...buildAuditReportHeader('complexity'),
+        summary: {
+            files: Object.keys(files).length,
+            total: {
+                physicalSloc: summary?.total?.psloc ?? null,
+                logicalSloc: summary?.total?.lsloc ?? null,
+                maintainability: summary?.total?.maintainability ?? null,
+            },
+            average: {
+                physicalSloc: summary?.average?.psloc ?? null,
+                logicalSloc: summary?.average?.lsloc ?? null,
+                maintainability: Number.isFinite(Number(summary?.average?.maintainability))
+                    ? Number(summary.average.maintainability)
+                    : null,
+            },
+            maintainability: {
+                good: summary?.goodMaintainabilityTotal || 0,
+                moderate: summary?.moderateMaintainabilityTotal || 0,
+                bad: summary?.badMaintainabilityTotal || 0,
+            },
+            cyclomatic: {
+                good: summary?.goodCyclomaticTotal || 0,
+                moderate: summary?.moderateCyclomaticTotal || 0,
+                bad: summary?.badCyclomaticTotal || 0,
+                veryBad: summary?.veryBadCyclomaticTotal || 0,
+            },
+        },
+        files: Object.values(files).sort((a, b) => a.path.localeCompare(b.path)),
+    };
+};
+
 /**
  * Formats the audit reports.
  * @param {object} summary - The audit summary
  * @param {Array} auditReports - The audit reports to format.
+ * @param {Array} [functionReports] - The function-level reports to format.
+ * @param {Object} [treemap] - The directory hierarchy of the files (html treemap).
  * @param {string} fileFormat - The format of the file.
  * @returns {string} - Returns a string with the formatted reports.
  */
-export const formatCodeComplexityAuditReports = ({ summary, auditReports, fileFormat }) => {
-    const reportsByFile = groupCodeComplexityReportsByFile(auditReports);
-
+export const formatCodeComplexityAuditReports = ({
+    summary,
+    auditReports,
+    functionReports,
+    treemap,
+    fileFormat,
+}) => {
     if (fileFormat === 'json') {
         return JSON.stringify(
-            {
-                summary,
-                reports: reportsByFile,
-            },
+            buildCodeComplexityJsonReport({ summary, auditReports, functionReports }),
             null,
             2,
         );
@@ -300,7 +633,9 @@ export const formatCodeComplexityAuditReports = ({ summary, auditReports, fileFo
     if (fileFormat === 'html') {
         return formatCodeComplexityHtmlReport({
             summary,
-            reports: reportsByFile,
+            reports: groupCodeComplexityReportsByFile(auditReports),
+            functions: groupFunctionReportsByFile(functionReports),
+            treemap,
         });
     }
 
@@ -317,6 +652,8 @@ export const formatCodeComplexityAuditReports = ({ summary, auditReports, fileFo
  * @param {Object} codeComplexityAnalysisResult - The result of the code complexity analysis.
  * @param {Object} codeComplexityAnalysisResult.summary - The summary of the code complexity analysis.
  * @param {Object[]} codeComplexityAnalysisResult.auditReports - The audit reports from the code complexity analysis.
+ * @param {Object[]} [codeComplexityAnalysisResult.functionReports] - The function-level reports from the code complexity analysis.
+ * @param {Object} [codeComplexityAnalysisResult.treemap] - The directory hierarchy of the analyzed files.
  * @returns {boolean} Returns true if the file was written successfully, false otherwise.
  * @throws {Error} If an error occurs while writing the file.
  */
@@ -338,7 +675,8 @@ export const writeCodeComplexityAuditToFile = ({
             return false;
         }
 
-        const { summary, auditReports } = codeComplexityAnalysisResult || {};
+        const { summary, auditReports, functionReports, treemap } =
+            codeComplexityAnalysisResult || {};
 
         const codeComplexityAuditOutputFileName = `CodeComplexityReport.${fileFormat || 'json'}`;
         AppLogger.info(
@@ -364,6 +702,8 @@ export const writeCodeComplexityAuditToFile = ({
         const formattedCodeComplexityAuditReports = formatCodeComplexityAuditReports({
             summary,
             auditReports,
+            functionReports,
+            treemap,
             fileFormat,
         });
 
@@ -0,0 +1,22 @@
+/**
+ * Worker thread of the parallel complexity analysis (see `inspectDirectoryInParallel`):
+ * inspects the files posted by the main thread, one at a time, and posts back their reports.
+ * @module CodeComplexityWorker
+ */
+import { parentPort, workerData } from 'worker_threads';
+
+import { createAuditCache } from '../../commons/AuditCache.js';
+import { inspectFile } from './CodeComplexityUtils.js';
+
+const { basePath, options, cacheDir } = workerData;
+
+/**
+ * Cache of the worker (same directory as the main thread cache).
+ * @type {import('../../commons/AuditCache.js').AuditCache|undefined}
+ */
+const cache = cacheDir ? createAuditCache(cacheDir) : undefined;
+
+parentPort.on('message', ({ index, file }) => {
+    const report = inspectFile({ file, basePath, options, cache });
+    parentPort.postMessage({ index, report, cacheStats: cache ? { ...cache.stats } : null });
+});
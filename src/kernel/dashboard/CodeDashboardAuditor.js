@@ -0,0 +1,192 @@
+/**
+ * Module collecting the data of the HTML dashboard (`index.html`) linking the three audits:
+ * project KPIs, one row per file combining complexity, duplication and centrality, and the
+ * drill-down details of each file (functions, clones, incoming and outgoing dependencies).
+ *
+ * @module CodeDashboardAuditor
+ */
+import path from 'path';
+
+import AppLogger from '../../commons/AppLogger.js';
+import { complexityAuditStatsDefaultLimits } from '../../commons/AuditUtils.js';
+import { normalizeModulePath } from '../health/CodeHealthBuilder.js';
+
+/**
+ * A row of the dashboard files table.
+ * @typedef {Object} CodeDashboardFile
+ * @property {string} path - Posix path relative to the audited directory.
+ * @property {number|null} maintainability - Maintainability index (%).
+ * @property {number|null} cyclomatic - Cyclomatic complexity of the file.
+ * @property {number|null} logicalSloc - Logical SLOC.
+ * @property {number|null} functions - Number of functions.
+ * @property {number|null} maxFunctionCyclomatic - Highest cyclomatic complexity of its functions.
+ * @property {number|null} duplicatedLines - Duplicated lines.
+ * @property {number|null} duplicatedPercentage - Duplicated lines (%).
+ * @property {number|null} community - Louvain community.
+ * @property {number|null} degreeCentrality - Degree centrality.
+ * @property {number|null} afferentCoupling - Number of modules importing the file.
+ * @property {number|null} efferentCoupling - Number of modules imported by the file.
+ * @property {boolean} circular - The file is part of a circular dependency.
+ */
+
+/**
+ * Drill-down details of a file.
+ * @typedef {Object} CodeDashboardFileDetails
+ * @property {Object[]} functions - Functions (name, lines, params, cyclomatic, status, logical SLOC).
+ * @property {Object[]} clones - Clones of the file (`lines`, `start`, `end` and the `other` copy).
+ * @property {string[]} imports - Modules imported by the file.
+ * @property {string[]} importedBy - Modules importing the file.
+ */
+
+/**
+ * Data of the dashboard.
+ * @typedef {Object} CodeDashboard
+ * @property {Object} project - Project rollup of the combined report.
+ * @property {string} [since] - Git ref of a changed files audit.
+ * @property {Object} limits - MI and cyclomatic bucket limits coloring the values (`complexity.limits`).
+ * @property {CodeDashboardFile[]} files - Files table, sorted by path.
+ * @property {Object<string, CodeDashboardFileDetails>} details - Details by file path.
+ */
+
+/**
+ * Builds the files table from the combined report modules.
+ * @param {import('../health/CodeHealthAuditor.js').CodeHealthModule[]} modules
+ * @returns {CodeDashboardFile[]}
+ */
+const buildDashboardFiles = (modules) =>
+    modules.map(({ path: modulePath, complexity, duplication, modularity }) => ({
+        path: modulePath,
+        maintainability: complexity?.maintainability ?? null,
+        cyclomatic: complexity?.cyclomatic ?? null,
+        logicalSloc: complexity?.sloc.logical ?? null,
+        functions: complexity?.functions ?? null,
+        maxFunctionCyclomatic: complexity?.maxFunctionCyclomatic ?? null,
+        duplicatedLines: duplication?.duplicatedLines ?? null,
+        duplicatedPercentage: duplication?.percentage ?? null,
+        community: modularity?.community ?? null,
+        degreeCentrality: modularity?.degreeCentrality ?? null,
+        afferentCoupling: modularity?.afferentCoupling ?? null,
+        efferentCoupling: modularity?.efferentCoupling ?? null,
+        circular: Boolean(modularity?.circular),
+    }));
+
+/**
+ * Builds the drill-down details of each file.
+ * @param {Object} params
+ * @param {import('../health/CodeHealthAuditor.js').CodeHealthReport} params.codeHealthAnalysisResult - The combined report.
+ * @param {Object} [params.codeComplexityAnalysisResult] - Result of `startComplexityAudit` (functions).
+ * @param {Object} [params.codeModularityAnalysisResult] - Result of `startModularityAudit` (dependencies).
+ * @param {string} params.rootDir - Absolute path of the audited directory.
+ * @returns {Object<string, CodeDashboardFileDetails>}
+ */
+const buildDashboardDetails = ({
+    codeHealthAnalysisResult,
+    codeComplexityAnalysisResult,
+    codeModularityAnalysisResult,
+    rootDir,
+}) => {
+    const details = Object.fromEntries(
+        codeHealthAnalysisResult.modules.map((module) => [
+            module.path,
+            { functions: [], clones: [], imports: [], importedBy: [] },
+        ]),
+    );
+    const readDetails = (modulePath) => {
+        if (!details[modulePath]) {
+            details[modulePath] = { functions: [], clones: [], imports: [], importedBy: [] };
+        }
+        return details[modulePath];
+    };
+
+    (codeComplexityAnalysisResult?.functionReports || []).forEach((report) =>
+        readDetails(normalizeModulePath(report.file, rootDir)).functions.push({
+            name: report.name,
+            lineStart: report.lineStart,
+            lineEnd: report.lineEnd,
+            params: report.params,
+            cyclomatic: report.cyclomatic,
+            status: report.status,
+            logicalSloc: report.sloc?.logical ?? null,
+        }),
+    );
+
+    (codeHealthAnalysisResult.project?.duplication?.duplicates || []).forEach(
+        ({ lines, first, second }) => {
+            readDetails(first.path).clones.push({ lines, ...first, other: second });
+            readDetails(second.path).clones.push({ lines, ...second, other: first });
+        },
+    );
+
+    // imports between files, also when the modularity graph is made of directories or packages
+    const { fileTree, tree } = codeModularityAnalysisResult || {};
+    Object.entries(fileTree || tree || {}).forEach(([node, dependencies]) => {
+        const modulePath = normalizeModulePath(node, rootDir);
+        dependencies.forEach((dependency) => {
+            const dependencyPath = normalizeModulePath(dependency, rootDir);
+            readDetails(modulePath).imports.push(dependencyPath);
+            readDetails(dependencyPath).importedBy.push(modulePath);
+        });
+    });
+
+    Object.values(details).forEach((fileDetails) => {
+        fileDetails.imports.sort();
+        fileDetails.importedBy.sort();
+    });
+
+    return details;
+};
+
+/**
+ * Collect the data of the dashboard.
+ *
+ * @param {Object} params
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} params.auditFiles - Audited files.
+ * @param {import('../health/CodeHealthAuditor.js').CodeHealthReport} params.codeHealthAnalysisResult - Result of `startCodeHealthAudit`.
+ * @param {Object} [params.codeComplexityAnalysisResult] - Result of `startComplexityAudit`.
+ * @param {Object} [params.codeModularityAnalysisResult] - Result of `startModularityAudit`.
+ * @param {Object} [params.limits] - MI and cyclomatic bucket limits (defaults to `complexityAuditStatsDefaultLimits`).
+ * @returns {CodeDashboard|{}} The dashboard data; `{}` on failure.
+ *
+ * @example
+ * const dashboard = startCodeDashboardAudit({
+ *   auditFiles,
+ *   codeHealthAnalysisResult,
+ *   codeComplexityAnalysisResult,
+ *   codeModularityAnalysisResult,
+ *   limits: auditConfig.complexity.limits,
+ * });
+ */
+export const startCodeDashboardAudit = ({
+    auditFiles,
+    codeHealthAnalysisResult,
+    codeComplexityAnalysisResult,
+    codeModularityAnalysisResult,
+    limits = complexityAuditStatsDefaultLimits,
+}) => {
+    try {
+        if (!codeHealthAnalysisResult?.modules) {
+            return {};
+        }
+
+        const rootDir = auditFiles?.rootDir || path.resolve('.');
+        const files = buildDashboardFiles(codeHealthAnalysisResult.modules);
+
+        AppLogger.info(`[CodeDashboardAuditor - startCodeDashboardAudit] files:  ${files.length}`);
+
+        return {
+            project: codeHealthAnalysisResult.project,
+            ...(codeHealthAnalysisResult.since ? { since: codeHealthAnalysisResult.since } : {}),
+            limits,
+            files,
+            details: buildDashboardDetails({
+                codeHealthAnalysisResult,
+                codeComplexityAnalysisResult,
+                codeModularityAnalysisResult,
+                rootDir,
+            }),
+        };
+    } catch (error) {
+        AppLogger.info(`[CodeDashboardAuditor - startCodeDashboardAudit] error:  ${error.message}`);
+        return {};
+    }
+};
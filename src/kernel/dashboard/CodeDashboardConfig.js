@@ -0,0 +1,227 @@
+/**
+ * HTML formatter of the dashboard (`index.html`).
+ * @module CodeDashboardConfig
+ */
+import { escapeHtmlScript } from '../../commons/AuditHtml.js';
+
+/**
+ * Columns of the dashboard files table (and of the metrics of a file).
+ * @const {Array<{key: string, title: string}>}
+ */
+export const codeDashboardColumns = [
+    { key: 'path', title: 'File' },
+    { key: 'maintainability', title: 'Maintainability (%)' },
+    { key: 'cyclomatic', title: 'Cyclomatic' },
+    { key: 'logicalSloc', title: 'Logical SLOC' },
+    { key: 'functions', title: 'Functions' },
+    { key: 'maxFunctionCyclomatic', title: 'Max Function Cyclomatic' },
+    { key: 'duplicatedPercentage', title: 'Duplicated Lines (%)' },
+    { key: 'community', title: 'Community' },
+    { key: 'degreeCentrality', title: 'Degree Centrality' },
+    { key: 'afferentCoupling', title: 'Imported By' },
+    { key: 'efferentCoupling', title: 'Imports' },
+    { key: 'circular', title: 'Circular' },
+];
+
+/**
+ * Format the dashboard as an HTML page: project KPIs, the sortable files table, a drill-down
+ * view per file (`#file=<path>`) and the links to the detailed reports.
+ * @param {Object} params
+ * @param {import('./CodeDashboardAuditor.js').CodeDashboard} params.dashboard - Result of `startCodeDashboardAudit`.
+ * @param {Array<{title: string, href: string}>} params.reportLinks - Links to the detailed reports (relative to the dashboard).
+ * @returns {string}
+ */
+export const formatCodeDashboardHtml = ({ dashboard, reportLinks }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Code Health Dashboard</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .container { max-width: 1300px; margin: auto; }
+        .section { margin-bottom: 20px; padding: 10px; border: 1px solid #ccc; border-radius: 5px; }
+        .kpis { display: flex; flex-wrap: wrap; gap: 10px; }
+        .kpi { flex: 1 1 160px; padding: 10px; border: 1px solid #ddd; border-radius: 5px; text-align: center; }
+        .kpi .value { font-size: 24px; font-weight: bold; }
+        .kpi .title { font-size: 14px; color: gray; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 8px; border: 1px solid #ddd; text-align: left; }
+        th { background-color: #f4f4f4; }
+        #files th { cursor: pointer; user-select: none; }
+        #search { width: 100%; padding: 8px; margin-bottom: 10px; box-sizing: border-box; }
+        .good { color: green; font-weight: bold; }
+        .moderate { color: orange; font-weight: bold; }
+        .bad { color: red; font-weight: bold; }
+        .help { font-size: 14px; color: gray; margin-top: 8px; }
+        .hidden { display: none; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Code Health Dashboard</h1>
+        <div id="overview">
+            <div class="section">
+                <h2>Project</h2>
+                <div class="kpis" id="kpis"></div>
+                <span class="help" id="since"></span>
+            </div>
+            <div class="section">
+                <h2>Files (<span id="files-count"></span>)</h2>
+                <input id="search" type="search" placeholder="Filter files...">
+                <table id="files"><thead><tr></tr></thead><tbody></tbody></table>
+                <span class="help">- Click a column header to sort the files, click a file to see its functions, clones and dependencies.<br></span>
+            </div>
+            <div class="section">
+                <h2>Detailed Reports</h2>
+                <ul id="reports"></ul>
+            </div>
+        </div>
+        <div id="file" class="hidden">
+            <p><a href="#">&larr; Back to the dashboard</a></p>
+            <h2 id="file-path"></h2>
+            <div class="section">
+                <h2>Metrics</h2>
+                <table id="file-metrics"></table>
+            </div>
+            <div class="section">
+                <h2>Functions (<span id="file-functions-count"></span>)</h2>
+                <table id="file-functions"><tr><th>Function</th><th>Lines</th><th>Params</th><th>Cyclomatic</th><th>Logical SLOC</th></tr></table>
+            </div>
+            <div class="section">
+                <h2>Clones (<span id="file-clones-count"></span>)</h2>
+                <table id="file-clones"><tr><th>Lines</th><th>Duplicated In</th><th>Size</th></tr></table>
+            </div>
+            <div class="section">
+                <h2>Imports (<span id="file-imports-count"></span>)</h2>
+                <ul id="file-imports"></ul>
+                <h2>Imported By (<span id="file-imported-by-count"></span>)</h2>
+                <ul id="file-imported-by"></ul>
+            </div>
+        </div>
+    </div>
+
+    <script>
+        const codeDashboard = ${JSON.stringify(dashboard || {}, null, 2).replace(/</g, '\\u003c')};
+        const reportLinks = ${JSON.stringify(reportLinks || []).replace(/</g, '\\u003c')};
+        const columns = ${JSON.stringify(codeDashboardColumns)};
+
+        ${escapeHtmlScript}
+        const fileLink = (path) => '<a href="#file=' + encodeURIComponent(path) + '">' + escapeHtml(path) + '</a>';
+        // Same limits (complexity.limits) as the complexity report and the quality gate
+        const limits = codeDashboard.limits;
+        const maintainabilityClass = (value) => typeof value !== 'number' ? '' : (Math.ceil(value) >= limits.maintainability.good ? 'good' : (Math.ceil(value) >= limits.maintainability.moderate ? 'moderate' : 'bad'));
+        const cyclomaticClass = (value) => typeof value !== 'number' ? '' : (value <= limits.cyclomatic.moderate ? 'good' : (value <= limits.cyclomatic.bad ? 'moderate' : 'bad'));
+        const formatCell = (file, key) => {
+            if (key === 'path') {
+                return '<td>' + fileLink(file.path) + '</td>';
+            }
+            if (key === 'circular') {
+                return '<td class="' + (file.circular ? 'bad' : '') + '">' + (file.circular ? 'yes' : 'no') + '</td>';
+            }
+            const className = key === 'maintainability' ? maintainabilityClass(file[key])
+                : (['cyclomatic', 'maxFunctionCyclomatic'].includes(key) ? cyclomaticClass(file[key]) : '');
+            return '<td class="' + className + '">' + escapeHtml(file[key]) + '</td>';
+        };
+        const fillList = (listId, items, formatItem) => {
+            document.getElementById(listId + "-count").textContent = items.length;
+            document.getElementById(listId).innerHTML = items.map((item) => '<li>' + formatItem(item) + '</li>').join('');
+        };
+
+        const project = codeDashboard.project || {};
+        [
+            ['Files', project.modules],
+            ['Average Maintainability (%)', project.complexity?.averageMaintainability, maintainabilityClass],
+            ['Min Maintainability (%)', project.complexity?.minMaintainability, maintainabilityClass],
+            ['Max Cyclomatic', project.complexity?.maxCyclomatic, cyclomaticClass],
+            ['Logical SLOC', project.complexity?.sloc.logical],
+            ['Functions', project.complexity?.functions],
+            ['Duplicated Lines (%)', project.duplication?.percentage],
+            ['Clones', project.duplication?.clones],
+            ['Modularity (Q)', project.modularity?.modularity],
+            ['Communities', project.modularity?.communities],
+            ['Circular Dependencies', project.modularity?.circular],
+        ].forEach(([title, value, valueClass]) => {
+            document.getElementById("kpis").innerHTML += '<div class="kpi"><div class="value ' + (valueClass ? valueClass(value) : '') + '">'
+                + escapeHtml(value) + '</div><div class="title">' + title + '</div></div>';
+        });
+        if (codeDashboard.since) {
+            document.getElementById("since").textContent = '- Complexity and duplication of the files changed since ' + codeDashboard.since + '.';
+        }
+
+        reportLinks.forEach(({ title, href }) => {
+            document.getElementById("reports").innerHTML += '<li><a href="' + escapeHtml(href) + '">' + escapeHtml(title) + '</a></li>';
+        });
+
+        const files = codeDashboard.files || [];
+        const sorting = { key: 'path', ascending: true };
+        document.querySelector("#files thead tr").innerHTML = columns.map(({ key, title }) => '<th data-key="' + key + '">' + title + '</th>').join('');
+        const renderFiles = () => {
+            const filter = document.getElementById("search").value.trim().toLowerCase();
+            const compare = (first, second) => {
+                const [a, b] = [first[sorting.key], second[sorting.key]];
+                // missing metrics are always listed last
+                if (a === null || a === undefined || b === null || b === undefined) {
+                    return (a === null || a === undefined) - (b === null || b === undefined);
+                }
+                const order = typeof a === 'string' ? a.localeCompare(b) : Number(a) - Number(b);
+                return sorting.ascending ? order : -order;
+            };
+            const rows = files.filter((file) => file.path.toLowerCase().includes(filter)).sort(compare);
+            document.getElementById("files-count").textContent = rows.length;
+            document.querySelector("#files tbody").innerHTML = rows
+                .map((file) => '<tr>' + columns.map(({ key }) => formatCell(file, key)).join('') + '</tr>')
+                .join('');
+            document.querySelectorAll("#files th").forEach((header) => {
+                const arrow = header.dataset.key === sorting.key ? (sorting.ascending ? ' ▲' : ' ▼') : '';
+                header.textContent = columns.find(({ key }) => key === header.dataset.key).title + arrow;
+            });
+        };
+        document.querySelectorAll("#files th").forEach((header) => {
+            header.addEventListener("click", () => {
+                sorting.ascending = sorting.key === header.dataset.key ? !sorting.ascending : header.dataset.key === 'path';
+                sorting.key = header.dataset.key;
+                renderFiles();
+            });
+        });
+        document.getElementById("search").addEventListener("input", renderFiles);
+        renderFiles();
+
+        const renderFile = (path) => {
+            const file = files.find((item) => item.path === path) || { path };
+            const details = codeDashboard.details?.[path] || { functions: [], clones: [], imports: [], importedBy: [] };
+
+            document.getElementById("file-path").textContent = path;
+            document.getElementById("file-metrics").innerHTML = columns
+                .filter(({ key }) => key !== 'path')
+                .map(({ key, title }) => '<tr><th>' + title + '</th>' + formatCell(file, key) + '</tr>')
+                .join('');
+
+            document.getElementById("file-functions-count").textContent = details.functions.length;
+            document.getElementById("file-functions").innerHTML = '<tr><th>Function</th><th>Lines</th><th>Params</th><th>Cyclomatic</th><th>Logical SLOC</th></tr>'
+                + details.functions.map((fn) => '<tr><td>' + escapeHtml(fn.name) + '</td><td>' + fn.lineStart + '-' + fn.lineEnd + '</td><td>' + fn.params
+                    + '</td><td class="' + cyclomaticClass(fn.cyclomatic) + '">' + fn.cyclomatic + ' (' + escapeHtml(fn.status) + ')</td><td>' + escapeHtml(fn.logicalSloc) + '</td></tr>').join('');
+
+            document.getElementById("file-clones-count").textContent = details.clones.length;
+            document.getElementById("file-clones").innerHTML = '<tr><th>Lines</th><th>Duplicated In</th><th>Size</th></tr>'
+                + details.clones.map(({ start, end, lines, other }) => '<tr><td>' + start + '-' + end + '</td><td>' + fileLink(other.path)
+                    + ' (' + other.start + '-' + other.end + ')</td><td>' + lines + ' lines</td></tr>').join('');
+
+            fillList("file-imports", details.imports, fileLink);
+            fillList("file-imported-by", details.importedBy, fileLink);
+        };
+
+        const route = () => {
+            const path = location.hash.startsWith('#file=') ? decodeURIComponent(location.hash.slice(6)) : null;
+            document.getElementById("overview").classList.toggle("hidden", Boolean(path));
+            document.getElementById("file").classList.toggle("hidden", !path);
+            if (path) {
+                renderFile(path);
+                window.scrollTo(0, 0);
+            }
+        };
+        window.addEventListener("hashchange", route);
+        route();
+    </script>
+</body>
+</html>`;
@@ -0,0 +1,85 @@
+/**
+ * Module providing utilities for the dashboard (report links and writer).
+ * @module CodeDashboardUtils
+ */
+import fs from 'fs-extra';
+import path from 'path';
+
+import AppLogger from '../../commons/AppLogger.js';
+import { codeExportFileNames } from '../export/CodeExportConfig.js';
+import { CODE_HEALTH_REPORT_FILE_NAME } from '../health/CodeHealthUtils.js';
+import { formatCodeDashboardHtml } from './CodeDashboardConfig.js';
+
+/**
+ * Dashboard file name (the entry point of the output directory).
+ * @const {string}
+ */
+export const CODE_DASHBOARD_FILE_NAME = 'index.html';
+
+/**
+ * Detailed reports linked by the dashboard (paths relative to the output directory).
+ * @const {Array<{title: string, href: string}>}
+ */
+const codeDashboardReports = [
+    { title: 'Complexity report', href: 'code-complexity-audit/CodeComplexityReport.html' },
+    { title: 'Duplication report', href: 'code-duplication-audit/html/index.html' },
+    { title: 'Modularity report', href: 'code-modularity-audit/CodeModularityReport.html' },
+    { title: 'Code health diff', href: 'CodeHealthDiff.html' },
+    { title: 'Combined report (JSON)', href: CODE_HEALTH_REPORT_FILE_NAME },
+    ...Object.entries(codeExportFileNames).map(([fileFormat, fileName]) => ({
+        title: `Export (${fileFormat})`,
+        href: fileName,
+    })),
+];
+
+/**
+ * Lists the detailed reports found in the output directory.
+ * @param {string} outputDir
+ * @returns {Array<{title: string, href: string}>}
+ */
+const readCodeDashboardReportLinks = (outputDir) =>
+    codeDashboardReports.filter(({ href }) => fs.existsSync(path.join(outputDir, href)));
+
+/**
+ * Writes the dashboard to `index.html`, linking the detailed reports already written to the
+ * output directory (it should be written last).
+ *
+ * @param {Object} options
+ * @param {Object} options.codeDashboardOptions - Dashboard options.
+ * @param {string} options.codeDashboardOptions.outputDir - Output directory of the audits.
+ * @param {import('./CodeDashboardAuditor.js').CodeDashboard} options.codeDashboardAnalysisResult - Result of `startCodeDashboardAudit`.
+ * @returns {boolean} `true` if the file was written successfully, `false` otherwise.
+ */
+export const writeCodeDashboardToFile = ({ codeDashboardOptions, codeDashboardAnalysisResult }) => {
+    try {
+        const { outputDir } = codeDashboardOptions || {};
+
+        AppLogger.info(`[CodeDashboardUtils - writeCodeDashboardToFile] outputDir:  ${outputDir}`);
+
+        if (!outputDir?.length || !codeDashboardAnalysisResult?.files) {
+            return false;
+        }
+
+        fs.mkdirSync(outputDir, {
+            recursive: true,
+        });
+
+        const codeDashboardOutputFile = path.join(outputDir, CODE_DASHBOARD_FILE_NAME);
+        AppLogger.info(
+            `[CodeDashboardUtils - writeCodeDashboardToFile] codeDashboardOutputFile:  ${codeDashboardOutputFile}`,
+        );
+
+        fs.writeFileSync(
+            codeDashboardOutputFile,
+            formatCodeDashboardHtml({
+                dashboard: codeDashboardAnalysisResult,
+                reportLinks: readCodeDashboardReportLinks(outputDir),
+            }),
+        );
+
+        return true;
+    } catch (error) {
+        AppLogger.info(`[CodeDashboardUtils - writeCodeDashboardToFile] error:  ${error.message}`);
+        return false;
+    }
+};
@@ -0,0 +1,269 @@
+/**
+ * Module comparing two combined code health reports (`CodeHealthReport.json`):
+ * per-file maintainability and cyclomatic deltas, added and removed files, new clones,
+ * new circular dependencies and changed community assignments.
+ *
+ * @module CodeHealthDiffAuditor
+ */
+import AppLogger from '../../commons/AppLogger.js';
+
+/**
+ * Difference between two values of a metric.
+ * @typedef {Object} MetricDelta
+ * @property {number|null} base - Value in the base report.
+ * @property {number|null} head - Value in the head report.
+ * @property {number|null} delta - `head - base` (null when one of them is missing).
+ */
+
+/**
+ * Comparison of two code health reports.
+ * @typedef {Object} CodeHealthDiff
+ * @property {Object} summary - Project metric deltas and counts.
+ * @property {Object[]} addedFiles - Files only in the head report.
+ * @property {Object[]} removedFiles - Files only in the base report.
+ * @property {Object[]} changedFiles - Files whose maintainability or cyclomatic complexity changed.
+ * @property {Object[]} newClones - Clones of the head report not in the base report.
+ * @property {string[][]} newCircular - Circular dependencies of the head report not in the base report.
+ * @property {string[][]} resolvedCircular - Circular dependencies of the base report not in the head report.
+ * @property {Object[]} communityChanges - Files whose community members changed.
+ */
+
+/**
+ * Computes the difference between two values.
+ * @param {number|null} base
+ * @param {number|null} head
+ * @returns {MetricDelta}
+ */
+const buildMetricDelta = (base, head) => ({
+    base: base ?? null,
+    head: head ?? null,
+    delta:
+        typeof base === 'number' && typeof head === 'number'
+            ? Number((head - base).toFixed(4))
+            : null,
+});
+
+/**
+ * Indexes the modules of a report by path.
+ * @param {Object} report - A code health report.
+ * @returns {Map<string, Object>}
+ */
+const indexModules = (report) => new Map((report?.modules || []).map((item) => [item.path, item]));
+
+/**
+ * Reads the complexity overview of a module.
+ * @param {Object} item - A module record.
+ * @returns {{path: string, maintainability: number|null, cyclomatic: number|null}}
+ */
+const readFileOverview = (item) => ({
+    path: item.path,
+    maintainability: item.complexity?.maintainability ?? null,
+    cyclomatic: item.complexity?.cyclomatic ?? null,
+});
+
+/**
+ * Identifies a clone by the pair of modules it joins (line numbers move between runs).
+ * @param {Object} duplicate - A clone of the project rollup.
+ * @returns {string}
+ */
+const readCloneKey = ({ first, second }) => [first.path, second.path].sort().join(' <> ');
+
+/**
+ * Lists the clones of the head report not in the base report: for each pair of modules,
+ * the clones exceeding the base count are new.
+ * @param {Object[]} baseDuplicates
+ * @param {Object[]} headDuplicates
+ * @returns {Object[]}
+ */
+const diffClones = (baseDuplicates, headDuplicates) => {
+    const baseCounts = (baseDuplicates || []).reduce((acc, duplicate) => {
+        const key = readCloneKey(duplicate);
+        return { ...acc, [key]: (acc[key] || 0) + 1 };
+    }, {});
+
+    return (headDuplicates || []).filter((duplicate) => {
+        const key = readCloneKey(duplicate);
+        baseCounts[key] = (baseCounts[key] || 0) - 1;
+        return baseCounts[key] < 0;
+    });
+};
+
+/**
+ * Identifies a cycle whatever its starting module (rotated to start with the smallest path).
+ * @param {string[]} cycle
+ * @returns {string}
+ */
+const readCycleKey = (cycle) => {
+    const start = cycle.indexOf([...cycle].sort()[0]);
+    return [...cycle.slice(start), ...cycle.slice(0, start)].join(' > ');
+};
+
+/**
+ * Lists the cycles of `cycles` not in `otherCycles`.
+ * @param {string[][]} cycles
+ * @param {string[][]} otherCycles
+ * @returns {string[][]}
+ */
+const diffCycles = (cycles, otherCycles) => {
+    const otherKeys = new Set((otherCycles || []).map(readCycleKey));
+    return (cycles || []).filter((cycle) => !otherKeys.has(readCycleKey(cycle)));
+};
+
+/**
+ * Lists the community members of each module, restricted to the modules of both reports.
+ * Community ids are not stable between two runs: communities are compared through their members.
+ * @param {Map<string, Object>} modules - Modules by path.
+ * @param {Set<string>} commonPaths - Paths of the modules of both reports.
+ * @returns {Map<string, Set<string>>}
+ */
+const readCommunityMembers = (modules, commonPaths) => {
+    const members = new Map();
+
+    commonPaths.forEach((modulePath) => {
+        const community = modules.get(modulePath)?.modularity?.community;
+        if (community === null || community === undefined) {
+            return;
+        }
+        members.set(community, [...(members.get(community) || []), modulePath]);
+    });
+
+    return new Map(
+        [...commonPaths].map((modulePath) => [
+            modulePath,
+            new Set(members.get(modules.get(modulePath)?.modularity?.community) || []),
+        ]),
+    );
+};
+
+/**
+ * Lists the modules whose community members changed between two reports.
+ * @param {Map<string, Object>} baseModules
+ * @param {Map<string, Object>} headModules
+ * @param {Set<string>} commonPaths
+ * @returns {Object[]} `{ path, base, head, joined, left }` records (`base`/`head`: community ids).
+ */
+const diffCommunities = (baseModules, headModules, commonPaths) => {
+    const baseMembers = readCommunityMembers(baseModules, commonPaths);
+    const headMembers = readCommunityMembers(headModules, commonPaths);
+
+    return [...commonPaths]
+        .filter(
+            (modulePath) =>
+                baseModules.get(modulePath)?.modularity && headModules.get(modulePath)?.modularity,
+        )
+        .map((modulePath) => {
+            const before = baseMembers.get(modulePath);
+            const after = headMembers.get(modulePath);
+            return {
+                path: modulePath,
+                base: baseModules.get(modulePath).modularity.community,
+                head: headModules.get(modulePath).modularity.community,
+                joined: [...after].filter((member) => !before.has(member)).sort(),
+                left: [...before].filter((member) => !after.has(member)).sort(),
+            };
+        })
+        .filter(({ joined, left }) => joined.length || left.length);
+};
+
+/**
+ * Compare two code health reports.
+ *
+ * @param {Object} params
+ * @param {import('../health/CodeHealthAuditor.js').CodeHealthReport} params.base - The baseline report.
+ * @param {import('../health/CodeHealthAuditor.js').CodeHealthReport} params.head - The new report.
+ * @returns {CodeHealthDiff|{}} The comparison; `{}` on failure.
+ *
+ * @example
+ * const diff = startCodeHealthDiff({ base: baseReport, head: headReport });
+ * console.log(diff.summary.counts.newCircular);
+ */
+export const startCodeHealthDiff = ({ base, head }) => {
+    try {
+        const baseModules = indexModules(base);
+        const headModules = indexModules(head);
+        const commonPaths = new Set([...headModules.keys()].filter((key) => baseModules.has(key)));
+
+        const addedFiles = [...headModules.values()]
+            .filter((item) => !baseModules.has(item.path))
+            .map(readFileOverview);
+        const removedFiles = [...baseModules.values()]
+            .filter((item) => !headModules.has(item.path))
+            .map(readFileOverview);
+
+        const changedFiles = [...commonPaths]
+            .map((modulePath) => ({
+                path: modulePath,
+                maintainability: buildMetricDelta(
+                    baseModules.get(modulePath).complexity?.maintainability,
+                    headModules.get(modulePath).complexity?.maintainability,
+                ),
+                cyclomatic: buildMetricDelta(
+                    baseModules.get(modulePath).complexity?.cyclomatic,
+                    headModules.get(modulePath).complexity?.cyclomatic,
+                ),
+            }))
+            .filter(({ maintainability, cyclomatic }) => maintainability.delta || cyclomatic.delta);
+
+        const newClones = diffClones(
+            base?.project?.duplication?.duplicates,
+            head?.project?.duplication?.duplicates,
+        );
+        const newCircular = diffCycles(
+            head?.project?.modularity?.cycles,
+            base?.project?.modularity?.cycles,
+        );
+        const resolvedCircular = diffCycles(
+            base?.project?.modularity?.cycles,
+            head?.project?.modularity?.cycles,
+        );
+        const communityChanges = diffCommunities(baseModules, headModules, commonPaths);
+
+        AppLogger.info(
+            `[CodeHealthDiffAuditor - startCodeHealthDiff] changed files:  ${changedFiles.length}`,
+        );
+
+        return {
+            summary: {
+                averageMaintainability: buildMetricDelta(
+                    base?.project?.complexity?.averageMaintainability,
+                    head?.project?.complexity?.averageMaintainability,
+                ),
+                maxCyclomatic: buildMetricDelta(
+                    base?.project?.complexity?.maxCyclomatic,
+                    head?.project?.complexity?.maxCyclomatic,
+                ),
+                duplication: buildMetricDelta(
+                    base?.project?.duplication?.percentage,
+                    head?.project?.duplication?.percentage,
+                ),
+                modularity: buildMetricDelta(
+                    base?.project?.modularity?.modularity,
+                    head?.project?.modularity?.modularity,
+                ),
+                circular: buildMetricDelta(
+                    base?.project?.modularity?.circular,
+                    head?.project?.modularity?.circular,
+                ),
+                counts: {
+                    addedFiles: addedFiles.length,
+                    removedFiles: removedFiles.length,
+                    changedFiles: changedFiles.length,
+                    newClones: newClones.length,
+                    newCircular: newCircular.length,
+                    resolvedCircular: resolvedCircular.length,
+                    communityChanges: communityChanges.length,
+                },
+            },
+            addedFiles,
+            removedFiles,
+            changedFiles,
+            newClones,
+            newCircular,
+            resolvedCircular,
+            communityChanges,
+        };
+    } catch (error) {
+        AppLogger.info(`[CodeHealthDiffAuditor - startCodeHealthDiff] error:  ${error.message}`);
+        return {};
+    }
+};
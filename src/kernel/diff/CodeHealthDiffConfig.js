@@ -0,0 +1,262 @@
+/**
+ * Formatters of the code health diff (Markdown and HTML).
+ * @module CodeHealthDiffConfig
+ */
+import { escapeHtmlScript } from '../../commons/AuditHtml.js';
+
+/**
+ * Formats a signed delta (`+1.5`, `-2`, `0`, `n/a`).
+ * @param {number|null} delta
+ * @returns {string}
+ */
+export const formatDelta = (delta) => {
+    if (typeof delta !== 'number') {
+        return 'n/a';
+    }
+    return delta > 0 ? `+${delta}` : `${delta}`;
+};
+
+/**
+ * Formats a metric value (`n/a` when missing).
+ * @param {number|null} value
+ * @returns {string}
+ */
+export const formatValue = (value) => (value === null || value === undefined ? 'n/a' : `${value}`);
+
+/**
+ * Formats a Markdown table.
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+export const formatMarkdownTable = (headers, rows) =>
+    [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${row.join(' | ')} |`),
+    ].join('\n');
+
+/**
+ * Formats a Markdown section (a placeholder line when there is nothing to list).
+ * @param {string} title
+ * @param {Array} items
+ * @param {Function} formatItems - Formats the non empty items.
+ * @returns {string}
+ */
+const formatMarkdownSection = (title, items, formatItems) =>
+    `## ${title} (${items.length})\n\n${items.length ? formatItems(items) : '_None._'}\n`;
+
+/**
+ * Format the code health diff as Markdown (e.g. for a pull request comment).
+ * @param {import('./CodeHealthDiffAuditor.js').CodeHealthDiff} diff
+ * @returns {string}
+ */
+export const formatCodeHealthDiffMarkdown = (diff) => {
+    const {
+        summary,
+        addedFiles,
+        removedFiles,
+        changedFiles,
+        newClones,
+        newCircular,
+        resolvedCircular,
+        communityChanges,
+    } = diff || {};
+
+    const summaryRows = [
+        ['Average Maintainability Index (%)', summary?.averageMaintainability],
+        ['Max Cyclomatic Complexity', summary?.maxCyclomatic],
+        ['Duplicated Lines (%)', summary?.duplication],
+        ['Modularity (Q)', summary?.modularity],
+        ['Circular Dependencies', summary?.circular],
+    ].map(([title, metric]) => [
+        title,
+        formatValue(metric?.base),
+        formatValue(metric?.head),
+        formatDelta(metric?.delta),
+    ]);
+
+    const formatFiles = (files) =>
+        formatMarkdownTable(
+            ['File', 'Maintainability', 'Cyclomatic'],
+            files.map((file) => [
+                `\`${file.path}\``,
+                formatValue(file.maintainability),
+                formatValue(file.cyclomatic),
+            ]),
+        );
+
+    const formatCycles = (cycles) => cycles.map((cycle) => `- ${cycle.join(' > ')}`).join('\n');
+
+    return [
+        '# Code Health Diff\n',
+        formatMarkdownTable(['Metric', 'Base', 'Head', 'Delta'], summaryRows),
+        '',
+        formatMarkdownSection('Changed Files', changedFiles || [], (files) =>
+            formatMarkdownTable(
+                ['File', 'Maintainability', 'Δ', 'Cyclomatic', 'Δ'],
+                files.map(({ path, maintainability, cyclomatic }) => [
+                    `\`${path}\``,
+                    `${formatValue(maintainability.base)} → ${formatValue(maintainability.head)}`,
+                    formatDelta(maintainability.delta),
+                    `${formatValue(cyclomatic.base)} → ${formatValue(cyclomatic.head)}`,
+                    formatDelta(cyclomatic.delta),
+                ]),
+            ),
+        ),
+        formatMarkdownSection('New Files', addedFiles || [], formatFiles),
+        formatMarkdownSection('Removed Files', removedFiles || [], formatFiles),
+        formatMarkdownSection('New Clones', newClones || [], (clones) =>
+            clones
+                .map(
+                    ({ first, second, lines }) =>
+                        `- \`${first.path}\` (${first.start}-${first.end}) ↔ \`${second.path}\` (${second.start}-${second.end}), ${lines} lines`,
+                )
+                .join('\n'),
+        ),
+        formatMarkdownSection('New Circular Dependencies', newCircular || [], formatCycles),
+        formatMarkdownSection(
+            'Resolved Circular Dependencies',
+            resolvedCircular || [],
+            formatCycles,
+        ),
+        formatMarkdownSection('Community Changes', communityChanges || [], (changes) =>
+            formatMarkdownTable(
+                ['File', 'Joined by', 'Left by'],
+                changes.map(({ path, joined, left }) => [
+                    `\`${path}\``,
+                    joined.map((member) => `\`${member}\``).join(', ') || '-',
+                    left.map((member) => `\`${member}\``).join(', ') || '-',
+                ]),
+            ),
+        ),
+    ].join('\n');
+};
+
+/**
+ * Format the code health diff as an HTML page.
+ * @param {import('./CodeHealthDiffAuditor.js').CodeHealthDiff} diff
+ * @returns {string}
+ */
+export const formatCodeHealthDiffHtml = (diff) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Code Health Diff</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .container { max-width: 1100px; margin: auto; }
+        .section { margin-bottom: 20px; padding: 10px; border: 1px solid #ccc; border-radius: 5px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 8px; border: 1px solid #ddd; text-align: left; }
+        th { background-color: #f4f4f4; }
+        .better { color: green; font-weight: bold; }
+        .worse { color: red; font-weight: bold; }
+        .help { font-size: 14px; color: gray; margin-top: 8px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Code Health Diff</h1>
+        <div class="section">
+            <h2>Summary</h2>
+            <table id="summary">
+                <tr><th>Metric</th><th>Base</th><th>Head</th><th>Delta</th></tr>
+            </table>
+        </div>
+        <div class="section">
+            <h2>Changed Files (<span id="changed-count"></span>)</h2>
+            <table id="changed">
+                <tr><th>File</th><th>Maintainability</th><th>Δ</th><th>Cyclomatic</th><th>Δ</th></tr>
+            </table>
+        </div>
+        <div class="section">
+            <h2>New Files (<span id="added-count"></span>)</h2>
+            <table id="added"><tr><th>File</th><th>Maintainability</th><th>Cyclomatic</th></tr></table>
+        </div>
+        <div class="section">
+            <h2>Removed Files (<span id="removed-count"></span>)</h2>
+            <table id="removed"><tr><th>File</th><th>Maintainability</th><th>Cyclomatic</th></tr></table>
+        </div>
+        <div class="section">
+            <h2>New Clones (<span id="clones-count"></span>)</h2>
+            <table id="clones"><tr><th>First File</th><th>Second File</th><th>Lines</th></tr></table>
+        </div>
+        <div class="section">
+            <h2>New Circular Dependencies (<span id="new-circular-count"></span>)</h2>
+            <ul id="new-circular"></ul>
+            <h2>Resolved Circular Dependencies (<span id="resolved-circular-count"></span>)</h2>
+            <ul id="resolved-circular"></ul>
+        </div>
+        <div class="section">
+            <h2>Community Changes (<span id="communities-count"></span>)</h2>
+            <table id="communities"><tr><th>File</th><th>Joined by</th><th>Left by</th></tr></table>
+            <span class="help">- Community ids are not stable between two runs: a file changed community when the files sharing its community changed.<br></span>
+        </div>
+    </div>
+
+    <script>
+        const codeHealthDiff = ${JSON.stringify(diff || {}, null, 2).replace(/</g, '\\u003c')};
+
+        ${escapeHtmlScript}
+        const formatDelta = (delta) => typeof delta !== 'number' ? 'n/a' : (delta > 0 ? '+' + delta : String(delta));
+        // higherIsBetter: maintainability and modularity improve when they grow
+        const deltaCell = (delta, higherIsBetter) => {
+            const className = !delta ? '' : ((delta > 0) === higherIsBetter ? 'better' : 'worse');
+            return '<td class="' + className + '">' + formatDelta(delta) + '</td>';
+        };
+        const appendRow = (tableId, cells) => {
+            const row = document.createElement("tr");
+            row.innerHTML = cells;
+            document.getElementById(tableId).appendChild(row);
+        };
+        const fillCount = (id, items) => {
+            document.getElementById(id).textContent = (items || []).length;
+        };
+
+        const summary = codeHealthDiff.summary || {};
+        [
+            ['Average Maintainability Index (%)', summary.averageMaintainability, true],
+            ['Max Cyclomatic Complexity', summary.maxCyclomatic, false],
+            ['Duplicated Lines (%)', summary.duplication, false],
+            ['Modularity (Q)', summary.modularity, true],
+            ['Circular Dependencies', summary.circular, false],
+        ].forEach(([title, metric, higherIsBetter]) => {
+            appendRow("summary", '<td>' + title + '</td><td>' + escapeHtml(metric?.base) + '</td><td>' + escapeHtml(metric?.head) + '</td>' + deltaCell(metric?.delta, higherIsBetter));
+        });
+
+        fillCount("changed-count", codeHealthDiff.changedFiles);
+        (codeHealthDiff.changedFiles || []).forEach(({ path, maintainability, cyclomatic }) => {
+            appendRow("changed", '<td>' + escapeHtml(path) + '</td><td>' + escapeHtml(maintainability.base) + ' → ' + escapeHtml(maintainability.head) + '</td>' + deltaCell(maintainability.delta, true)
+                + '<td>' + escapeHtml(cyclomatic.base) + ' → ' + escapeHtml(cyclomatic.head) + '</td>' + deltaCell(cyclomatic.delta, false));
+        });
+
+        [['added', codeHealthDiff.addedFiles], ['removed', codeHealthDiff.removedFiles]].forEach(([tableId, files]) => {
+            fillCount(tableId + "-count", files);
+            (files || []).forEach((file) => {
+                appendRow(tableId, '<td>' + escapeHtml(file.path) + '</td><td>' + escapeHtml(file.maintainability) + '</td><td>' + escapeHtml(file.cyclomatic) + '</td>');
+            });
+        });
+
+        fillCount("clones-count", codeHealthDiff.newClones);
+        (codeHealthDiff.newClones || []).forEach(({ first, second, lines }) => {
+            appendRow("clones", '<td>' + escapeHtml(first.path) + ' (' + first.start + '-' + first.end + ')</td><td>' + escapeHtml(second.path) + ' (' + second.start + '-' + second.end + ')</td><td>' + lines + '</td>');
+        });
+
+        [['new-circular', codeHealthDiff.newCircular], ['resolved-circular', codeHealthDiff.resolvedCircular]].forEach(([listId, cycles]) => {
+            fillCount(listId + "-count", cycles);
+            (cycles || []).forEach((cycle) => {
+                const item = document.createElement("li");
+                item.textContent = cycle.join(' > ');
+                document.getElementById(listId).appendChild(item);
+            });
+        });
+
+        fillCount("communities-count", codeHealthDiff.communityChanges);
+        (codeHealthDiff.communityChanges || []).forEach(({ path, joined, left }) => {
+            appendRow("communities", '<td>' + escapeHtml(path) + '</td><td>' + escapeHtml(joined.join(', ') || '-') + '</td><td>' + escapeHtml(left.join(', ') || '-') + '</td>');
+        });
+    </script>
+</body>
+</html>`;
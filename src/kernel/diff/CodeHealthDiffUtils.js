@@ -0,0 +1,133 @@
+/**
+ * Module providing utilities for the code health diff (report loading and writers).
+ * @module CodeHealthDiffUtils
+ */
+import fs from 'fs-extra';
+import path from 'path';
+
+import AppLogger from '../../commons/AppLogger.js';
+import { CODE_HEALTH_REPORT_FILE_NAME } from '../health/CodeHealthUtils.js';
+import { formatCodeHealthDiffHtml, formatCodeHealthDiffMarkdown } from './CodeHealthDiffConfig.js';
+
+/**
+ * Output file extension by diff format.
+ * @const {Object<string, string>}
+ */
+export const codeHealthDiffFileExtensions = {
+    json: 'json',
+    markdown: 'md',
+    html: 'html',
+};
+
+/**
+ * Reads a combined code health report.
+ * @param {string} reportPath - A `CodeHealthReport.json` file, or the output directory of a run.
+ * @returns {import('../health/CodeHealthAuditor.js').CodeHealthReport|null} The report; `null` when missing or invalid.
+ */
+export const readCodeHealthReport = (reportPath) => {
+    try {
+        const reportFile =
+            reportPath && fs.existsSync(reportPath) && fs.statSync(reportPath).isDirectory()
+                ? path.join(reportPath, CODE_HEALTH_REPORT_FILE_NAME)
+                : reportPath;
+
+        AppLogger.info(`[CodeHealthDiffUtils - readCodeHealthReport] reportFile:  ${reportFile}`);
+
+        const report = fs.readJsonSync(reportFile);
+        if (!Array.isArray(report?.modules)) {
+            AppLogger.info(
+                `[CodeHealthDiffUtils - readCodeHealthReport] ${reportFile} is not a ${CODE_HEALTH_REPORT_FILE_NAME} file`,
+            );
+            return null;
+        }
+
+        return report;
+    } catch (error) {
+        AppLogger.info(`[CodeHealthDiffUtils - readCodeHealthReport] error:  ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Formats the code health diff.
+ * @param {Object} options
+ * @param {('json'|'markdown'|'html')} options.fileFormat - The output format.
+ * @param {import('./CodeHealthDiffAuditor.js').CodeHealthDiff} options.diff - Result of `startCodeHealthDiff`.
+ * @returns {string} The formatted diff (empty for an unknown format).
+ */
+export const formatCodeHealthDiff = ({ fileFormat, diff }) => {
+    if (!diff) {
+        return '';
+    }
+
+    if (fileFormat === 'json') {
+        return JSON.stringify(diff, null, 2);
+    }
+
+    if (fileFormat === 'markdown') {
+        return formatCodeHealthDiffMarkdown(diff);
+    }
+
+    if (fileFormat === 'html') {
+        return formatCodeHealthDiffHtml(diff);
+    }
+
+    return '';
+};
+
+/**
+ * Writes the code health diff to `CodeHealthDiff.<json|md|html>`.
+ *
+ * @param {Object} options
+ * @param {Object} options.codeHealthDiffOptions - Diff output options.
+ * @param {string} options.codeHealthDiffOptions.outputDir - Output directory for the diff file.
+ * @param {('json'|'markdown'|'html')} options.codeHealthDiffOptions.fileFormat - The output format.
+ * @param {import('./CodeHealthDiffAuditor.js').CodeHealthDiff} options.codeHealthDiffResult - Result of `startCodeHealthDiff`.
+ * @returns {boolean} `true` if the file was written successfully, `false` otherwise.
+ */
+export const writeCodeHealthDiffToFile = ({ codeHealthDiffOptions, codeHealthDiffResult }) => {
+    try {
+        const { outputDir, fileFormat } = codeHealthDiffOptions || {};
+
+        AppLogger.info(
+            `[CodeHealthDiffUtils - writeCodeHealthDiffToFile] outputDir:  ${outputDir}`,
+        );
+        AppLogger.info(
+            `[CodeHealthDiffUtils - writeCodeHealthDiffToFile] fileFormat:  ${fileFormat}`,
+        );
+
+        if (!outputDir?.length) {
+            return false;
+        }
+
+        const formattedCodeHealthDiff = formatCodeHealthDiff({
+            fileFormat,
+            diff: codeHealthDiffResult,
+        });
+
+        if (!formattedCodeHealthDiff?.length) {
+            return false;
+        }
+
+        fs.mkdirSync(outputDir, {
+            recursive: true,
+        });
+
+        const codeHealthDiffOutputFile = path.join(
+            outputDir,
+            `CodeHealthDiff.${codeHealthDiffFileExtensions[fileFormat]}`,
+        );
+        AppLogger.info(
+            `[CodeHealthDiffUtils - writeCodeHealthDiffToFile] codeHealthDiffOutputFile:  ${codeHealthDiffOutputFile}`,
+        );
+
+        fs.writeFileSync(codeHealthDiffOutputFile, formattedCodeHealthDiff);
+
+        return true;
+    } catch (error) {
+        AppLogger.info(
+            `[CodeHealthDiffUtils - writeCodeHealthDiffToFile] error:  ${error.message}`,
+        );
+        return false;
+    }
+};
@@ -1,19 +1,170 @@
 import { execSync } from 'child_process';
 import fs from 'fs-extra';
+import lodash from 'lodash';
+import os from 'os';
+import path from 'path';
 
 import AppLogger from '../../commons/AppLogger.js';
+import { discoverAuditFiles } from '../../commons/AuditFiles.js';
+import { inlineHtmlFile } from '../../commons/AuditHtml.js';
 import { codeDuplicationDefaultOptions, getFileContent } from '../../commons/AuditUtils.js';
 
+/**
+ * Glob special characters.
+ * @const {RegExp}
+ */
+const GLOB_CHARACTERS = /[()[\]{}*?!+@|]/g;
+
+/**
+ * Escapes the glob special characters of a path (e.g. `pages/[id].tsx`).
+ * @param {string} filePath - The path to escape.
+ * @returns {string} The escaped posix path.
+ */
+const escapeGlobPath = (filePath) =>
+    filePath.split(path.sep).join('/').replace(GLOB_CHARACTERS, '\\$&');
+
+/**
+ * Writes a temporary jscpd configuration restricting the detection to the audited files:
+ * the skipped files and directories of the audited file set become jscpd ignore patterns.
+ * The files skipped because they did not change since a git ref (`--since`) are still scanned,
+ * so that a new clone of an unchanged file is detected (see `restrictDuplicationReport`).
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} auditFiles - The audited files.
+ * @returns {string} The configuration file path.
+ */
+const writeDuplicationConfig = (auditFiles) => {
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-health-meter-'));
+    const configFile = path.join(configDir, '.jscpd.json');
+
+    fs.writeJsonSync(configFile, {
+        path: [auditFiles.rootDir],
+        ignore: auditFiles.excluded
+            .filter(({ rule }) => rule?.source !== 'since')
+            .map(({ file }) => {
+                const ignorePattern = escapeGlobPath(path.join(auditFiles.rootDir, file));
+                return file.endsWith('/') ? `${ignorePattern}/**` : ignorePattern;
+            }),
+    });
+
+    return configFile;
+};
+
+/**
+ * Counters of the jscpd statistics summed over sources.
+ * @const {string[]}
+ */
+const DUPLICATION_COUNTERS = [
+    'lines',
+    'tokens',
+    'sources',
+    'clones',
+    'duplicatedLines',
+    'duplicatedTokens',
+    'newDuplicatedLines',
+    'newClones',
+];
+
+/**
+ * Sums the statistics of jscpd sources and computes their percentages.
+ * @param {Object[]} statistics - Statistics of sources (or of formats).
+ * @returns {Object} The summed statistics.
+ */
+const sumDuplicationStatistics = (statistics) => {
+    const total = Object.fromEntries(
+        DUPLICATION_COUNTERS.map((counter) => [
+            counter,
+            statistics.reduce((sum, statistic) => sum + (statistic[counter] || 0), 0),
+        ]),
+    );
+
+    return {
+        ...total,
+        percentage: total.lines ? (total.duplicatedLines / total.lines) * 100 : 0,
+        percentageTokens: total.tokens ? (total.duplicatedTokens / total.tokens) * 100 : 0,
+    };
+};
+
+/**
+ * Restricts a jscpd report of the whole project to the changed files:
+ * the clones with at least one side in a changed file, and the statistics of the changed files.
+ * @param {Object} report - The jscpd report (`statistics`, `duplicates`).
+ * @param {string[]} changedFiles - Absolute paths of the changed files.
+ * @returns {Object} The restricted jscpd report.
+ */
+const restrictDuplicationReport = (report, changedFiles) => {
+    const changed = new Set(changedFiles);
+    const isChanged = (file) => changed.has(path.resolve(file));
+    const formats = lodash.mapValues(report.statistics?.formats || {}, (format) => {
+        const sources = lodash.pickBy(format.sources || {}, (statistic, file) => isChanged(file));
+        return {
+            ...format,
+            sources,
+            total: sumDuplicationStatistics(Object.values(sources)),
+        };
+    });
+
+    return {
+        ...report,
+        statistics: {
+            ...report.statistics,
+            formats,
+            total: sumDuplicationStatistics(Object.values(formats).map(({ total }) => total)),
+        },
+        duplicates: (report.duplicates || []).filter(
+            ({ firstFile, secondFile }) => isChanged(firstFile.name) || isChanged(secondFile.name),
+        ),
+    };
+};
+
+/**
+ * Reads the jscpd JSON report written to the output directory
+ * (`jscpd-report.json` with the json reporter, `html/jscpd-report.json` with the html one).
+ * With `--since`, the report is restricted to the changed files (and rewritten).
+ * @param {string} outputDir - The directory where the audit results are stored.
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} auditFiles - The audited files.
+ * @returns {Object|null} The parsed jscpd report (`statistics`, `duplicates`), or null if not found.
+ */
+const readDuplicationReport = (outputDir, auditFiles) => {
+    const reportFile = [
+        `${outputDir}/jscpd-report.json`,
+        `${outputDir}/html/jscpd-report.json`,
+    ].find((file) => fs.existsSync(file));
+
+    if (!reportFile) {
+        return null;
+    }
+
+    if (!auditFiles.since) {
+        return fs.readJsonSync(reportFile);
+    }
+
+    const report = restrictDuplicationReport(fs.readJsonSync(reportFile), auditFiles.files);
+    fs.writeJsonSync(reportFile, report, { spaces: 2 });
+
+    return report;
+};
+
 /**
  * This asynchronous function starts the audit process.
  * @param {string} directory - The directory to be audited.
  * @param {string} outputDir - The directory where the audit results will be stored.
- * @param {string} fileFormat - The format of the audit report file.
- * @returns {Promise<boolean>} A promise that resolves to `true` if the audit was successful, and `false` otherwise.
- * @throws Will throw an error if the audit process fails.
+ * @param {string|Object} auditOptions - The format of the audit report file, or an object:
+ * @param {string} auditOptions.fileFormat - The format of the audit report file (`json`, `html`, or both comma separated).
+ * @param {Object} [auditOptions.duplicationOptions] - jscpd options (defaults to `codeDuplicationDefaultOptions`).
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} [auditOptions.auditFiles] - Audited files (discovered from `directory` when missing).
+ * @param {boolean} [auditOptions.htmlSingleFile] - Inline the scripts and style sheets into the html report.
+ * @returns {Promise<Object>} A promise that resolves to the jscpd report (`statistics`, `duplicates`), or `{}` if the audit failed.
  */
-export const startDuplicationAudit = async (directory, outputDir, fileFormat) => {
+export const startDuplicationAudit = async (directory, outputDir, auditOptions) => {
+    let configFile = null;
+
     try {
+        const {
+            fileFormat,
+            duplicationOptions = codeDuplicationDefaultOptions,
+            auditFiles = discoverAuditFiles(directory),
+            htmlSingleFile,
+        } = typeof auditOptions === 'string' ? { fileFormat: auditOptions } : auditOptions || {};
+
         AppLogger.info(`[CodeDuplicationAuditor - startDuplicationAudit] directory:  ${directory}`);
         AppLogger.info(`[CodeDuplicationAuditor - startDuplicationAudit] outputDir:  ${outputDir}`);
         AppLogger.info(
@@ -21,7 +172,8 @@ export const startDuplicationAudit = async (directory, outputDir, fileFormat) =>
         );
 
         // execute audit
-        const codeDuplicationCommand = `pnpm jscpd --silent --mode "${codeDuplicationDefaultOptions.mode}" --threshold ${codeDuplicationDefaultOptions.threshold} --reporters "${fileFormat}" --output "${outputDir}" --format "${codeDuplicationDefaultOptions.format}" --ignore "${codeDuplicationDefaultOptions.ignore.join(',')}" ${directory}`;
+        configFile = writeDuplicationConfig(auditFiles);
+        const codeDuplicationCommand = `pnpm jscpd --silent --config "${configFile}" --mode "${duplicationOptions.mode}" --threshold ${duplicationOptions.threshold} --reporters "${fileFormat}" --output "${outputDir}" --format "${duplicationOptions.format}"`;
         AppLogger.info(
             `[CodeDuplicationAuditor - startDuplicationAudit] jscpd script:  ${codeDuplicationCommand}`,
         );
@@ -36,7 +188,7 @@ export const startDuplicationAudit = async (directory, outputDir, fileFormat) =>
         }
 
         // modify generated html
-        if (fileFormat === 'html') {
+        if (fileFormat?.split(',').includes('html')) {
             const outputHtmlPath = `${outputDir}/html/index.html`;
             const outputHtmlContent = await getFileContent(outputHtmlPath);
             if (outputHtmlContent?.length) {
@@ -45,11 +197,18 @@ export const startDuplicationAudit = async (directory, outputDir, fileFormat) =>
                     .replace(/<footer.*footer>/, '');
                 fs.writeFileSync(outputHtmlPath, newOutputHtmlDocument);
             }
+            if (htmlSingleFile) {
+                inlineHtmlFile(outputHtmlPath);
+            }
         }
 
-        return true;
+        return readDuplicationReport(outputDir, auditFiles) || {};
     } catch (error) {
         AppLogger.info(`[CodeDuplicationAuditor - startDuplicationAudit] error:  ${error.message}`);
-        return false;
+        return {};
+    } finally {
+        if (configFile) {
+            fs.removeSync(path.dirname(configFile));
+        }
     }
 };
@@ -0,0 +1,187 @@
+/**
+ * Module collecting the findings of the audits (low maintainability files, complex functions,
+ * clones, circular dependencies and architecture rule violations) exported to code scanning formats such as SARIF, with the
+ * summaries exported to the report formats such as Markdown.
+ *
+ * @module CodeExportAuditor
+ */
+import fs from 'fs-extra';
+import path from 'path';
+
+import AppLogger from '../../commons/AppLogger.js';
+import { complexityAuditStatsDefaultLimits, generateHash } from '../../commons/AuditUtils.js';
+import {
+    buildCircularFindings,
+    buildCyclomaticFindings,
+    buildDuplicationFindings,
+    buildFileMetrics,
+    buildMaintainabilityFindings,
+    buildRuleViolationFindings,
+} from './CodeExportBuilder.js';
+import { codeExportRules } from './CodeExportConfig.js';
+
+/**
+ * Findings and summaries of the audits.
+ * @typedef {Object} CodeExport
+ * @property {string} rootDir - Absolute path of the audited directory (finding paths are relative to it).
+ * @property {Object} limits - MI and cyclomatic limits of the complexity findings (`complexity.limits`).
+ * @property {Array<import('./CodeExportBuilder.js').CodeExportFinding & {fingerprint: string}>} findings - Sorted by rule, path and line,
+ * with a fingerprint that is stable across runs.
+ * @property {Array<Object>} files - Per-file metrics (see `buildFileMetrics`), sorted by path.
+ * @property {Object|null} summary - Summary of the complexity audit (`total` and `average` sizes and maintainability).
+ * @property {import('../health/CodeHealthAuditor.js').CodeHealthReport|null} health - The combined report.
+ * @property {import('../diff/CodeHealthDiffAuditor.js').CodeHealthDiff|null} diff - Comparison to the baseline report.
+ * @property {import('../gate/QualityGateAuditor.js').QualityGateResult|null} gate - Quality gate result (gate enabled).
+ */
+
+/**
+ * Rule order of the findings.
+ * @const {Object<string, number>}
+ */
+const ruleOrder = Object.fromEntries(codeExportRules.map((rule, index) => [rule.id, index]));
+
+/**
+ * Compares two findings: by rule, path, then line.
+ * @param {import('./CodeExportBuilder.js').CodeExportFinding} a
+ * @param {import('./CodeExportBuilder.js').CodeExportFinding} b
+ * @returns {number}
+ */
+const compareFindings = (a, b) =>
+    ruleOrder[a.ruleId] - ruleOrder[b.ruleId] ||
+    a.location.path.localeCompare(b.location.path) ||
+    (a.location.startLine || 0) - (b.location.startLine || 0);
+
+/**
+ * Checks that a location is a file under the audited directory (SRCROOT), as code scanning
+ * tools (e.g. GitHub code scanning, GitLab Code Quality) attach findings to files only.
+ * @param {import('./CodeExportBuilder.js').CodeExportLocation} location
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {boolean}
+ */
+const isFileLocation = (location, rootDir) => {
+    const file = path.resolve(rootDir, location?.path || '');
+    const relativePath = path.relative(rootDir, file);
+
+    return (
+        Boolean(relativePath) &&
+        !relativePath.startsWith('..') &&
+        !path.isAbsolute(relativePath) &&
+        fs.existsSync(file) &&
+        fs.statSync(file).isFile()
+    );
+};
+
+/**
+ * Keeps the findings located in files under the audited directory, and their related locations
+ * in such files (the others are logged and dropped).
+ * @param {import('./CodeExportBuilder.js').CodeExportFinding[]} findings
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {import('./CodeExportBuilder.js').CodeExportFinding[]}
+ */
+const keepFileLocations = (findings, rootDir) =>
+    findings
+        .filter((finding) => {
+            if (isFileLocation(finding.location, rootDir)) {
+                return true;
+            }
+            AppLogger.info(
+                `[CodeExportAuditor - keepFileLocations] ${finding.ruleId} not in a file:  ${finding.location?.path}`,
+            );
+            return false;
+        })
+        .map((finding) => ({
+            ...finding,
+            relatedLocations: finding.relatedLocations.filter((location) =>
+                isFileLocation(location, rootDir),
+            ),
+        }));
+
+/**
+ * Sets the fingerprint of each finding: hash of its rule and key, plus its occurrence number
+ * when several findings share a key (e.g. two clones of the same block in the same files).
+ * Fingerprints do not depend on line numbers: they stay the same when the code moves.
+ * @param {import('./CodeExportBuilder.js').CodeExportFinding[]} findings - Sorted findings.
+ * @returns {import('./CodeExportBuilder.js').CodeExportFinding[]}
+ */
+const addFingerprints = (findings) => {
+    const occurrences = {};
+
+    return findings.map((finding) => {
+        const identity = `${finding.ruleId} ${finding.key}`;
+        occurrences[identity] = (occurrences[identity] || 0) + 1;
+        return {
+            ...finding,
+            fingerprint: generateHash([identity, occurrences[identity]]),
+        };
+    });
+};
+
+/**
+ * Collect the findings of the audit results.
+ *
+ * @param {Object} params
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} params.auditFiles - Audited files.
+ * @param {Object} params.codeComplexityAnalysisResult - Result of `startComplexityAudit`.
+ * @param {Object} [params.codeDuplicationAnalysisResult] - Result of `startDuplicationAudit`.
+ * @param {Object} [params.codeModularityAnalysisResult] - Result of `startModularityAudit`.
+ * @param {import('../health/CodeHealthAuditor.js').CodeHealthReport} [params.codeHealthAnalysisResult] - Result of `startCodeHealthAudit`.
+ * @param {import('../diff/CodeHealthDiffAuditor.js').CodeHealthDiff} [params.codeHealthDiffResult] - Result of `startCodeHealthDiff` (run with a baseline).
+ * @param {import('../gate/QualityGateAuditor.js').QualityGateResult} [params.qualityGateResult] - Result of `startQualityGateAudit` (gate enabled).
+ * @param {Object} [params.limits] - MI and cyclomatic limits (see `complexityAuditStatsDefaultLimits`).
+ * @returns {CodeExport|{}} The findings and summaries; `{}` on failure.
+ *
+ * @example
+ * const { findings } = startCodeExportAudit({
+ *   auditFiles,
+ *   codeComplexityAnalysisResult,
+ *   codeDuplicationAnalysisResult,
+ *   codeModularityAnalysisResult,
+ * });
+ */
+export const startCodeExportAudit = ({
+    auditFiles,
+    codeComplexityAnalysisResult,
+    codeDuplicationAnalysisResult,
+    codeModularityAnalysisResult,
+    codeHealthAnalysisResult,
+    codeHealthDiffResult,
+    qualityGateResult,
+    limits = complexityAuditStatsDefaultLimits,
+}) => {
+    try {
+        const rootDir = auditFiles?.rootDir || path.resolve('.');
+
+        const findings = addFingerprints(
+            keepFileLocations(
+                [
+                    ...buildMaintainabilityFindings(codeComplexityAnalysisResult, rootDir, limits),
+                    ...buildCyclomaticFindings(codeComplexityAnalysisResult, rootDir, limits),
+                    ...buildDuplicationFindings(codeDuplicationAnalysisResult, rootDir),
+                    ...buildCircularFindings(codeModularityAnalysisResult, rootDir),
+                    ...buildRuleViolationFindings(codeModularityAnalysisResult, rootDir),
+                ],
+                rootDir,
+            ).sort(compareFindings),
+        );
+
+        AppLogger.info(`[CodeExportAuditor - startCodeExportAudit] findings:  ${findings.length}`);
+
+        return {
+            rootDir,
+            limits,
+            findings,
+            files: buildFileMetrics(
+                codeComplexityAnalysisResult,
+                codeHealthAnalysisResult,
+                rootDir,
+            ),
+            summary: codeComplexityAnalysisResult?.summary || null,
+            health: codeHealthAnalysisResult?.modules ? codeHealthAnalysisResult : null,
+            diff: codeHealthDiffResult?.summary ? codeHealthDiffResult : null,
+            gate: qualityGateResult?.results ? qualityGateResult : null,
+        };
+    } catch (error) {
+        AppLogger.info(`[CodeExportAuditor - startCodeExportAudit] error:  ${error.message}`);
+        return {};
+    }
+};
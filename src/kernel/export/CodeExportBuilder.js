@@ -0,0 +1,346 @@
+import { complexityAuditStatsDefaultLimits } from '../../commons/AuditUtils.js';
+import {
+    HALSTEAD_METRIC_IDS,
+    REPORT_TITLES,
+    readMetricId,
+} from '../complexity/CodeComplexityBuilder.js';
+import { normalizeModulePath } from '../health/CodeHealthBuilder.js';
+
+/**
+ * Builders of the exported findings: one finding per threshold breach (file maintainability,
+ * function cyclomatic complexity), clone, circular dependency and architecture rule violation,
+ * located in the audited files,
+ * and of the exported per-file metrics.
+ * Every location is a posix path relative to the audited directory, as in the combined report.
+ * @module CodeExportBuilder
+ */
+
+/**
+ * A location in an audited file.
+ * @typedef {Object} CodeExportLocation
+ * @property {string} path - Posix path relative to the audited directory.
+ * @property {number|null} startLine - First line (1-based), null for the whole file.
+ * @property {number|null} endLine - Last line, null for the whole file.
+ * @property {string} [message] - What the location is (related locations only).
+ */
+
+/**
+ * A finding of an export rule.
+ * @typedef {Object} CodeExportFinding
+ * @property {string} ruleId - Id of the rule (see `codeExportRules`).
+ * @property {('error'|'warning'|'note')} level - Finding level.
+ * @property {string} status - Status of the measured value (e.g. `High risk`).
+ * @property {string} message - Finding description.
+ * @property {number|null} value - Measured value (maintainability, cyclomatic complexity, lines).
+ * @property {number|null} threshold - Limit the value breaches.
+ * @property {CodeExportLocation} location - Main location.
+ * @property {CodeExportLocation[]} relatedLocations - Other locations (clone copy, cycle members).
+ * @property {string} key - Identity of the finding that does not depend on line numbers
+ * (path, function name, clone content, cycle), the base of its fingerprint.
+ */
+
+/**
+ * Builds a location.
+ * @param {string} modulePath - Posix path relative to the audited directory.
+ * @param {number} [startLine]
+ * @param {number} [endLine]
+ * @returns {CodeExportLocation}
+ */
+const buildLocation = (modulePath, startLine, endLine) => ({
+    path: modulePath,
+    startLine: startLine || null,
+    endLine: endLine || startLine || null,
+});
+
+/**
+ * Builds the findings of the files whose maintainability index is below the moderate limit
+ * (same bucket as the `badMaintainability` files of the complexity summary).
+ * @param {Object} codeComplexityAnalysisResult - Result of `startComplexityAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic limits.
+ * @returns {CodeExportFinding[]}
+ */
+export const buildMaintainabilityFindings = (
+    codeComplexityAnalysisResult,
+    rootDir,
+    limits = complexityAuditStatsDefaultLimits,
+) => {
+    const threshold = limits.maintainability.moderate;
+
+    return (codeComplexityAnalysisResult?.auditReports || [])
+        .filter(
+            (report) =>
+                report.title === REPORT_TITLES.mi &&
+                typeof report.scorePercent === 'number' &&
+                Math.ceil(report.scorePercent) < threshold,
+        )
+        .map((report) => {
+            const maintainability = Number(report.scorePercent.toFixed(2));
+            return {
+                ruleId: 'low-maintainability',
+                level: 'warning',
+                status: report.status,
+                message: `Maintainability index of ${maintainability} % is below ${threshold} % (${report.status}).`,
+                value: maintainability,
+                threshold,
+                location: buildLocation(normalizeModulePath(report.file, rootDir)),
+                relatedLocations: [],
+                key: normalizeModulePath(report.file, rootDir),
+            };
+        });
+};
+
+/**
+ * Builds the findings of the functions whose cyclomatic complexity is above the moderate limit:
+ * warnings up to the bad limit, errors above.
+ * @param {Object} codeComplexityAnalysisResult - Result of `startComplexityAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic limits.
+ * @returns {CodeExportFinding[]}
+ */
+export const buildCyclomaticFindings = (
+    codeComplexityAnalysisResult,
+    rootDir,
+    limits = complexityAuditStatsDefaultLimits,
+) => {
+    const { moderate, bad } = limits.cyclomatic;
+
+    return (codeComplexityAnalysisResult?.functionReports || [])
+        .filter((report) => report.cyclomatic > moderate)
+        .map((report) => ({
+            ruleId: 'high-cyclomatic-complexity',
+            level: report.cyclomatic > bad ? 'error' : 'warning',
+            status: report.status,
+            message: `Function "${report.name}" has a cyclomatic complexity of ${report.cyclomatic}, above ${moderate} (${report.status}).`,
+            value: report.cyclomatic,
+            threshold: moderate,
+            location: buildLocation(
+                normalizeModulePath(report.file, rootDir),
+                report.lineStart,
+                report.lineEnd,
+            ),
+            relatedLocations: [],
+            key: `${normalizeModulePath(report.file, rootDir)} ${report.name}`,
+        }));
+};
+
+/**
+ * Builds one finding per clone, located on its first copy (the second copy is a related location).
+ * @param {Object} codeDuplicationAnalysisResult - jscpd report returned by `startDuplicationAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {CodeExportFinding[]}
+ */
+export const buildDuplicationFindings = (codeDuplicationAnalysisResult, rootDir) => {
+    const cwd = process.cwd();
+
+    return (codeDuplicationAnalysisResult?.duplicates || []).map(
+        ({ format, lines, fragment, firstFile, secondFile }) => {
+            const first = buildLocation(
+                normalizeModulePath(firstFile.name, rootDir, cwd),
+                firstFile.start,
+                firstFile.end,
+            );
+            const second = buildLocation(
+                normalizeModulePath(secondFile.name, rootDir, cwd),
+                secondFile.start,
+                secondFile.end,
+            );
+
+            return {
+                ruleId: 'duplicated-block',
+                level: 'warning',
+                status: format,
+                message: `Duplicated block of ${lines} lines, also in ${second.path} (lines ${second.startLine}-${second.endLine}).`,
+                value: lines,
+                threshold: null,
+                location: first,
+                relatedLocations: [{ ...second, message: 'Copy of the duplicated block' }],
+                key: `${first.path} ${second.path} ${fragment || lines}`,
+            };
+        },
+    );
+};
+
+/**
+ * Identifies a cycle whatever its starting module (rotated to start with the smallest path).
+ * @param {string[]} cycle
+ * @returns {string}
+ */
+const readCycleKey = (cycle) => {
+    const start = cycle.indexOf([...cycle].sort()[0]);
+    return [...cycle.slice(start), ...cycle.slice(0, start)].join(' > ');
+};
+
+/**
+ * Reads the file imports behind a cycle of directories or packages (folder or package
+ * granularity): for each dependency of the cycle, the first file of the group importing a file
+ * of the next group.
+ * @param {string[]} cycle - Groups of the cycle, each one importing the next (the last one the first).
+ * @param {Object} codeModularityAnalysisResult - Result of `startModularityAudit` (`fileTree`, `moduleGroups`).
+ * @returns {Array<{from: string, to: string}|null>} - One file import per dependency (null when not found).
+ */
+const readCycleFileImports = (cycle, { fileTree, moduleGroups }) =>
+    cycle.map((group, index) => {
+        const nextFiles = new Set(moduleGroups?.[cycle[(index + 1) % cycle.length]] || []);
+        const from = [...(moduleGroups?.[group] || [])]
+            .sort()
+            .find((file) =>
+                (fileTree?.[file] || []).some((dependency) => nextFiles.has(dependency)),
+            );
+
+        return from
+            ? {
+                  from,
+                  to: [...fileTree[from]].sort().find((dependency) => nextFiles.has(dependency)),
+              }
+            : null;
+    });
+
+/**
+ * Builds one finding per circular dependency, located on its first module
+ * (the other modules of the cycle are related locations).
+ * At folder or package granularity, the modules of the cycle are directories or packages:
+ * the finding is located on the files importing the next group of the cycle.
+ * @param {Object} codeModularityAnalysisResult - Result of `startModularityAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {CodeExportFinding[]}
+ */
+export const buildCircularFindings = (codeModularityAnalysisResult, rootDir) =>
+    (codeModularityAnalysisResult?.circular || []).flatMap((cycle) => {
+        if (!codeModularityAnalysisResult.moduleGroups) {
+            const modulePaths = cycle.map((node) => normalizeModulePath(node, rootDir));
+
+            return [
+                {
+                    ruleId: 'circular-dependency',
+                    level: 'error',
+                    status: `${modulePaths.length} modules`,
+                    message: `Circular dependency: ${[...modulePaths, modulePaths[0]].join(' > ')}.`,
+                    value: modulePaths.length,
+                    threshold: null,
+                    location: buildLocation(modulePaths[0]),
+                    relatedLocations: modulePaths.slice(1).map((modulePath) => ({
+                        ...buildLocation(modulePath),
+                        message: 'Module of the circular dependency',
+                    })),
+                    key: readCycleKey(modulePaths),
+                },
+            ];
+        }
+
+        // directories and packages are not file paths: locate the cycle on its file imports
+        const fileImports = readCycleFileImports(cycle, codeModularityAnalysisResult).filter(
+            Boolean,
+        );
+        if (!fileImports.length) {
+            return [];
+        }
+        const [firstImport, ...otherImports] = fileImports.map(({ from, to }) => ({
+            from: normalizeModulePath(from, rootDir),
+            to: normalizeModulePath(to, rootDir),
+        }));
+
+        return [
+            {
+                ruleId: 'circular-dependency',
+                level: 'error',
+                status: `${cycle.length} modules`,
+                message: `Circular dependency: ${[...cycle, cycle[0]].join(' > ')} (${firstImport.from} imports ${firstImport.to}).`,
+                value: cycle.length,
+                threshold: null,
+                location: buildLocation(firstImport.from),
+                relatedLocations: otherImports.map(({ from, to }) => ({
+                    ...buildLocation(from),
+                    message: `Import of ${to} in the circular dependency`,
+                })),
+                key: readCycleKey(cycle),
+            },
+        ];
+    });
+
+/**
+ * Finding level by architecture rule severity.
+ * @const {Object<string, string>}
+ */
+const ruleViolationLevels = {
+    error: 'error',
+    warn: 'warning',
+    info: 'note',
+};
+
+/**
+ * Builds one finding per architecture rule violation, located on the import of the importing
+ * file (the imported file is a related location).
+ * @param {Object} codeModularityAnalysisResult - Result of `startModularityAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {CodeExportFinding[]}
+ */
+export const buildRuleViolationFindings = (codeModularityAnalysisResult, rootDir) =>
+    (codeModularityAnalysisResult?.ruleViolations || []).map(
+        ({ rule, severity, comment, from, to, line }) => {
+            const fromPath = normalizeModulePath(from, rootDir);
+            const toPath = normalizeModulePath(to, rootDir);
+            // module rules (e.g. orphan) report the module itself
+            const isModuleViolation = fromPath === toPath;
+
+            return {
+                ruleId: 'architecture-rule',
+                level: ruleViolationLevels[severity] || 'warning',
+                status: rule,
+                message: `${isModuleViolation ? 'Module' : `Import of ${toPath}`} violates the architecture rule "${rule}"${comment ? ` (${comment})` : ''}.`,
+                value: null,
+                threshold: null,
+                location: buildLocation(fromPath, line),
+                relatedLocations: isModuleViolation
+                    ? []
+                    : [{ ...buildLocation(toPath), message: 'Imported module' }],
+                key: `${rule} ${fromPath} > ${toPath}`,
+            };
+        },
+    );
+
+/**
+ * Builds the per-file metrics of the exported table: one record per module of the combined
+ * report, with the Halstead measures of the complexity audit. Values are raw numbers,
+ * null when the audit of the dimension did not cover the module.
+ * @param {Object} codeComplexityAnalysisResult - Result of `startComplexityAudit`.
+ * @param {import('../health/CodeHealthAuditor.js').CodeHealthReport} codeHealthAnalysisResult - Result of `startCodeHealthAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {Array<Object<string, string|number|null>>} - Records keyed by `codeExportTableColumns`.
+ */
+export const buildFileMetrics = (
+    codeComplexityAnalysisResult,
+    codeHealthAnalysisResult,
+    rootDir,
+) => {
+    const halsteadByModule = {};
+    (codeComplexityAnalysisResult?.auditReports || [])
+        .filter((report) => report.category === 'halstead')
+        .forEach((report) => {
+            const modulePath = normalizeModulePath(report.file, rootDir);
+            halsteadByModule[modulePath] = {
+                ...halsteadByModule[modulePath],
+                [readMetricId(report)]: report.score,
+            };
+        });
+    const halsteadNames = Object.values(HALSTEAD_METRIC_IDS);
+
+    return (codeHealthAnalysisResult?.modules || []).map(
+        ({ path: modulePath, complexity, duplication, modularity }) => ({
+            path: modulePath,
+            maintainability: complexity?.maintainability ?? null,
+            physicalSloc: complexity?.sloc.physical ?? null,
+            logicalSloc: complexity?.sloc.logical ?? null,
+            cyclomatic: complexity?.cyclomatic ?? null,
+            ...Object.fromEntries(
+                halsteadNames.map((name) => [name, halsteadByModule[modulePath]?.[name] ?? null]),
+            ),
+            duplicatedLines: duplication?.duplicatedLines ?? null,
+            duplicatedPercentage: duplication?.percentage ?? null,
+            community: modularity?.community ?? null,
+            degreeCentrality: modularity?.degreeCentrality ?? null,
+            inDegreeCentrality: modularity?.inDegreeCentrality ?? null,
+            outDegreeCentrality: modularity?.outDegreeCentrality ?? null,
+        }),
+    );
+};
@@ -0,0 +1,80 @@
+/**
+ * Code Climate issues formatter of the exported findings (GitLab Code Quality report).
+ * https://docs.gitlab.com/ee/ci/testing/code_quality.html#code-quality-report-format
+ * @module CodeExportCodeClimate
+ */
+import fs from 'fs-extra';
+import path from 'path';
+
+import { findRepositoryDir } from '../../commons/AuditChanges.js';
+import {
+    codeClimateSeveritiesByLevel,
+    codeClimateSeveritiesByStatus,
+    codeExportRules,
+} from './CodeExportConfig.js';
+
+/**
+ * Reads the directory the Code Climate paths are relative to: the top-level directory of the git
+ * work tree of the audited directory (GitLab matches the paths against the repository), or the
+ * audited directory itself when it is not in a git work tree.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {{baseDir: string, sourceDir: string}} The base directory, and the audited directory
+ * (real path when the base directory is the work tree, as git resolves the symbolic links).
+ */
+const readCodeClimateBaseDir = (rootDir) => {
+    const repositoryDir = findRepositoryDir(rootDir);
+    return repositoryDir
+        ? { baseDir: repositoryDir, sourceDir: fs.realpathSync(rootDir) }
+        : { baseDir: rootDir, sourceDir: rootDir };
+};
+
+/**
+ * Formats a location as a Code Climate location: path relative to the repository root,
+ * whole file findings on their first line.
+ * @param {{baseDir: string, sourceDir: string}} dirs - See `readCodeClimateBaseDir`.
+ * @param {import('./CodeExportBuilder.js').CodeExportLocation} location
+ * @returns {{path: string, lines: {begin: number, end: number}}}
+ */
+const formatCodeClimateLocation = (
+    { baseDir, sourceDir },
+    { path: modulePath, startLine, endLine },
+) => ({
+    path: path.relative(baseDir, path.join(sourceDir, modulePath)).split(path.sep).join('/'),
+    lines: {
+        begin: startLine || 1,
+        end: endLine || startLine || 1,
+    },
+});
+
+/**
+ * Formats the findings as a Code Climate issues array.
+ * The severity comes from the complexity status of the finding (e.g. `High risk`: major),
+ * or from its level for clones and cycles.
+ * @param {import('./CodeExportAuditor.js').CodeExport} codeExport - Result of `startCodeExportAudit`.
+ * @returns {string} The issues (JSON).
+ */
+export const formatCodeExportCodeClimate = ({ rootDir, findings }) => {
+    const rules = Object.fromEntries(codeExportRules.map((rule) => [rule.id, rule]));
+    const dirs = readCodeClimateBaseDir(rootDir);
+
+    const issues = (findings || []).map((finding) => ({
+        type: 'issue',
+        check_name: finding.ruleId,
+        description: finding.message,
+        categories: [rules[finding.ruleId].codeClimateCategory],
+        severity:
+            codeClimateSeveritiesByStatus[finding.status] ||
+            codeClimateSeveritiesByLevel[finding.level],
+        fingerprint: finding.fingerprint,
+        location: formatCodeClimateLocation(dirs, finding.location),
+        ...(finding.relatedLocations.length
+            ? {
+                  other_locations: finding.relatedLocations.map((location) =>
+                      formatCodeClimateLocation(dirs, location),
+                  ),
+              }
+            : {}),
+    }));
+
+    return JSON.stringify(issues, null, 2);
+};
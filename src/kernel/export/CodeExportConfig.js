@@ -0,0 +1,152 @@
+/**
+ * Rules of the findings exported to code scanning formats, and the export file names.
+ * @module CodeExportConfig
+ */
+import { complexityAuditStatsDefaultLimits } from '../../commons/AuditUtils.js';
+import { HALSTEAD_METRIC_IDS } from '../complexity/CodeComplexityBuilder.js';
+
+/**
+ * A rule of the exported findings.
+ * @typedef {Object} CodeExportRule
+ * @property {string} id - Stable rule id (e.g. `high-cyclomatic-complexity`).
+ * @property {string} name - Rule name (PascalCase, as in SARIF).
+ * @property {string} title - Short description.
+ * @property {string} description - Full description.
+ * @property {('error'|'warning'|'note')} level - Default level of the rule findings.
+ * @property {string[]} tags - Rule categories.
+ * @property {string} codeClimateCategory - Code Climate issue category.
+ */
+
+/**
+ * Builds the rules of the exported findings, in report order (the complexity rules describe the
+ * configured limits).
+ * @param {Object} [limits=complexityAuditStatsDefaultLimits] - MI and cyclomatic limits (`complexity.limits`).
+ * @returns {CodeExportRule[]}
+ */
+export const buildCodeExportRules = (limits = complexityAuditStatsDefaultLimits) => [
+    {
+        id: 'low-maintainability',
+        name: 'LowMaintainability',
+        title: 'Low maintainability',
+        description: `The maintainability index (%) of the file is below the moderate limit (< ${limits.maintainability.moderate} is difficult to maintain): it may become less costly or less risky to rewrite the code than to modify it.`,
+        level: 'warning',
+        tags: ['maintainability'],
+        codeClimateCategory: 'Complexity',
+    },
+    {
+        id: 'high-cyclomatic-complexity',
+        name: 'HighCyclomaticComplexity',
+        title: 'High cyclomatic complexity',
+        description: `The cyclomatic complexity (number of linearly independent paths) of the function is above the moderate limit (> ${limits.cyclomatic.moderate} is complex and moderately testable, > ${limits.cyclomatic.bad} is very complex and poorly testable).`,
+        level: 'warning',
+        tags: ['complexity'],
+        codeClimateCategory: 'Complexity',
+    },
+    {
+        id: 'duplicated-block',
+        name: 'DuplicatedBlock',
+        title: 'Duplicated block',
+        description:
+            'The block of code is duplicated (clone detected by jscpd): a change of the block has to be repeated in each copy.',
+        level: 'warning',
+        tags: ['duplication'],
+        codeClimateCategory: 'Duplication',
+    },
+    {
+        id: 'circular-dependency',
+        name: 'CircularDependency',
+        title: 'Circular dependency',
+        description:
+            'The module is part of a circular dependency (cycle detected by Madge): the modules of the cycle cannot be understood, tested or reused separately.',
+        level: 'error',
+        tags: ['modularity'],
+        codeClimateCategory: 'Bug Risk',
+    },
+    {
+        id: 'architecture-rule',
+        name: 'ArchitectureRule',
+        title: 'Architecture rule violation',
+        description:
+            'The import violates an architecture rule of the configuration file (modularity.rules): the dependency crosses a layer or feature boundary the project forbids. The level is the severity of the rule.',
+        level: 'error',
+        tags: ['modularity'],
+        codeClimateCategory: 'Bug Risk',
+    },
+];
+
+/**
+ * Rules of the exported findings with the default limits, in report order.
+ * @type {CodeExportRule[]}
+ */
+export const codeExportRules = buildCodeExportRules();
+
+/**
+ * Output file name by export format.
+ * @const {Object<string, string>}
+ */
+export const codeExportFileNames = {
+    sarif: 'CodeHealthReport.sarif',
+    markdown: 'CodeHealthReport.md',
+    codeclimate: 'CodeHealthReport.codeclimate.json',
+    junit: 'CodeHealthReport.junit.xml',
+    csv: 'CodeHealthReport.csv',
+    tsv: 'CodeHealthReport.tsv',
+};
+
+/**
+ * Column separator by table export format.
+ * @const {Object<string, string>}
+ */
+export const codeExportTableSeparators = {
+    csv: ',',
+    tsv: '\t',
+};
+
+/**
+ * Columns of the exported per-file metrics table (CSV, TSV), in order.
+ * @const {string[]}
+ */
+export const codeExportTableColumns = [
+    'path',
+    'maintainability',
+    'physicalSloc',
+    'logicalSloc',
+    'cyclomatic',
+    ...Object.values(HALSTEAD_METRIC_IDS),
+    'duplicatedLines',
+    'duplicatedPercentage',
+    'community',
+    'degreeCentrality',
+    'inDegreeCentrality',
+    'outDegreeCentrality',
+];
+
+/**
+ * Code Climate severity by status of the complexity reports
+ * (see `getCyclomaticComplexityStatus` and `formatMaintainabilityIndexReport`).
+ * @const {Object<string, string>}
+ */
+export const codeClimateSeveritiesByStatus = {
+    'Moderate risk': 'minor',
+    'High risk': 'major',
+    'Most complex and highly unstable': 'critical',
+    'Moderate Maintainability': 'minor',
+    'Low Maintainability': 'major',
+};
+
+/**
+ * Code Climate severity by finding level (findings without a complexity status: clones, cycles,
+ * architecture rule violations).
+ * @const {Object<string, string>}
+ */
+export const codeClimateSeveritiesByLevel = {
+    note: 'info',
+    warning: 'minor',
+    error: 'major',
+};
+
+/**
+ * Number of files listed by the Markdown summary in each worst files table.
+ * @const {number}
+ */
+export const codeExportMarkdownTopFiles = 10;
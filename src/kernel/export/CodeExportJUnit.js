@@ -0,0 +1,219 @@
+/**
+ * JUnit XML formatter of the exported findings, so that CI servers show the health rules as test
+ * results: one testcase per analyzed file (a failure per threshold breach), one per clone and per
+ * circular dependency, and one per quality gate rule.
+ * @module CodeExportJUnit
+ */
+import { toolInfo } from '../../commons/AuditUtils.js';
+import {
+    formatCyclomaticComplexityReport,
+    formatMaintainabilityIndexReport,
+} from '../complexity/CodeComplexityConfig.js';
+import { formatQualityGateRuleResult } from '../gate/QualityGateAuditor.js';
+import { buildCodeExportRules } from './CodeExportConfig.js';
+
+/**
+ * A JUnit testcase.
+ * @typedef {Object} CodeExportTestCase
+ * @property {string} name - Testcase name.
+ * @property {string} classname - Testcase class name (the suite name for the project wide rules).
+ * @property {string} [file] - Path of the tested file.
+ * @property {Array<{type: string, message: string, body: string}>} failures - Failures (empty when passed).
+ * @property {boolean} [skipped] - The testcase could not be evaluated.
+ */
+
+/**
+ * Escapes the XML special characters of a text or attribute value.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeXml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+
+/**
+ * Formats a finding as a testcase failure (with the line range of the function, as the testcase
+ * of a complex function is its file).
+ * @param {import('./CodeExportBuilder.js').CodeExportFinding} finding
+ * @param {Object<string, string>} ruleDescriptions - Rule description by rule id.
+ * @returns {{type: string, message: string, body: string}}
+ */
+const buildFailure = (finding, ruleDescriptions) => ({
+    type: finding.ruleId,
+    message:
+        finding.ruleId === 'high-cyclomatic-complexity'
+            ? `${finding.message} (lines ${finding.location.startLine}-${finding.location.endLine})`
+            : finding.message,
+    body: ruleDescriptions[finding.ruleId],
+});
+
+/**
+ * Builds the complexity testcases: one per analyzed file, failing once per maintainability
+ * or cyclomatic complexity breach of the file.
+ * @param {import('./CodeExportAuditor.js').CodeExport} codeExport
+ * @param {Object<string, string>} ruleDescriptions - Rule description by rule id.
+ * @returns {CodeExportTestCase[]}
+ */
+const buildComplexityTestCases = ({ findings, health }, ruleDescriptions) => {
+    const complexityFindings = findings.filter((finding) =>
+        ['low-maintainability', 'high-cyclomatic-complexity'].includes(finding.ruleId),
+    );
+    const modulePaths = new Set([
+        ...(health?.modules || [])
+            .filter((module) => typeof module.complexity?.maintainability === 'number')
+            .map((module) => module.path),
+        ...complexityFindings.map((finding) => finding.location.path),
+    ]);
+
+    return [...modulePaths].sort().map((modulePath) => ({
+        name: modulePath,
+        classname: modulePath,
+        file: modulePath,
+        failures: complexityFindings
+            .filter((finding) => finding.location.path === modulePath)
+            .map((finding) => buildFailure(finding, ruleDescriptions)),
+    }));
+};
+
+/**
+ * Builds one failing testcase per finding of a rule (clones, circular dependencies, architecture rule violations).
+ * @param {import('./CodeExportBuilder.js').CodeExportFinding[]} findings
+ * @param {string} ruleId
+ * @param {Object<string, string>} ruleDescriptions - Rule description by rule id.
+ * @returns {CodeExportTestCase[]}
+ */
+const buildFindingTestCases = (findings, ruleId, ruleDescriptions) =>
+    findings
+        .filter((finding) => finding.ruleId === ruleId)
+        .map((finding) => ({
+            name: [finding.location, ...finding.relatedLocations]
+                .map(({ path, startLine, endLine }) =>
+                    startLine ? `${path}:${startLine}-${endLine}` : path,
+                )
+                .join(' > '),
+            classname: finding.location.path,
+            file: finding.location.path,
+            failures: [buildFailure(finding, ruleDescriptions)],
+        }));
+
+/**
+ * Builds one testcase per quality gate rule.
+ * @param {import('../gate/QualityGateAuditor.js').QualityGateResult} gate
+ * @returns {CodeExportTestCase[]}
+ */
+const buildQualityGateTestCases = (gate) =>
+    gate.results.map((result) => ({
+        name: result.title,
+        classname: 'quality-gate',
+        skipped: result.status === 'skipped',
+        failures:
+            result.status === 'failed'
+                ? [
+                      {
+                          type: result.id,
+                          message: formatQualityGateRuleResult(result),
+                          body: result.offenders.join('\n'),
+                      },
+                  ]
+                : [],
+    }));
+
+/**
+ * Formats a testcase.
+ * @param {CodeExportTestCase} testCase
+ * @returns {string}
+ */
+const formatTestCase = ({ name, classname, file, failures, skipped }) => {
+    const attributes = `name="${escapeXml(name)}" classname="${escapeXml(classname)}"${file ? ` file="${escapeXml(file)}"` : ''}`;
+
+    if (!failures.length && !skipped) {
+        return `    <testcase ${attributes}/>`;
+    }
+
+    return [
+        `    <testcase ${attributes}>`,
+        ...(skipped ? ['      <skipped/>'] : []),
+        ...failures.map(
+            ({ type, message, body }) =>
+                `      <failure type="${escapeXml(type)}" message="${escapeXml(message)}">${escapeXml(body)}</failure>`,
+        ),
+        '    </testcase>',
+    ].join('\n');
+};
+
+/**
+ * Formats a testsuite.
+ * @param {string} name
+ * @param {CodeExportTestCase[]} testCases
+ * @returns {{xml: string, tests: number, failures: number, skipped: number}}
+ */
+const formatTestSuite = (name, testCases) => {
+    const failures = testCases.filter((testCase) => testCase.failures.length).length;
+    const skipped = testCases.filter((testCase) => testCase.skipped).length;
+    const attributes = `name="${escapeXml(name)}" tests="${testCases.length}" failures="${failures}" errors="0" skipped="${skipped}"`;
+
+    return {
+        xml: testCases.length
+            ? [
+                  `  <testsuite ${attributes}>`,
+                  ...testCases.map(formatTestCase),
+                  '  </testsuite>',
+              ].join('\n')
+            : `  <testsuite ${attributes}/>`,
+        tests: testCases.length,
+        failures,
+        skipped,
+    };
+};
+
+/**
+ * Formats the findings as a JUnit XML report: `complexity`, `duplication`,
+ * `circular-dependencies` and `architecture-rules` testsuites, and a `quality-gate` testsuite when the gate is enabled.
+ * @param {import('./CodeExportAuditor.js').CodeExport} codeExport - Result of `startCodeExportAudit`.
+ * @returns {string} The JUnit XML report.
+ */
+export const formatCodeExportJUnit = (codeExport) => {
+    const { findings, gate, limits } = codeExport;
+    // The failure body of a complexity finding describes the limits of the metric it breaches
+    const ruleDescriptions = {
+        ...Object.fromEntries(
+            buildCodeExportRules(limits).map((rule) => [rule.id, rule.description]),
+        ),
+        'low-maintainability': formatMaintainabilityIndexReport(null, null, limits).description,
+        'high-cyclomatic-complexity': formatCyclomaticComplexityReport(null, null, limits)
+            .description,
+    };
+
+    const testSuites = [
+        formatTestSuite('complexity', buildComplexityTestCases(codeExport, ruleDescriptions)),
+        formatTestSuite(
+            'duplication',
+            buildFindingTestCases(findings, 'duplicated-block', ruleDescriptions),
+        ),
+        formatTestSuite(
+            'circular-dependencies',
+            buildFindingTestCases(findings, 'circular-dependency', ruleDescriptions),
+        ),
+        formatTestSuite(
+            'architecture-rules',
+            buildFindingTestCases(findings, 'architecture-rule', ruleDescriptions),
+        ),
+        ...(gate?.results
+            ? [formatTestSuite('quality-gate', buildQualityGateTestCases(gate))]
+            : []),
+    ];
+    const tests = testSuites.reduce((total, testSuite) => total + testSuite.tests, 0);
+    const failures = testSuites.reduce((total, testSuite) => total + testSuite.failures, 0);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${escapeXml(`${toolInfo.name} ${toolInfo.version}`)}" tests="${tests}" failures="${failures}" errors="0">`,
+        ...testSuites.map((testSuite) => testSuite.xml),
+        '</testsuites>',
+        '',
+    ].join('\n');
+};
@@ -0,0 +1,200 @@
+/**
+ * Markdown formatter of the code health summary (e.g. for a pull request comment):
+ * headline metrics, worst files and findings, with the deltas to the baseline report.
+ * @module CodeExportMarkdown
+ */
+import { toolInfo } from '../../commons/AuditUtils.js';
+import { formatDelta, formatMarkdownTable, formatValue } from '../diff/CodeHealthDiffConfig.js';
+import { codeExportMarkdownTopFiles, codeExportRules } from './CodeExportConfig.js';
+
+/**
+ * Formats a delta with an up/down marker, and whether the change is an improvement.
+ * @param {import('../diff/CodeHealthDiffAuditor.js').MetricDelta} [metric]
+ * @param {boolean} higherIsBetter - The metric improves when it grows (e.g. maintainability).
+ * @returns {string} - e.g. `▲ +1.5 🟢`, `▼ -2 🔴`, `= 0`.
+ */
+const formatDeltaMarker = (metric, higherIsBetter) => {
+    if (typeof metric?.delta !== 'number') {
+        return 'n/a';
+    }
+    if (!metric.delta) {
+        return '= 0';
+    }
+    const improved = metric.delta > 0 === higherIsBetter;
+    return `${metric.delta > 0 ? '▲' : '▼'} ${formatDelta(metric.delta)} ${improved ? '🟢' : '🔴'}`;
+};
+
+/**
+ * Formats a collapsible section (a placeholder line when there is nothing to list).
+ * @param {string} title
+ * @param {Array} items
+ * @param {Function} formatItems - Formats the non empty items.
+ * @returns {string}
+ */
+const formatDetails = (title, items, formatItems) =>
+    `<details>\n<summary>${title}</summary>\n\n${items.length ? formatItems(items) : '_None._'}\n\n</details>\n`;
+
+/**
+ * Formats a module path, with a line range when there is one.
+ * @param {import('./CodeExportBuilder.js').CodeExportLocation} location
+ * @returns {string}
+ */
+const formatLocation = ({ path, startLine, endLine }) => {
+    if (!startLine) {
+        return `\`${path}\``;
+    }
+    return endLine && endLine !== startLine
+        ? `\`${path}:${startLine}-${endLine}\``
+        : `\`${path}:${startLine}\``;
+};
+
+/**
+ * Builds the headline rows: metric, value and baseline delta.
+ * @param {import('./CodeExportAuditor.js').CodeExport} codeExport
+ * @returns {Array<[string, *, Object|undefined, boolean]>}
+ */
+const buildHeadlineMetrics = ({ summary, health, diff }) => {
+    const { complexity, duplication, modularity } = health?.project || {};
+    const deltas = diff?.summary || {};
+
+    return [
+        [
+            'Average Maintainability Index (%)',
+            summary?.average?.maintainability,
+            deltas.averageMaintainability,
+            true,
+        ],
+        ['Average Physical SLOC', summary?.average?.psloc],
+        ['Average Logical SLOC', summary?.average?.lsloc],
+        ['Average Cyclomatic Complexity', complexity?.averageCyclomatic],
+        ['Max Cyclomatic Complexity', complexity?.maxCyclomatic, deltas.maxCyclomatic, false],
+        ['Duplicated Lines (%)', duplication?.percentage, deltas.duplication, false],
+        ['Circular Dependencies', modularity?.circular, deltas.circular, false],
+        [
+            'Modularity (Q)',
+            typeof modularity?.modularity === 'number'
+                ? Number(modularity.modularity.toFixed(4))
+                : null,
+            deltas.modularity,
+            true,
+        ],
+    ];
+};
+
+/**
+ * Formats the worst files table (with the baseline delta of the ranking metric).
+ * @param {Object[]} modules - Combined report modules, worst first.
+ * @param {Object} [diff] - Comparison to the baseline report.
+ * @param {('maintainability'|'cyclomatic')} metric - The ranking metric.
+ * @returns {string}
+ */
+const formatWorstFiles = (modules, diff, metric) => {
+    const changedFiles = new Map((diff?.changedFiles || []).map((file) => [file.path, file]));
+    const addedFiles = new Set((diff?.addedFiles || []).map((file) => file.path));
+    const readDelta = (modulePath) => {
+        if (addedFiles.has(modulePath)) {
+            return 'new';
+        }
+        const delta = changedFiles.get(modulePath)?.[metric];
+        return delta ? formatDeltaMarker(delta, metric === 'maintainability') : '= 0';
+    };
+
+    return formatMarkdownTable(
+        ['File', 'Maintainability (%)', 'Cyclomatic', ...(diff ? ['Δ baseline'] : [])],
+        modules.map((module) => [
+            `\`${module.path}\``,
+            formatValue(module.complexity.maintainability),
+            formatValue(module.complexity.cyclomatic),
+            ...(diff ? [readDelta(module.path)] : []),
+        ]),
+    );
+};
+
+/**
+ * Formats the changes since the baseline report.
+ * @param {import('../diff/CodeHealthDiffAuditor.js').CodeHealthDiff} diff
+ * @returns {string}
+ */
+const formatBaselineChanges = (diff) => {
+    const { counts } = diff.summary;
+
+    return [
+        `${counts.changedFiles} changed, ${counts.addedFiles} new and ${counts.removedFiles} removed files, ${counts.newClones} new clones, ${counts.newCircular} new and ${counts.resolvedCircular} resolved circular dependencies.`,
+        '',
+        formatDetails(`Changed files (${diff.changedFiles.length})`, diff.changedFiles, (files) =>
+            formatMarkdownTable(
+                ['File', 'Maintainability (%)', 'Δ', 'Cyclomatic', 'Δ'],
+                files.map(({ path, maintainability, cyclomatic }) => [
+                    `\`${path}\``,
+                    `${formatValue(maintainability.base)} → ${formatValue(maintainability.head)}`,
+                    formatDeltaMarker(maintainability, true),
+                    `${formatValue(cyclomatic.base)} → ${formatValue(cyclomatic.head)}`,
+                    formatDeltaMarker(cyclomatic, false),
+                ]),
+            ),
+        ),
+        formatDetails(
+            `New circular dependencies (${diff.newCircular.length})`,
+            diff.newCircular,
+            (cycles) => cycles.map((cycle) => `- ${cycle.join(' > ')}`).join('\n'),
+        ),
+    ].join('\n');
+};
+
+/**
+ * Format the code health summary as Markdown.
+ * @param {import('./CodeExportAuditor.js').CodeExport} codeExport - Result of `startCodeExportAudit`.
+ * @param {number} [topFiles=codeExportMarkdownTopFiles] - Number of files of the worst files tables.
+ * @returns {string}
+ */
+export const formatCodeExportMarkdown = (codeExport, topFiles = codeExportMarkdownTopFiles) => {
+    const { findings, health, diff } = codeExport || {};
+    const ruleTitles = Object.fromEntries(codeExportRules.map((rule) => [rule.id, rule.title]));
+    const analyzedModules = (health?.modules || []).filter(
+        (module) => typeof module.complexity?.maintainability === 'number',
+    );
+    const byMaintainability = [...analyzedModules]
+        .sort((a, b) => a.complexity.maintainability - b.complexity.maintainability)
+        .slice(0, topFiles);
+    const byCyclomatic = [...analyzedModules]
+        .sort((a, b) => (b.complexity.cyclomatic || 0) - (a.complexity.cyclomatic || 0))
+        .slice(0, topFiles);
+    const cycles = health?.project?.modularity?.cycles || [];
+
+    const headlineRows = buildHeadlineMetrics(codeExport).map(
+        ([title, value, delta, higherIsBetter]) => [
+            title,
+            formatValue(value),
+            ...(diff ? [delta ? formatDeltaMarker(delta, higherIsBetter) : ''] : []),
+        ],
+    );
+
+    return [
+        '# Code Health Report\n',
+        `_${toolInfo.name} ${toolInfo.version} · ${analyzedModules.length} analyzed files${health?.since ? ` changed since \`${health.since}\`` : ''}_\n`,
+        formatMarkdownTable(['Metric', 'Value', ...(diff ? ['Δ baseline'] : [])], headlineRows),
+        '',
+        formatDetails(
+            `Lowest maintainability (${byMaintainability.length} of ${analyzedModules.length} files)`,
+            byMaintainability,
+            (modules) => formatWorstFiles(modules, diff, 'maintainability'),
+        ),
+        formatDetails(
+            `Highest cyclomatic complexity (${byCyclomatic.length} of ${analyzedModules.length} files)`,
+            byCyclomatic,
+            (modules) => formatWorstFiles(modules, diff, 'cyclomatic'),
+        ),
+        formatDetails(`Findings (${(findings || []).length})`, findings || [], (items) =>
+            items
+                .map(
+                    (finding) =>
+                        `- **${ruleTitles[finding.ruleId]}** ${formatLocation(finding.location)}: ${finding.message}`,
+                )
+                .join('\n'),
+        ),
+        formatDetails(`Circular dependencies (${cycles.length})`, cycles, (items) =>
+            items.map((cycle) => `- ${cycle.join(' > ')}`).join('\n'),
+        ),
+        ...(diff ? ['## Changes since the baseline\n', formatBaselineChanges(diff)] : []),
+    ].join('\n');
+};
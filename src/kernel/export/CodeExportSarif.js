@@ -0,0 +1,91 @@
+/**
+ * SARIF 2.1.0 formatter of the exported findings (code scanning viewers and IDE plugins).
+ * https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ * @module CodeExportSarif
+ */
+import { pathToFileURL } from 'url';
+
+import { toolInfo } from '../../commons/AuditUtils.js';
+import { buildCodeExportRules } from './CodeExportConfig.js';
+
+/**
+ * Base id of the artifact locations (the audited directory).
+ * @const {string}
+ */
+const SOURCE_ROOT_ID = 'SRCROOT';
+
+/**
+ * Formats a location as a SARIF physical location (relative to the audited directory).
+ * @param {import('./CodeExportBuilder.js').CodeExportLocation} location
+ * @returns {Object}
+ */
+const formatSarifPhysicalLocation = ({ path, startLine, endLine }) => ({
+    artifactLocation: {
+        uri: path.split('/').map(encodeURIComponent).join('/'),
+        uriBaseId: SOURCE_ROOT_ID,
+    },
+    ...(startLine ? { region: { startLine, endLine: endLine || startLine } } : {}),
+});
+
+/**
+ * Formats the findings as a SARIF 2.1.0 log (one run, one result per finding).
+ * @param {import('./CodeExportAuditor.js').CodeExport} codeExport - Result of `startCodeExportAudit`.
+ * @returns {string} The SARIF log (JSON).
+ */
+export const formatCodeExportSarif = ({ rootDir, limits, findings }) => {
+    const rules = buildCodeExportRules(limits);
+    const ruleIndexes = Object.fromEntries(rules.map((rule, index) => [rule.id, index]));
+
+    const sarifLog = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [
+            {
+                tool: {
+                    driver: {
+                        name: toolInfo.name,
+                        version: toolInfo.version,
+                        informationUri: toolInfo.informationUri,
+                        rules: rules.map((rule) => ({
+                            id: rule.id,
+                            name: rule.name,
+                            shortDescription: { text: rule.title },
+                            fullDescription: { text: rule.description },
+                            defaultConfiguration: { level: rule.level },
+                            properties: { tags: rule.tags },
+                        })),
+                    },
+                },
+                originalUriBaseIds: {
+                    [SOURCE_ROOT_ID]: { uri: `${pathToFileURL(rootDir).href.replace(/\/$/, '')}/` },
+                },
+                results: (findings || []).map((finding) => ({
+                    ruleId: finding.ruleId,
+                    ruleIndex: ruleIndexes[finding.ruleId],
+                    level: finding.level,
+                    message: { text: finding.message },
+                    locations: [
+                        { physicalLocation: formatSarifPhysicalLocation(finding.location) },
+                    ],
+                    partialFingerprints: { 'codeHealthMeter/v1': finding.fingerprint },
+                    ...(finding.relatedLocations.length
+                        ? {
+                              relatedLocations: finding.relatedLocations.map((location, index) => ({
+                                  id: index + 1,
+                                  physicalLocation: formatSarifPhysicalLocation(location),
+                                  message: { text: location.message },
+                              })),
+                          }
+                        : {}),
+                    properties: {
+                        status: finding.status,
+                        value: finding.value,
+                        threshold: finding.threshold,
+                    },
+                })),
+            },
+        ],
+    };
+
+    return JSON.stringify(sarifLog, null, 2);
+};
@@ -0,0 +1,38 @@
+/**
+ * CSV and TSV formatter of the per-file metrics (spreadsheets): one row per file,
+ * with raw numeric values.
+ * @module CodeExportTable
+ */
+import { codeExportTableColumns } from './CodeExportConfig.js';
+
+/**
+ * Formats a table cell: empty when the value is missing, quoted when it contains the separator,
+ * a quote or a line break (quotes are doubled, as in RFC 4180).
+ * @param {string|number|null} value
+ * @param {string} separator
+ * @returns {string}
+ */
+const formatCell = (value, separator) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return text.includes(separator) || /["\r\n]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+};
+
+/**
+ * Formats the per-file metrics as a table (header row, then one row per file).
+ * @param {import('./CodeExportAuditor.js').CodeExport} codeExport - Result of `startCodeExportAudit`.
+ * @param {string} separator - Column separator (`,` for CSV, a tab for TSV).
+ * @returns {string}
+ */
+export const formatCodeExportTable = ({ files }, separator) =>
+    [
+        codeExportTableColumns,
+        ...(files || []).map((file) => codeExportTableColumns.map((column) => file[column])),
+    ]
+        .map((row) => row.map((value) => formatCell(value, separator)).join(separator))
+        .concat('')
+        .join('\n');
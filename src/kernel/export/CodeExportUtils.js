@@ -0,0 +1,97 @@
+/**
+ * Module providing the writers of the exported findings.
+ * @module CodeExportUtils
+ */
+import fs from 'fs-extra';
+import path from 'path';
+
+import AppLogger from '../../commons/AppLogger.js';
+import { formatCodeExportCodeClimate } from './CodeExportCodeClimate.js';
+import { codeExportFileNames, codeExportTableSeparators } from './CodeExportConfig.js';
+import { formatCodeExportJUnit } from './CodeExportJUnit.js';
+import { formatCodeExportMarkdown } from './CodeExportMarkdown.js';
+import { formatCodeExportSarif } from './CodeExportSarif.js';
+import { formatCodeExportTable } from './CodeExportTable.js';
+
+/**
+ * Formats the exported findings.
+ * @param {Object} options
+ * @param {('sarif'|'markdown'|'codeclimate'|'junit'|'csv'|'tsv')} options.fileFormat - The export format.
+ * @param {import('./CodeExportAuditor.js').CodeExport} options.codeExport - Result of `startCodeExportAudit`.
+ * @returns {string} The formatted findings (empty for an unknown format).
+ */
+export const formatCodeExport = ({ fileFormat, codeExport }) => {
+    if (!codeExport?.findings) {
+        return '';
+    }
+
+    if (fileFormat === 'sarif') {
+        return formatCodeExportSarif(codeExport);
+    }
+
+    if (fileFormat === 'markdown') {
+        return formatCodeExportMarkdown(codeExport);
+    }
+
+    if (fileFormat === 'codeclimate') {
+        return formatCodeExportCodeClimate(codeExport);
+    }
+
+    if (fileFormat === 'junit') {
+        return formatCodeExportJUnit(codeExport);
+    }
+
+    if (codeExportTableSeparators[fileFormat]) {
+        return formatCodeExportTable(codeExport, codeExportTableSeparators[fileFormat]);
+    }
+
+    return '';
+};
+
+/**
+ * Writes the exported findings to the file of the export format (e.g. `CodeHealthReport.sarif`, `CodeHealthReport.md`).
+ *
+ * @param {Object} options
+ * @param {Object} options.codeExportOptions - Export output options.
+ * @param {string} options.codeExportOptions.outputDir - Output directory for the export file.
+ * @param {('sarif'|'markdown'|'codeclimate'|'junit'|'csv'|'tsv')} options.codeExportOptions.fileFormat - The export format.
+ * @param {import('./CodeExportAuditor.js').CodeExport} options.codeExportAnalysisResult - Result of `startCodeExportAudit`.
+ * @returns {boolean} `true` if the file was written successfully, `false` otherwise.
+ */
+export const writeCodeExportToFile = ({ codeExportOptions, codeExportAnalysisResult }) => {
+    try {
+        const { outputDir, fileFormat } = codeExportOptions || {};
+
+        AppLogger.info(`[CodeExportUtils - writeCodeExportToFile] outputDir:  ${outputDir}`);
+        AppLogger.info(`[CodeExportUtils - writeCodeExportToFile] fileFormat:  ${fileFormat}`);
+
+        if (!outputDir?.length || !codeExportFileNames[fileFormat]) {
+            return false;
+        }
+
+        const formattedCodeExport = formatCodeExport({
+            fileFormat,
+            codeExport: codeExportAnalysisResult,
+        });
+
+        if (!formattedCodeExport?.length) {
+            return false;
+        }
+
+        fs.mkdirSync(outputDir, {
+            recursive: true,
+        });
+
+        const codeExportOutputFile = path.join(outputDir, codeExportFileNames[fileFormat]);
+        AppLogger.info(
+            `[CodeExportUtils - writeCodeExportToFile] codeExportOutputFile:  ${codeExportOutputFile}`,
+        );
+
+        fs.writeFileSync(codeExportOutputFile, formattedCodeExport);
+
+        return true;
+    } catch (error) {
+        AppLogger.info(`[CodeExportUtils - writeCodeExportToFile] error:  ${error.message}`);
+        return false;
+    }
+};
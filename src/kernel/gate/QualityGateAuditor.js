@@ -0,0 +1,114 @@
+/**
+ * Module checking audit results against quality gate thresholds,
+ * so that CI pipelines can block merges on regressions.
+ *
+ * @module QualityGateAuditor
+ */
+import AppLogger from '../../commons/AppLogger.js';
+import { qualityGateRules } from './QualityGateConfig.js';
+
+/**
+ * Result of a single quality gate rule.
+ * @typedef {Object} QualityGateRuleResult
+ * @property {string} id - Rule (threshold) id.
+ * @property {string} title - Human readable rule title.
+ * @property {('min'|'max')} comparator - `min`: value must be >= threshold, `max`: value must be <= threshold.
+ * @property {number} threshold - Configured threshold.
+ * @property {number|null} value - Value read from the audit results (`null` when unavailable).
+ * @property {('passed'|'failed'|'skipped')} status - Rule status.
+ * @property {string[]} offenders - Files or cycles responsible for a failure (when known).
+ */
+
+/**
+ * Quality gate result.
+ * @typedef {Object} QualityGateResult
+ * @property {boolean} passed - `true` when no rule failed and no rule was skipped (unless skipped rules are allowed).
+ * @property {QualityGateRuleResult[]} results - Per-rule results.
+ */
+
+/**
+ * Check the audit results against the configured thresholds.
+ * Rules without a threshold are not evaluated; rules whose value is unavailable are skipped,
+ * and a skipped rule fails the gate unless `allowSkipped` is set (a threshold that cannot be checked
+ * must not let a regression through).
+ *
+ * @param {Object} params
+ * @param {Object<string, number>} params.thresholds - Thresholds by rule id (e.g. `{ minMaintainability: 65 }`).
+ * @param {boolean} [params.allowSkipped=false] - Pass the gate even if some rules are skipped.
+ * @param {Object} params.codeComplexityAnalysisResult - Result of `startComplexityAudit`.
+ * @param {Object} [params.codeDuplicationAnalysisResult] - Result of `startDuplicationAudit`.
+ * @param {Object} [params.codeModularityAnalysisResult] - Result of `startModularityAudit`.
+ * @returns {QualityGateResult}
+ *
+ * @example
+ * const { passed, results } = startQualityGateAudit({
+ *   thresholds: { minMaintainability: 65, maxCircular: 0 },
+ *   codeComplexityAnalysisResult,
+ *   codeModularityAnalysisResult,
+ * });
+ */
+export const startQualityGateAudit = ({ thresholds, allowSkipped = false, ...auditResults }) => {
+    const results = qualityGateRules
+        .filter((rule) => Number.isFinite(thresholds?.[rule.id]))
+        .map((rule) => {
+            const threshold = thresholds[rule.id];
+            const value = rule.read(auditResults);
+
+            if (value === null || Number.isNaN(value)) {
+                return {
+                    id: rule.id,
+                    title: rule.title,
+                    comparator: rule.comparator,
+                    threshold,
+                    value: null,
+                    status: 'skipped',
+                    offenders: [],
+                };
+            }
+
+            const failed = rule.comparator === 'min' ? value < threshold : value > threshold;
+
+            return {
+                id: rule.id,
+                title: rule.title,
+                comparator: rule.comparator,
+                threshold,
+                value,
+                status: failed ? 'failed' : 'passed',
+                offenders:
+                    failed && rule.readOffenders ? rule.readOffenders(auditResults, threshold) : [],
+            };
+        });
+
+    AppLogger.info(`[QualityGateAuditor - startQualityGateAudit] rules:  ${results.length}`);
+
+    const skippedResults = results.filter((result) => result.status === 'skipped');
+
+    if (skippedResults.length) {
+        AppLogger.warn(
+            `[QualityGateAuditor - startQualityGateAudit] rules not evaluated:  ${skippedResults.map(({ id }) => id).join(', ')}${allowSkipped ? '' : ' (gate failed, see --allow-skipped)'}`,
+        );
+    }
+
+    return {
+        passed:
+            results.every((result) => result.status !== 'failed') &&
+            (allowSkipped || !skippedResults.length),
+        results,
+    };
+};
+
+/**
+ * Format a quality gate rule result as a single log line.
+ * @param {QualityGateRuleResult} result
+ * @returns {string}
+ */
+export const formatQualityGateRuleResult = ({ title, comparator, threshold, value, status }) => {
+    const expectation = `${comparator === 'min' ? '>=' : '<='} ${threshold}`;
+
+    if (status === 'skipped') {
+        return `[SKIPPED] ${title}: value unavailable (expected ${expectation})`;
+    }
+
+    return `[${status.toUpperCase()}] ${title}: ${Number(value.toFixed(2))} (expected ${expectation})`;
+};
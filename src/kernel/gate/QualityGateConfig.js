@@ -0,0 +1,120 @@
+import { REPORT_TITLES } from '../complexity/CodeComplexityBuilder.js';
+
+/**
+ * Quality gate rules.
+ * Each rule reads one value from the audit results and compares it to its threshold:
+ * `min` rules fail when the value is below the threshold, `max` rules when it is above.
+ * @module QualityGateConfig
+ */
+
+/**
+ * Default thresholds used when the gate is enabled without explicit values.
+ * @type {Object}
+ */
+export const qualityGateDefaultThresholds = {
+    minMaintainability: 65,
+    maxCyclomatic: 40,
+    maxDuplication: 5,
+    maxCircular: 0,
+    minModularity: 0.3,
+    maxRuleViolations: 0,
+};
+
+/**
+ * Reads the per-file cyclomatic reports from the complexity audit.
+ * @param {Object} codeComplexityAnalysisResult
+ * @returns {Array<{file: string, score: number}>}
+ */
+const readCyclomaticReports = (codeComplexityAnalysisResult) =>
+    (codeComplexityAnalysisResult?.auditReports || []).filter(
+        (report) => report.title === REPORT_TITLES.cyclomatic,
+    );
+
+/**
+ * Quality gate rules, in evaluation order.
+ * `read` returns `null` when the audit did not produce the value (the rule is then skipped).
+ * @type {Array<Object>}
+ */
+export const qualityGateRules = [
+    {
+        id: 'minMaintainability',
+        comparator: 'min',
+        title: 'Average Maintainability Index',
+        description:
+            'The average maintainability index (%) of the analyzed files must not be lower than the threshold (< 65 is difficult to maintain).',
+        read: ({ codeComplexityAnalysisResult }) => {
+            const value = codeComplexityAnalysisResult?.summary?.average?.maintainability;
+            return value === undefined || value === null ? null : Number(value);
+        },
+    },
+    {
+        id: 'maxCyclomatic',
+        comparator: 'max',
+        title: 'Per-file Cyclomatic Complexity',
+        description:
+            'The cyclomatic complexity of every analyzed file must not exceed the threshold (> 40 is not testable at all).',
+        read: ({ codeComplexityAnalysisResult }) => {
+            const reports = readCyclomaticReports(codeComplexityAnalysisResult);
+            return reports.length ? Math.max(...reports.map((report) => report.score || 0)) : null;
+        },
+        readOffenders: ({ codeComplexityAnalysisResult }, threshold) =>
+            readCyclomaticReports(codeComplexityAnalysisResult)
+                .filter((report) => report.score > threshold)
+                .map((report) => `${report.file} (${report.score})`),
+    },
+    {
+        id: 'maxDuplication',
+        comparator: 'max',
+        title: 'Duplicated Lines (%)',
+        description:
+            'The percentage of duplicated lines reported by jscpd must not exceed the threshold.',
+        read: ({ codeDuplicationAnalysisResult }) => {
+            const value = codeDuplicationAnalysisResult?.statistics?.total?.percentage;
+            return value === undefined || value === null ? null : Number(value);
+        },
+    },
+    {
+        id: 'maxCircular',
+        comparator: 'max',
+        title: 'Circular Dependencies',
+        description:
+            'The number of circular dependencies reported by Madge must not exceed the threshold.',
+        read: ({ codeModularityAnalysisResult }) =>
+            Array.isArray(codeModularityAnalysisResult?.circular)
+                ? codeModularityAnalysisResult.circular.length
+                : null,
+        readOffenders: ({ codeModularityAnalysisResult }) =>
+            (codeModularityAnalysisResult?.circular || []).map((cycle) => cycle.join(' > ')),
+    },
+    {
+        id: 'minModularity',
+        comparator: 'min',
+        title: 'Modularity (Q)',
+        description:
+            'The Louvain modularity of the dependency graph must not be lower than the threshold (> 0.3 indicates a significant community structure).',
+        read: ({ codeModularityAnalysisResult }) => {
+            const value = codeModularityAnalysisResult?.modularity;
+            return typeof value === 'number' ? value : null;
+        },
+    },
+    {
+        id: 'maxRuleViolations',
+        comparator: 'max',
+        title: 'Architecture Rule Violations',
+        description:
+            'The number of imports violating an architecture rule of severity error (modularity.rules) must not exceed the threshold.',
+        read: ({ codeModularityAnalysisResult }) =>
+            Array.isArray(codeModularityAnalysisResult?.ruleViolations)
+                ? codeModularityAnalysisResult.ruleViolations.filter(
+                      (violation) => violation.severity === 'error',
+                  ).length
+                : null,
+        readOffenders: ({ codeModularityAnalysisResult }) =>
+            (codeModularityAnalysisResult?.ruleViolations || [])
+                .filter((violation) => violation.severity === 'error')
+                .map(
+                    ({ rule, from, to, line }) =>
+                        `${from}${line ? `:${line}` : ''} > ${to} (${rule})`,
+                ),
+    },
+];
@@ -0,0 +1,116 @@
+/**
+ * Module joining the complexity, duplication and modularity audit results into one
+ * code health signature per module (maintainability, cyclomatic complexity, duplication,
+ * community, centrality and coupling), plus a project level rollup.
+ *
+ * @module CodeHealthAuditor
+ */
+import path from 'path';
+
+import AppLogger from '../../commons/AppLogger.js';
+import {
+    buildComplexityDimensions,
+    buildDuplicationDimensions,
+    buildModularityDimensions,
+    buildProjectRollup,
+    normalizeModulePath,
+} from './CodeHealthBuilder.js';
+
+/**
+ * Code health signature of a module.
+ * A dimension is `null` when its audit failed or did not analyze the module.
+ * @typedef {Object} CodeHealthModule
+ * @property {string} path - Posix path relative to the audited directory (the join key).
+ * @property {Object|null} complexity - `maintainability`, `cyclomatic`, `sloc`, `functions`, `maxFunctionCyclomatic`.
+ * @property {Object|null} duplication - `clones`, `duplicatedLines`, `percentage`, `duplicatedWith`.
+ * @property {Object|null} modularity - `community`, degree centralities, `afferentCoupling`, `efferentCoupling`, `circular`, `impact`.
+ */
+
+/**
+ * Combined code health report.
+ * @typedef {Object} CodeHealthReport
+ * @property {Object} project - Project level rollup.
+ * @property {CodeHealthModule[]} modules - One record per module, sorted by path.
+ * @property {string} [since] - Git ref of a changed files audit: only the changed modules have
+ * complexity and duplication dimensions.
+ */
+
+/**
+ * Join the audit results into one record per module.
+ * Modules are the audited files, plus any module reported by an audit only.
+ *
+ * @param {Object} params
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} params.auditFiles - Audited files.
+ * @param {Object} params.codeComplexityAnalysisResult - Result of `startComplexityAudit`.
+ * @param {Object} [params.codeDuplicationAnalysisResult] - Result of `startDuplicationAudit`.
+ * @param {Object} [params.codeModularityAnalysisResult] - Result of `startModularityAudit`.
+ * @returns {CodeHealthReport|{}} The combined report; `{}` on failure.
+ *
+ * @example
+ * const { project, modules } = startCodeHealthAudit({
+ *   auditFiles,
+ *   codeComplexityAnalysisResult,
+ *   codeDuplicationAnalysisResult,
+ *   codeModularityAnalysisResult,
+ * });
+ */
+export const startCodeHealthAudit = ({
+    auditFiles,
+    codeComplexityAnalysisResult,
+    codeDuplicationAnalysisResult,
+    codeModularityAnalysisResult,
+}) => {
+    try {
+        const rootDir = auditFiles?.rootDir || path.resolve('.');
+
+        const complexityDimensions = buildComplexityDimensions(
+            codeComplexityAnalysisResult,
+            rootDir,
+        );
+        const duplicationDimensions = buildDuplicationDimensions(
+            codeDuplicationAnalysisResult,
+            rootDir,
+        );
+        const modularityDimensions = buildModularityDimensions(
+            codeModularityAnalysisResult,
+            rootDir,
+        );
+
+        const auditedPaths = new Set(
+            (auditFiles?.files || []).map((file) => normalizeModulePath(file, rootDir)),
+        );
+        const modulePaths = new Set([
+            ...auditedPaths,
+            ...Object.keys(complexityDimensions),
+            ...Object.keys(duplicationDimensions || {}),
+            ...Object.keys(modularityDimensions || {}),
+        ]);
+
+        const modules = [...modulePaths].sort().map((modulePath) => ({
+            path: modulePath,
+            complexity: complexityDimensions[modulePath] || null,
+            duplication:
+                duplicationDimensions?.[modulePath] ||
+                (duplicationDimensions && auditedPaths.has(modulePath)
+                    ? { clones: 0, duplicatedLines: 0, percentage: 0, duplicatedWith: [] }
+                    : null),
+            modularity: modularityDimensions?.[modulePath] || null,
+        }));
+
+        AppLogger.info(`[CodeHealthAuditor - startCodeHealthAudit] modules:  ${modules.length}`);
+
+        return {
+            ...(auditFiles?.since ? { since: auditFiles.since } : {}),
+            project: buildProjectRollup({
+                modules,
+                codeDuplicationAnalysisResult,
+                codeModularityAnalysisResult,
+                rootDir,
+            }),
+            modules,
+        };
+    } catch (error) {
+        AppLogger.info(`[CodeHealthAuditor - startCodeHealthAudit] error:  ${error.message}`);
+        return {};
+    }
+};
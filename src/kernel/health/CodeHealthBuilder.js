@@ -0,0 +1,312 @@
+import path from 'path';
+
+import { REPORT_TITLES } from '../complexity/CodeComplexityBuilder.js';
+
+/**
+ * Builders of the per-module dimensions of the code health signature.
+ * Each audit keys its modules differently (complexity: path relative to the audited directory,
+ * jscpd: absolute or working directory relative path, Madge: path relative to its base directory):
+ * every builder returns its dimension keyed by the same normalized module path.
+ * @module CodeHealthBuilder
+ */
+
+/**
+ * Rounds a metric to 2 decimals (null when missing).
+ * @param {number} value
+ * @returns {number|null}
+ */
+const roundMetric = (value) =>
+    typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(2)) : null;
+
+/**
+ * Normalizes a module path: posix path relative to the audited directory.
+ * @param {string} file - Absolute path, or path relative to `baseDir`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @param {string} [baseDir=rootDir] - Directory relative paths are resolved from.
+ * @returns {string} - e.g. `components/header/Header.jsx`.
+ *
+ * @example
+ * normalizeModulePath('/app/src/index.js', '/app/src'); // 'index.js'
+ */
+export const normalizeModulePath = (file, rootDir, baseDir = rootDir) =>
+    path
+        .relative(rootDir, path.resolve(baseDir, file || ''))
+        .split(path.sep)
+        .join('/');
+
+/**
+ * Builds the complexity dimension (maintainability, cyclomatic complexity, size) of each module.
+ * @param {Object} codeComplexityAnalysisResult - Result of `startComplexityAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {Object<string, Object>} - Complexity dimension by module path.
+ */
+export const buildComplexityDimensions = (codeComplexityAnalysisResult, rootDir) => {
+    const { auditReports, functionReports } = codeComplexityAnalysisResult || {};
+    const dimensions = {};
+
+    const readDimension = (file) => {
+        const modulePath = normalizeModulePath(file, rootDir);
+        if (!dimensions[modulePath]) {
+            dimensions[modulePath] = {
+                maintainability: null,
+                cyclomatic: null,
+                sloc: { physical: null, logical: null },
+                functions: 0,
+                maxFunctionCyclomatic: null,
+            };
+        }
+        return dimensions[modulePath];
+    };
+
+    (auditReports || []).forEach((report) => {
+        const dimension = readDimension(report.file);
+        if (report.title === REPORT_TITLES.mi) {
+            dimension.maintainability = roundMetric(report.scorePercent);
+        } else if (report.title === REPORT_TITLES.cyclomatic) {
+            dimension.cyclomatic = report.score;
+        } else if (report.category === 'physical sloc') {
+            dimension.sloc.physical = report.score;
+        } else if (report.category === 'logical sloc') {
+            dimension.sloc.logical = report.score;
+        }
+    });
+
+    (functionReports || []).forEach((report) => {
+        const dimension = readDimension(report.file);
+        dimension.functions += 1;
+        dimension.maxFunctionCyclomatic = Math.max(
+            dimension.maxFunctionCyclomatic || 0,
+            report.cyclomatic || 0,
+        );
+    });
+
+    return dimensions;
+};
+
+/**
+ * Counts the lines covered by a set of (possibly overlapping) clone ranges.
+ * As in the jscpd statistics, a clone from `start` to `end` covers `end - start` lines.
+ * @param {Array<[number, number]>} ranges - Clone line ranges.
+ * @returns {number}
+ */
+const countCoveredLines = (ranges) =>
+    new Set(
+        ranges.flatMap(([start, end]) =>
+            Array.from({ length: Math.max(end - start, 0) }, (_, index) => start + index),
+        ),
+    ).size;
+
+/**
+ * Builds the duplication dimension (clones, duplicated lines and the modules sharing them) of each module.
+ * Duplicated lines are counted once even when several clones overlap.
+ * @param {Object} codeDuplicationAnalysisResult - jscpd report returned by `startDuplicationAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {Object<string, Object>|null} - Duplication dimension by module path (null when the audit failed).
+ */
+export const buildDuplicationDimensions = (codeDuplicationAnalysisResult, rootDir) => {
+    const { statistics, duplicates } = codeDuplicationAnalysisResult || {};
+    if (!statistics) {
+        return null;
+    }
+
+    const cwd = process.cwd();
+    const dimensions = {};
+
+    const readDimension = (file) => {
+        const modulePath = normalizeModulePath(file, rootDir, cwd);
+        if (!dimensions[modulePath]) {
+            dimensions[modulePath] = { lines: 0, clones: 0, ranges: [], duplicatedWith: new Set() };
+        }
+        return dimensions[modulePath];
+    };
+
+    // a file can be parsed by several jscpd formats (e.g. javascript and jsx): keep its full size
+    Object.values(statistics.formats || {}).forEach(({ sources }) =>
+        Object.entries(sources || {}).forEach(([file, source]) => {
+            const dimension = readDimension(file);
+            dimension.lines = Math.max(dimension.lines, source.lines || 0);
+        }),
+    );
+
+    (duplicates || []).forEach(({ firstFile, secondFile }) => {
+        const first = readDimension(firstFile.name);
+        const second = readDimension(secondFile.name);
+        first.clones += 1;
+        first.ranges.push([firstFile.start, firstFile.end]);
+        first.duplicatedWith.add(normalizeModulePath(secondFile.name, rootDir, cwd));
+        second.clones += 1;
+        second.ranges.push([secondFile.start, secondFile.end]);
+        second.duplicatedWith.add(normalizeModulePath(firstFile.name, rootDir, cwd));
+    });
+
+    return Object.fromEntries(
+        Object.entries(dimensions).map(
+            ([modulePath, { lines, clones, ranges, duplicatedWith }]) => {
+                const duplicatedLines = countCoveredLines(ranges);
+                return [
+                    modulePath,
+                    {
+                        clones,
+                        duplicatedLines,
+                        percentage: lines ? roundMetric((duplicatedLines / lines) * 100) : 0,
+                        duplicatedWith: [...duplicatedWith]
+                            .filter((file) => file !== modulePath)
+                            .sort(),
+                    },
+                ];
+            },
+        ),
+    );
+};
+
+/**
+ * Builds the modularity dimension (community, centralities, coupling) of each module of the dependency graph.
+ * Afferent coupling counts the modules depending on a module, efferent coupling the modules it depends on
+ * (read from the package metrics of the modularity audit, so that both reports agree).
+ * In a changed files audit, `impact` tells whether the module changed (`changed`) or is a direct
+ * dependency or dependent of a changed module (`neighbor`).
+ * @param {Object} codeModularityAnalysisResult - Result of `startModularityAudit`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {Object<string, Object>|null} - Modularity dimension by module path (null when the audit
+ * failed, or when its graph is made of directories or packages instead of files).
+ */
+export const buildModularityDimensions = (codeModularityAnalysisResult, rootDir) => {
+    const {
+        tree,
+        communities,
+        degreeCentrality,
+        inDegreeCentrality,
+        outDegreeCentrality,
+        circular,
+        changedModules,
+        changedNeighbors,
+        moduleGroups,
+        packageMetrics,
+    } = codeModularityAnalysisResult || {};
+
+    if (!tree || moduleGroups) {
+        return null;
+    }
+
+    const circularModules = new Set((circular || []).flat());
+    const readImpact = (node) => {
+        if (changedModules?.includes(node)) {
+            return 'changed';
+        }
+        return changedNeighbors?.includes(node) ? 'neighbor' : null;
+    };
+
+    return Object.fromEntries(
+        Object.keys(tree).map((node) => [
+            normalizeModulePath(node, rootDir),
+            {
+                community: communities?.[node] ?? null,
+                degreeCentrality: degreeCentrality?.[node] ?? null,
+                inDegreeCentrality: inDegreeCentrality?.[node] ?? null,
+                outDegreeCentrality: outDegreeCentrality?.[node] ?? null,
+                afferentCoupling: packageMetrics?.modules?.[node]?.afferentCoupling ?? 0,
+                efferentCoupling: packageMetrics?.modules?.[node]?.efferentCoupling ?? 0,
+                circular: circularModules.has(node),
+                impact: readImpact(node),
+            },
+        ]),
+    );
+};
+
+/**
+ * Computes the average of the non null values.
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+const averageOf = (values) => {
+    const numbers = values.filter((value) => typeof value === 'number');
+    return numbers.length
+        ? roundMetric(numbers.reduce((sum, value) => sum + value, 0) / numbers.length)
+        : null;
+};
+
+/**
+ * Builds the project level rollup of the code health signature.
+ * @param {Object} params
+ * @param {Array<Object>} params.modules - Per-module records.
+ * @param {Object} [params.codeDuplicationAnalysisResult] - jscpd report.
+ * @param {Object} [params.codeModularityAnalysisResult] - Result of `startModularityAudit`.
+ * @param {string} params.rootDir - Absolute path of the audited directory.
+ * @returns {Object} - Project rollup (dimensions are null when their audit failed), with the
+ * clones and circular dependencies listed by module path.
+ */
+export const buildProjectRollup = ({
+    modules,
+    codeDuplicationAnalysisResult,
+    codeModularityAnalysisResult,
+    rootDir,
+}) => {
+    const cwd = process.cwd();
+    const complexities = modules.map((module) => module.complexity).filter(Boolean);
+    const maintainabilities = complexities
+        .map((complexity) => complexity.maintainability)
+        .filter((value) => typeof value === 'number');
+    const cyclomatics = complexities
+        .map((complexity) => complexity.cyclomatic)
+        .filter((value) => typeof value === 'number');
+    const duplicationTotal = codeDuplicationAnalysisResult?.statistics?.total;
+    const { tree, modularity, count, density, circular, moduleGroups } =
+        codeModularityAnalysisResult || {};
+
+    return {
+        modules: modules.length,
+        complexity: complexities.length
+            ? {
+                  averageMaintainability: averageOf(maintainabilities),
+                  minMaintainability: maintainabilities.length
+                      ? Math.min(...maintainabilities)
+                      : null,
+                  averageCyclomatic: averageOf(cyclomatics),
+                  maxCyclomatic: cyclomatics.length ? Math.max(...cyclomatics) : null,
+                  sloc: {
+                      physical: complexities.reduce((sum, c) => sum + (c.sloc.physical || 0), 0),
+                      logical: complexities.reduce((sum, c) => sum + (c.sloc.logical || 0), 0),
+                  },
+                  functions: complexities.reduce((sum, c) => sum + c.functions, 0),
+              }
+            : null,
+        duplication: duplicationTotal
+            ? {
+                  clones: duplicationTotal.clones || 0,
+                  duplicatedLines: duplicationTotal.duplicatedLines || 0,
+                  percentage: duplicationTotal.percentage || 0,
+                  duplicates: (codeDuplicationAnalysisResult.duplicates || []).map(
+                      ({ format, lines, firstFile, secondFile }) => ({
+                          format,
+                          lines,
+                          first: {
+                              path: normalizeModulePath(firstFile.name, rootDir, cwd),
+                              start: firstFile.start,
+                              end: firstFile.end,
+                          },
+                          second: {
+                              path: normalizeModulePath(secondFile.name, rootDir, cwd),
+                              start: secondFile.start,
+                              end: secondFile.end,
+                          },
+                      }),
+                  ),
+              }
+            : null,
+        modularity: tree
+            ? {
+                  modularity: modularity ?? null,
+                  communities: count ?? null,
+                  density: density ?? null,
+                  dependencies: Object.values(tree).flat().length,
+                  circular: (circular || []).length,
+                  // directories and packages are not file paths
+                  cycles: (circular || []).map((cycle) =>
+                      moduleGroups
+                          ? cycle
+                          : cycle.map((node) => normalizeModulePath(node, rootDir)),
+                  ),
+              }
+            : null,
+    };
+};
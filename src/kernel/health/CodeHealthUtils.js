@@ -0,0 +1,60 @@
+/**
+ * Module providing utilities for the combined code health report.
+ * @module CodeHealthUtils
+ */
+import fs from 'fs-extra';
+import path from 'path';
+
+import AppLogger from '../../commons/AppLogger.js';
+import { buildAuditReportHeader } from '../../commons/AuditSchema.js';
+
+/**
+ * Combined report file name.
+ * @const {string}
+ */
+export const CODE_HEALTH_REPORT_FILE_NAME = 'CodeHealthReport.json';
+
+/**
+ * Writes the combined code health report (always JSON, whatever the audits format),
+ * with the versioned report header (see `schemas/code-health-report.schema.json`).
+ *
+ * @param {Object} options
+ * @param {Object} options.codeHealthOptions - Code health report options.
+ * @param {string} options.codeHealthOptions.outputDir - Output directory for the report file.
+ * @param {import('./CodeHealthAuditor.js').CodeHealthReport} options.codeHealthAnalysisResult - Result of `startCodeHealthAudit`.
+ * @returns {boolean} `true` if the file was written successfully, `false` otherwise.
+ */
+export const writeCodeHealthAuditToFile = ({ codeHealthOptions, codeHealthAnalysisResult }) => {
+    try {
+        const { outputDir } = codeHealthOptions || {};
+
+        AppLogger.info(`[CodeHealthUtils - writeCodeHealthAuditToFile] outputDir:  ${outputDir}`);
+
+        if (!outputDir?.length || !codeHealthAnalysisResult?.modules) {
+            return false;
+        }
+
+        fs.mkdirSync(outputDir, {
+            recursive: true,
+        });
+
+        const codeHealthAuditOutputFile = path.join(outputDir, CODE_HEALTH_REPORT_FILE_NAME);
+        AppLogger.info(
+            `[CodeHealthUtils - writeCodeHealthAuditToFile] codeHealthAuditOutputFile:  ${codeHealthAuditOutputFile}`,
+        );
+
+        fs.writeFileSync(
+            codeHealthAuditOutputFile,
+            JSON.stringify(
+                { ...buildAuditReportHeader('health'), ...codeHealthAnalysisResult },
+                null,
+                2,
+            ),
+        );
+
+        return true;
+    } catch (error) {
+        AppLogger.info(`[CodeHealthUtils - writeCodeHealthAuditToFile] error:  ${error.message}`);
+        return false;
+    }
+};
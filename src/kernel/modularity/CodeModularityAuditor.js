@@ -1,14 +1,31 @@
 /**
  * Module for performing code modularity audits using Madge and Graphology.
  * It builds a dependency graph (via Madge), runs Louvain community detection,
- * computes graph density and degree-based centralities, and returns a
- * serializable bundle of results (including the original Madge diagnostics).
+ * computes graph density, centralities and the package metrics (Ca, Ce, I, A, D), evaluates the
+ * architecture rules, and returns a serializable bundle of results (including the original Madge diagnostics).
  *
  * @module CodeModularityAuditor
  */
+import path from 'path';
+
 import AppLogger from '../../commons/AppLogger.js';
-import { buildDirectoryTree, buildLouvainGraph } from './CodeModularityBuilder.js';
-import { detectCommunities, readDegreeCentralities, readDensity } from './CodeModularityMetrics.js';
+import { discoverAuditFiles } from '../../commons/AuditFiles.js';
+import {
+    buildDirectoryTree,
+    buildGroupedDirectoryTree,
+    buildLouvainGraph,
+    readModuleAbstractness,
+} from './CodeModularityBuilder.js';
+import {
+    detectCommunities,
+    readCentralities,
+    readChangeImpact,
+    readCycleComponents,
+    readDegreeCentralities,
+    readDensity,
+    readPackageMetrics,
+} from './CodeModularityMetrics.js';
+import { evaluateArchitectureRules } from './CodeModularityRules.js';
 
 /**
  * Madge tree structure: adjacency list mapping module -> dependencies.
@@ -37,35 +54,68 @@ import { detectCommunities, readDegreeCentralities, readDensity } from './CodeMo
  * are forwarded from Madge; `graph` is a Graphology instance.
  *
  * @typedef {Object} CodeModularityAuditResult
- * @property {MadgeTree} tree - Dependency adjacency as reported by Madge.
+ * @property {string} granularity - Nodes of the graph: `file`, `folder` or `package`.
+ * @property {MadgeTree} tree - Dependency adjacency as reported by Madge (of the groups, at folder or package granularity).
  * @property {string|Buffer} svg - Madge-produced SVG visualization (raw).
- * @property {import('graphology').Graph} graph - Built Graphology graph.
+ * @property {import('graphology').Graph} graph - Built Graphology graph (edges weighted by imports at folder or package granularity).
+ * @property {MadgeTree} [fileTree] - Dependency adjacency of the files (folder or package granularity).
+ * @property {Record<string, string[]>} [moduleGroups] - Files by group (folder or package granularity).
+ * @property {Record<string, Record<string, number>>} [edgeWeights] - Imports by group and dependency group (folder or package granularity).
  * @property {number} [modularity] - Louvain modularity score.
  * @property {any}    [communities] - Louvain communities/details.
  * @property {number} [density] - Graph density in [0,1].
  * @property {Record<string, number>} [degreeCentrality] - Degree centrality map.
  * @property {Record<string, number>} [inDegreeCentrality] - In-degree map.
  * @property {Record<string, number>} [outDegreeCentrality] - Out-degree map.
+ * @property {string[]} [centralities] - Ids of the other centralities computed (see `readCentralities`).
+ * @property {Record<string, number>|null} [betweennessCentrality] - Betweenness centrality map.
+ * @property {Record<string, number>|null} [closenessCentrality] - Closeness centrality map.
+ * @property {Record<string, number>|null} [pageRank] - PageRank map.
+ * @property {Record<string, number>|null} [hubScore] - HITS hub score map.
+ * @property {Record<string, number>|null} [authorityScore] - HITS authority score map.
+ * @property {Record<string, number>|null} [eigenvectorCentrality] - Eigenvector centrality map.
+ * @property {{modules: Object, directories: Object}} [packageMetrics] - Ca, Ce, I, A and D by module and by directory (see `readPackageMetrics`).
+ * @property {number} [architectureRules] - Number of architecture rules evaluated.
+ * @property {import('./CodeModularityRules.js').ArchitectureRuleViolation[]} [ruleViolations] - Imports violating the architecture rules.
  * @property {string[]} [warnings] - Madge warnings.
  * @property {string[][]} [circular] - Circular dependency paths.
+ * @property {import('./CodeModularityMetrics.js').CycleComponent[]} [cycleComponents] - Strongly connected components
+ * holding the circular dependencies, with the imports to remove to break them (see `readCycleComponents`).
  * @property {any} [circularGraph] - Madge cycle graph (library-specific).
  * @property {string[]} [orphans] - Modules without dependents.
  * @property {string[]} [leaves] - Leaf modules.
+ * @property {string[]} [changedModules] - Changed modules (when `options.changedFiles` is given).
+ * @property {string[]} [changedNeighbors] - Direct dependencies and dependents of the changed modules.
  */
 
 /**
  * Run the full code modularity audit for a directory.
  *
  * Steps:
- *  1) Build the dependency tree & SVG via Madge.
- *  2) Construct a Graphology graph from the tree (+ optional positions).
- *  3) Compute Louvain communities, graph density, and degree centralities.
+ *  1) Evaluate the architecture rules with dependency-cruiser on the audited files.
+ *  2) Build the dependency tree & SVG via Madge, of the files or of their directories or
+ *     workspace packages (`options.granularity`).
+ *  3) Construct a Graphology graph from the tree (+ optional positions).
+ *  4) Compute Louvain communities, graph density, degree and the selected other centralities,
+ *     and group the circular dependencies into strongly connected components.
+ *  5) Compute the package metrics from the tree and the types exported by the modules.
  *
- * On any failure, returns an empty object `{}` (no throw), and logs the error.
+ * On any failure, returns the results of the architecture rules only (`{}` when they could not
+ * be evaluated either), without throwing, and logs the error.
  *
  * @async
  * @param {string} directory - Absolute or relative path to the project root to analyze.
- * @returns {Promise<CodeModularityAuditResult|{}>} Audit result on success; `{}` on failure.
+ * @param {Object} [options] - Audit options.
+ * @param {Object} [options.madge] - Madge configuration (defaults to `madgeDefaultOptions`).
+ * @param {Object} [options.louvain] - Louvain options (defaults to `louvainDefaultOptions`).
+ * @param {string[]} [options.centralities] - Centralities computed besides the degree ones (defaults to `modularityCentralityIds`).
+ * @param {string} [options.granularity='file'] - Nodes of the graph: `file`, `folder` (directories) or `package` (workspace packages).
+ * @param {Object} [options.rules] - Architecture rules (defaults to `architectureRulesDefaultOptions`).
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} [options.auditFiles] - Audited files (discovered from `directory` when missing).
+ * @param {string[]} [options.changedFiles] - Absolute paths of changed files: the whole graph is still built,
+ * and the changed modules and their neighbors are reported.
+ * @returns {Promise<CodeModularityAuditResult|{}>} Audit result on success; the architecture rule results
+ * (`architectureRules`, `ruleViolations`) or `{}` on failure.
  *
  * @example
  * import { startModularityAudit } from './CodeModularityAuditor.js';
@@ -75,30 +125,77 @@ import { detectCommunities, readDegreeCentralities, readDensity } from './CodeMo
  *   console.log('Density:', result.density);
  * }
  */
-export const startModularityAudit = async (directory) => {
+export const startModularityAudit = async (directory, options) => {
+    let ruleResults = {};
     try {
-        const { tree, treeVisualization, ...rest } = await buildDirectoryTree(directory);
+        const granularity = options?.granularity || 'file';
+        const auditFiles = options?.auditFiles || discoverAuditFiles(directory);
+        // rules are always evaluated on the imports of the files, whatever the granularity,
+        // and even when the dependency graph cannot be built (e.g. Graphviz is missing)
+        ruleResults = await evaluateArchitectureRules(auditFiles, options?.rules);
+
+        const { tree, treeVisualization, fileTree, moduleGroups, edgeWeights, ...rest } =
+            granularity === 'file'
+                ? await buildDirectoryTree(directory, options?.madge, auditFiles)
+                : await buildGroupedDirectoryTree(directory, granularity, {
+                      madgeOptions: options?.madge,
+                      auditFiles,
+                  });
 
         if (!tree || !Object.keys(tree)?.length || !treeVisualization) {
-            return {};
+            return ruleResults;
         }
 
-        const louvainGraph = await buildLouvainGraph(tree, treeVisualization);
+        const louvainGraph = await buildLouvainGraph(tree, treeVisualization, edgeWeights);
         if (!louvainGraph) {
-            return {};
+            return ruleResults;
         }
 
+        const { rootDir } = auditFiles;
+        const groupOf = Object.fromEntries(
+            Object.entries(moduleGroups || {}).flatMap(([group, nodes]) =>
+                nodes.map((node) => [node, group]),
+            ),
+        );
+        // at folder or package granularity, the metrics of a group are those of a directory
+        // computed on the files (Ca and Ce count files, as at file granularity)
+        const { packageMetrics } = moduleGroups
+            ? readPackageMetrics(
+                  fileTree,
+                  readModuleAbstractness(fileTree, rootDir),
+                  (node) => groupOf[node] ?? path.posix.dirname(node),
+              )
+            : readPackageMetrics(tree, readModuleAbstractness(tree, rootDir));
+
         return {
             ...rest,
+            granularity,
             tree,
+            ...(moduleGroups ? { fileTree, moduleGroups, edgeWeights } : {}),
             svg: treeVisualization,
             graph: louvainGraph,
-            ...detectCommunities(louvainGraph),
+            ...detectCommunities(louvainGraph, options?.louvain),
             ...readDensity(louvainGraph),
             ...readDegreeCentralities(louvainGraph),
+            ...readCentralities(louvainGraph, options?.centralities),
+            ...readCycleComponents(louvainGraph, rest.circular),
+            // at folder or package granularity, the nodes are already directories or packages
+            packageMetrics: moduleGroups
+                ? { modules: packageMetrics.directories, directories: {} }
+                : packageMetrics,
+            ...ruleResults,
+            ...(options?.changedFiles
+                ? readChangeImpact(
+                      tree,
+                      options.changedFiles.map((file) => {
+                          const node = path.relative(rootDir, file).split(path.sep).join('/');
+                          return moduleGroups ? groupOf[node] : node;
+                      }),
+                  )
+                : {}),
         };
     } catch (error) {
         AppLogger.info(`[CodeModularityAuditor - startModularityAudit] error:  ${error.message}`);
-        return {};
+        return ruleResults;
     }
 };
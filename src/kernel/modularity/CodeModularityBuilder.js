@@ -1,47 +1,218 @@
+import TyphonBabelParser from '@typhonjs/babel-parser';
+import fs from 'fs-extra';
 import Graph from 'graphology';
+import lodash from 'lodash';
 import Madge from 'madge';
+import path from 'path';
 
 import AppLogger from '../../commons/AppLogger.js';
-import { graphologyDefaultOptions, madgeDefaultOptions } from '../../commons/AuditUtils.js';
+import { discoverAuditFiles } from '../../commons/AuditFiles.js';
+import {
+    complexityParserOptions,
+    graphologyDefaultOptions,
+    madgeDefaultOptions,
+} from '../../commons/AuditUtils.js';
 import { normalizeDirectoryTree, retrieveDirectoryTreeData } from './CodeModularityUtils.js';
 
+// CommonJS build: the parser class is the `default` property of the module
+const { default: BabelParser } = TyphonBabelParser;
+
+/**
+ * Read the tree, the SVG visualization and the diagnostics of a Madge analysis.
+ *
+ * @async
+ * @param {Object} directoryAnalysisResult - Madge instance.
+ * @returns {Promise<DirectoryTreeBuildResult|{}>} Empty object when the tree or the SVG is missing.
+ */
+const readDirectoryTreeResult = async (directoryAnalysisResult) => {
+    if (!directoryAnalysisResult) {
+        return {};
+    }
+
+    const directoryTree = directoryAnalysisResult.obj();
+    if (!directoryTree || !Object.keys(directoryTree)?.length) {
+        return {};
+    }
+
+    const directoryTreeVisualization = await directoryAnalysisResult.svg();
+    if (!directoryTreeVisualization) {
+        return {};
+    }
+
+    return {
+        tree: directoryTree,
+        treeVisualization: directoryTreeVisualization,
+        warnings: directoryAnalysisResult.warnings(),
+        circular: directoryAnalysisResult.circular(),
+        circularGraph: directoryAnalysisResult.circularGraph(),
+        orphans: directoryAnalysisResult.orphans(),
+        leaves: directoryAnalysisResult.leaves(),
+    };
+};
+
+/**
+ * Analyze the dependencies of the audited files using Madge.
+ *
+ * @async
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} auditFiles - Audited files.
+ * @param {Object} madgeOptions - Madge configuration.
+ * @returns {Promise<Object|null>} Madge instance, null without audited files.
+ */
+const analyzeAuditFiles = async (auditFiles, madgeOptions) => {
+    if (!auditFiles?.files?.length) {
+        return null;
+    }
+
+    const auditedFiles = new Set(auditFiles.files);
+    return Madge(auditFiles.files, {
+        ...madgeOptions,
+        baseDir: auditFiles.rootDir,
+        dependencyFilter: (dependencyFilePath) => auditedFiles.has(dependencyFilePath),
+    });
+};
+
 /**
  * Build a directory dependency tree using Madge and return both data and SVG.
+ * Only the audited files are analyzed: dependencies on skipped files are not part of the tree,
+ * and module ids are relative to the audited directory.
  *
  * @async
  * @param {string} directory - Root directory to analyze.
+ * @param {Object} [madgeOptions=madgeDefaultOptions] - Madge configuration.
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} [auditFiles] - Audited files (discovered from `directory` when missing).
  * @returns {Promise<DirectoryTreeBuildResult|{}>} Tree, visualization, and auxiliary arrays or empty object on failure.
  * @example
  * const { tree, treeVisualization } = await buildDirectoryTree('.')
  */
-export const buildDirectoryTree = async (directory) => {
+export const buildDirectoryTree = async (
+    directory,
+    madgeOptions = madgeDefaultOptions,
+    auditFiles = discoverAuditFiles(directory),
+) => {
     try {
-        const directoryAnalysisResult = await Madge(directory, madgeDefaultOptions);
-        if (!directoryAnalysisResult) {
-            return {};
+        return await readDirectoryTreeResult(await analyzeAuditFiles(auditFiles, madgeOptions));
+    } catch (error) {
+        AppLogger.info(`[CodeModularityBuilder - buildDirectoryGraph] error:  ${error.message}`);
+        return {};
+    }
+};
+
+/**
+ * Reads the workspace package of a directory: the `name` of the closest `package.json` at or
+ * above it, else its directory (relative to the audited directory, `.` for the audited directory).
+ *
+ * @param {string} directory - Posix directory, relative to `rootDir`.
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @param {Map<string, string>} packages - Packages already read, by directory.
+ * @returns {string}
+ */
+const readWorkspacePackage = (directory, rootDir, packages) => {
+    if (!packages.has(directory)) {
+        const packageFile = path.join(rootDir, directory, 'package.json');
+        const parentDirectory = path.posix.dirname(directory);
+        if (fs.existsSync(packageFile)) {
+            packages.set(
+                directory,
+                fs.readJsonSync(packageFile, { throws: false })?.name || directory,
+            );
+        } else {
+            packages.set(
+                directory,
+                directory === parentDirectory || directory === '.'
+                    ? directory
+                    : readWorkspacePackage(parentDirectory, rootDir, packages),
+            );
         }
+    }
 
-        const directoryTree = directoryAnalysisResult.obj();
-        if (!directoryTree || !Object.keys(directoryTree)?.length) {
-            return {};
+    return packages.get(directory);
+};
+
+/**
+ * Group the modules of a Madge tree by directory (`folder`) or by workspace package (`package`).
+ *
+ * @param {Record<string, string[]>} directoryTree - Madge adjacency object (module ids relative to `rootDir`).
+ * @param {string} granularity - `folder` or `package` (`file` leaves every module in its own group).
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {Record<string, string[]>} Modules by group, sorted.
+ */
+export const groupDirectoryModules = (directoryTree, granularity, rootDir) => {
+    const packages = new Map();
+    const readGroup = (node) => {
+        if (granularity === 'folder') {
+            return path.posix.dirname(node);
         }
+        return granularity === 'package'
+            ? readWorkspacePackage(path.posix.dirname(node), rootDir, packages)
+            : node;
+    };
+
+    return Object.keys(directoryTree || {})
+        .sort()
+        .reduce((groups, node) => {
+            const group = readGroup(node);
+            return { ...groups, [group]: [...(groups[group] || []), node] };
+        }, {});
+};
 
-        const directoryTreeVisualization = await directoryAnalysisResult.svg();
-        if (!directoryTreeVisualization) {
+/**
+ * Build the dependency tree of the directories (`folder`) or workspace packages (`package`) of the
+ * audited files using Madge: a group depends on the groups its modules import (imports within a
+ * group are left out), and the weight of the dependency counts these imports. Cycles, orphans,
+ * leaves and the SVG visualization are those of the groups.
+ *
+ * @async
+ * @param {string} directory - Root directory to analyze.
+ * @param {string} granularity - `folder` or `package`.
+ * @param {Object} [options]
+ * @param {Object} [options.madgeOptions=madgeDefaultOptions] - Madge configuration.
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} [options.auditFiles] - Audited files (discovered from `directory` when missing).
+ * @returns {Promise<GroupedDirectoryTreeBuildResult|{}>} Tree of the groups, visualization, and
+ * auxiliary arrays, or empty object on failure.
+ * @example
+ * const { tree, edgeWeights, moduleGroups } = await buildGroupedDirectoryTree('.', 'folder');
+ */
+export const buildGroupedDirectoryTree = async (
+    directory,
+    granularity,
+    { madgeOptions = madgeDefaultOptions, auditFiles = discoverAuditFiles(directory) } = {},
+) => {
+    try {
+        const fileTree = (await analyzeAuditFiles(auditFiles, madgeOptions))?.obj();
+        if (!fileTree || !Object.keys(fileTree).length) {
             return {};
         }
 
-        return {
-            tree: directoryTree,
-            treeVisualization: directoryTreeVisualization,
-            warnings: directoryAnalysisResult.warnings(),
-            circular: directoryAnalysisResult.circular(),
-            circularGraph: directoryAnalysisResult.circularGraph(),
-            orphans: directoryAnalysisResult.orphans(),
-            leaves: directoryAnalysisResult.leaves(),
-        };
+        const moduleGroups = groupDirectoryModules(fileTree, granularity, auditFiles.rootDir);
+        const groupOf = Object.fromEntries(
+            Object.entries(moduleGroups).flatMap(([group, nodes]) =>
+                nodes.map((node) => [node, group]),
+            ),
+        );
+        const edgeWeights = lodash.mapValues(moduleGroups, () => ({}));
+        Object.entries(fileTree).forEach(([node, dependencies]) =>
+            dependencies
+                .filter(
+                    (dependency) => groupOf[dependency] && groupOf[dependency] !== groupOf[node],
+                )
+                .forEach((dependency) => {
+                    const weights = edgeWeights[groupOf[node]];
+                    weights[groupOf[dependency]] = (weights[groupOf[dependency]] || 0) + 1;
+                }),
+        );
+
+        const groupedTree = lodash.mapValues(edgeWeights, (weights) => Object.keys(weights).sort());
+        const groupedTreeResult = await readDirectoryTreeResult(
+            await Madge(groupedTree, madgeOptions),
+        );
+
+        return groupedTreeResult.tree
+            ? { ...groupedTreeResult, fileTree, moduleGroups, edgeWeights }
+            : {};
     } catch (error) {
-        AppLogger.info(`[CodeModularityBuilder - buildDirectoryGraph] error:  ${error.message}`);
+        AppLogger.info(
+            `[CodeModularityBuilder - buildGroupedDirectoryTree] error:  ${error.message}`,
+        );
         return {};
     }
 };
@@ -52,9 +223,11 @@ export const buildDirectoryTree = async (directory) => {
  * @async
  * @param {Record<string, string[]>} directoryTree - Madge adjacency object.
  * @param {Buffer|string} directoryTreeVisualization - Madge SVG output used to recover positions.
+ * @param {Record<string, Record<string, number>>} [edgeWeights] - Edge weights (source -> target -> weight),
+ * set as the `weight` attribute of the edges (see `buildGroupedDirectoryTree`).
  * @returns {Promise<import('graphology').Graph|null>} A Graphology graph or null on error.
  */
-export const buildLouvainGraph = async (directoryTree, directoryTreeVisualization) => {
+export const buildLouvainGraph = async (directoryTree, directoryTreeVisualization, edgeWeights) => {
     try {
         const { nodes, edges } = normalizeDirectoryTree(directoryTree) || {};
         const projectTreeData = await retrieveDirectoryTreeData(directoryTreeVisualization);
@@ -74,7 +247,8 @@ export const buildLouvainGraph = async (directoryTree, directoryTreeVisualizatio
             .filter((item) => item)
             .reverse()
             .forEach(([source, target]) => {
-                projectGraph.addEdge(source, target);
+                const weight = edgeWeights?.[source]?.[target];
+                projectGraph.addEdge(source, target, weight ? { weight } : {});
             });
 
         return projectGraph;
@@ -83,3 +257,96 @@ export const buildLouvainGraph = async (directoryTree, directoryTreeVisualizatio
         return null;
     }
 };
+
+/**
+ * Counts of the exported types of a module, used for its abstractness.
+ * @typedef {Object} ModuleAbstractness
+ * @property {number} types - Exported classes, interfaces and type aliases.
+ * @property {number} abstractTypes - Exported abstract classes, interfaces and type aliases.
+ */
+
+/**
+ * Reads whether a declaration is a type, and whether it is abstract.
+ * @param {Object} declaration - Babel AST node.
+ * @returns {{abstract: boolean}|null} Null when the declaration is not a class, an interface or a type alias.
+ */
+const readTypeDeclaration = (declaration) => {
+    if (['ClassDeclaration', 'ClassExpression'].includes(declaration?.type)) {
+        return { abstract: Boolean(declaration.abstract) };
+    }
+    if (['TSInterfaceDeclaration', 'TSTypeAliasDeclaration'].includes(declaration?.type)) {
+        return { abstract: true };
+    }
+    return null;
+};
+
+/**
+ * Lists the types exported by a module, by local name (a type exported under several names
+ * is counted once, re-exports from other modules are counted in them).
+ * @param {Object} program - Babel AST program.
+ * @returns {Object<string, {abstract: boolean}>}
+ */
+const readExportedTypes = (program) => {
+    const statements = program?.body || [];
+    const localTypes = Object.fromEntries(
+        statements
+            .map((statement) => statement.declaration || statement)
+            .filter((declaration) => declaration.id?.name && readTypeDeclaration(declaration))
+            .map((declaration) => [declaration.id.name, readTypeDeclaration(declaration)]),
+    );
+
+    const exportedTypes = statements.flatMap((statement) => {
+        const { declaration } = statement;
+        if (statement.type === 'ExportDefaultDeclaration') {
+            const name = declaration?.id?.name || declaration?.name || 'default';
+            return [[name, readTypeDeclaration(declaration) || localTypes[declaration?.name]]];
+        }
+        if (statement.type !== 'ExportNamedDeclaration' || statement.source) {
+            return [];
+        }
+        if (declaration) {
+            return [[declaration.id?.name, readTypeDeclaration(declaration)]];
+        }
+        // `export { Name }` or `export type { Name }` of a local (or imported) declaration
+        return statement.specifiers.map(({ local, exportKind }) => [
+            local?.name,
+            localTypes[local?.name] ||
+                ([statement.exportKind, exportKind].includes('type') ? { abstract: true } : null),
+        ]);
+    });
+
+    return Object.fromEntries(exportedTypes.filter(([name, type]) => name && type));
+};
+
+/**
+ * Count the exported classes, interfaces and type aliases of the modules of a Madge tree, parsed
+ * with the complexity parser options. A module that cannot be parsed exports no type.
+ *
+ * @param {Record<string, string[]>} directoryTree - Madge adjacency object (module ids relative to `rootDir`).
+ * @param {string} rootDir - Absolute path of the audited directory.
+ * @returns {Record<string, ModuleAbstractness>} Exported types by module.
+ * @example
+ * const abstractness = readModuleAbstractness(tree, auditFiles.rootDir);
+ */
+export const readModuleAbstractness = (directoryTree, rootDir) =>
+    Object.fromEntries(
+        Object.keys(directoryTree || {}).map((node) => {
+            try {
+                const source = fs.readFileSync(path.join(rootDir, node), 'utf-8');
+                const { program } = BabelParser.parse(source, { ...complexityParserOptions });
+                const exportedTypes = Object.values(readExportedTypes(program));
+                return [
+                    node,
+                    {
+                        types: exportedTypes.length,
+                        abstractTypes: exportedTypes.filter((item) => item.abstract).length,
+                    },
+                ];
+            } catch (error) {
+                AppLogger.info(
+                    `[CodeModularityBuilder - readModuleAbstractness] ${node} error:  ${error.message}`,
+                );
+                return [node, { types: 0, abstractTypes: 0 }];
+            }
+        }),
+    );
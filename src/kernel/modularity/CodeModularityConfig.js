@@ -1,3 +1,473 @@
+import { formatBundledScripts } from '../../commons/AuditHtml.js';
+
+/**
+ * Format the script listing and highlighting the changed modules and their neighbors
+ * (changed files audit). Defines `highlightImpact(element, file)`.
+ * @returns {string}
+ */
+const formatChangedModulesScript = () => `
+        const readImpact = (file) => {
+            if (data.changedModules.includes(file)) return "changed";
+            if (data.changedNeighbors.includes(file)) return "neighbor";
+            return null;
+        };
+        const highlightImpact = (element, file) => {
+            const impact = readImpact(file);
+            if (impact) element.classList.add(impact === "changed" ? "changed-module" : "changed-neighbor");
+        };
+
+        if (data.changedModules.length) {
+            document.getElementById("changes-section").style.display = "";
+            const changesTable = document.getElementById("changes-table");
+            [...data.changedModules, ...data.changedNeighbors].forEach((file) => {
+                const row = changesTable.insertRow();
+                highlightImpact(row, file);
+                row.insertCell(0).textContent = file;
+                row.insertCell(1).textContent = readImpact(file);
+                row.insertCell(2).textContent = data.communities[file] ?? "";
+                row.insertCell(3).textContent = data.degreeCentrality[file] ?? "";
+            });
+        }`;
+
+/**
+ * Styles of the interactive dependency graph.
+ * @const {string}
+ */
+const dependencyGraphStyles = `        .graph-controls { width: 85%; margin: 0 auto 10px; display: flex; flex-wrap: wrap; gap: 20px; align-items: center; justify-content: center; }
+        .graph-controls .search-box { width: 40%; margin: 0; }
+        #graph-container { width: 85%; height: 650px; margin: 0 auto; border: 1px solid #ddd; border-radius: 5px; text-align: left; }
+        .graph-legend-item { display: inline-block; margin: 4px 10px; font-size: 14px; }
+        .graph-legend-color { display: inline-block; width: 12px; height: 12px; border-radius: 50%; margin-right: 4px; vertical-align: middle; }`;
+
+/**
+ * Format the script of the interactive dependency graph (Sigma.js rendering of the Graphology graph):
+ * nodes colored by community and sized by degree centrality, search, focus on the neighborhood
+ * of a node, and hiding of the external and leaf modules.
+ * @returns {string}
+ */
+const formatDependencyGraphScript = () => `
+        const graphContainer = document.getElementById("graph-container");
+        if (!dependencyGraphData.graph?.nodes?.length || typeof Sigma === "undefined" || typeof graphology === "undefined") {
+            graphContainer.textContent = "The dependency graph is not available.";
+        } else {
+            const communityColors = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf"];
+            const readCommunityColor = (community) => community === undefined ? "#999999" : communityColors[community % communityColors.length];
+            const maxCentrality = Math.max(...Object.values(dependencyGraphData.degreeCentrality), 0) || 1;
+            // modules resolved outside the audited directory (e.g. npm packages when Madge includes them)
+            const isExternal = (node) => node.startsWith("..") || node.includes("node_modules/");
+            // edges between directories or packages are weighted by their imports
+            const readEdgeSize = (attributes) => 1 + Math.log2(attributes.weight || 1);
+
+            const dependencyGraph = graphology.from(dependencyGraphData.graph);
+            dependencyGraph.forEachNode((node, attributes) => {
+                dependencyGraph.mergeNodeAttributes(node, {
+                    label: node,
+                    // Graphviz y axis points down
+                    y: -attributes.y,
+                    size: 4 + 12 * ((dependencyGraphData.degreeCentrality[node] || 0) / maxCentrality),
+                    color: readCommunityColor(dependencyGraphData.communities[node]),
+                });
+            });
+
+            const graphState = { focusedNode: null, search: "", hideExternal: false, hideLeaves: false };
+            const isHidden = (node) =>
+                (graphState.hideExternal && isExternal(node))
+                || (graphState.hideLeaves && dependencyGraph.outDegree(node) === 0 && node !== graphState.focusedNode)
+                || (graphState.focusedNode !== null && node !== graphState.focusedNode && !dependencyGraph.areNeighbors(node, graphState.focusedNode));
+
+            const renderer = new Sigma(dependencyGraph, graphContainer, {
+                defaultEdgeType: "arrow",
+                labelRenderedSizeThreshold: 8,
+                nodeReducer: (node, attributes) => {
+                    if (isHidden(node)) return { ...attributes, hidden: true };
+                    if (graphState.search && !node.toLowerCase().includes(graphState.search)) {
+                        return { ...attributes, color: "#e0e0e0", label: "" };
+                    }
+                    return { ...attributes, highlighted: Boolean(graphState.search) || node === graphState.focusedNode };
+                },
+                edgeReducer: (edge, attributes) => {
+                    const [source, target] = dependencyGraph.extremities(edge);
+                    const focused = graphState.focusedNode !== null && [source, target].includes(graphState.focusedNode);
+                    return isHidden(source) || isHidden(target)
+                        ? { ...attributes, hidden: true }
+                        : { ...attributes, color: focused ? "#333333" : "#cccccc", size: readEdgeSize(attributes) + (focused ? 1 : 0) };
+                },
+            });
+
+            const focusNode = (node) => {
+                graphState.focusedNode = dependencyGraph.hasNode(node) ? node : null;
+                document.getElementById("graphFocus").textContent = graphState.focusedNode
+                    ? graphState.focusedNode + " (" + dependencyGraph.outDegree(node) + " dependencies, " + dependencyGraph.inDegree(node) + " dependents)"
+                    : "none";
+                renderer.refresh();
+                if (graphState.focusedNode) {
+                    const { x, y } = renderer.getNodeDisplayData(node);
+                    renderer.getCamera().animate({ x, y, ratio: 0.5 }, { duration: 500 });
+                } else {
+                    renderer.getCamera().animatedReset({ duration: 500 });
+                }
+            };
+            renderer.on("clickNode", ({ node }) => focusNode(node));
+            renderer.on("clickStage", () => focusNode(null));
+
+            const graphSearch = document.getElementById("graphSearch");
+            const graphNodes = document.getElementById("graph-nodes");
+            dependencyGraph.forEachNode((node) => {
+                const option = document.createElement("option");
+                option.value = node;
+                graphNodes.appendChild(option);
+            });
+            graphSearch.addEventListener("input", () => {
+                graphState.search = graphSearch.value.trim().toLowerCase();
+                if (dependencyGraph.hasNode(graphSearch.value)) {
+                    graphState.search = "";
+                    focusNode(graphSearch.value);
+                } else {
+                    renderer.refresh();
+                }
+            });
+            document.getElementById("hideExternal").addEventListener("change", function () {
+                graphState.hideExternal = this.checked;
+                renderer.refresh();
+            });
+            document.getElementById("hideLeaves").addEventListener("change", function () {
+                graphState.hideLeaves = this.checked;
+                renderer.refresh();
+            });
+            document.getElementById("graphReset").addEventListener("click", () => {
+                graphSearch.value = "";
+                graphState.search = "";
+                focusNode(null);
+            });
+
+            const graphLegend = document.getElementById("graph-legend");
+            [...new Set(Object.values(dependencyGraphData.communities))].sort((a, b) => a - b).forEach((community) => {
+                const item = document.createElement("span");
+                item.className = "graph-legend-item";
+                item.innerHTML = '<span class="graph-legend-color" style="background-color: ' + readCommunityColor(community) + '"></span>';
+                item.appendChild(document.createTextNode("Community " + community));
+                graphLegend.appendChild(item);
+            });
+        }`;
+
+/**
+ * Format the section of the interactive dependency graph (controls, graph container and legend),
+ * with the bundled Graphology and Sigma.js libraries so that the graph works offline.
+ * @param {Object} reports - The detailed results of the Modularity Analysis (`graph` is the serialized Graphology graph).
+ * @returns {string}
+ */
+const formatDependencyGraphSection = (reports) => `    <h2>Interactive Dependency Graph</h2>
+    <div class="section-container">
+      <div class="graph-controls">
+        <input type="text" id="graphSearch" class="search-box" list="graph-nodes" placeholder="Search for a file...">
+        <datalist id="graph-nodes"></datalist>
+        <label><input type="checkbox" id="hideExternal"> Hide external modules</label>
+        <label><input type="checkbox" id="hideLeaves"> Hide leaf modules</label>
+        <button id="graphReset" type="button">Reset</button>
+      </div>
+      <div id="graph-container"></div>
+      <div id="graph-legend"></div>
+      <p class="help">Nodes are colored by community and sized by degree centrality. Click a module to focus on its dependencies and dependents (focused: <span id="graphFocus">none</span>), click the background to leave the focus. Leaf modules have no dependencies.</p>
+    </div>
+    ${formatBundledScripts(['graphology', 'sigma'])}
+    <script>
+        const dependencyGraphData = {
+          communities: ${JSON.stringify(reports?.communities || {})},
+          degreeCentrality: ${JSON.stringify(reports?.degreeCentrality || {})},
+          graph: ${JSON.stringify(reports?.graph || null).replace(/</g, '\\u003c')},
+        };
+${formatDependencyGraphScript()}
+    </script>
+`;
+
+/**
+ * Title and explanation of the centralities computed besides the degree ones, by result field.
+ * @const {Object<string, {title: string, help: string}>}
+ */
+const centralityDescriptions = {
+    betweennessCentrality: {
+        title: 'Betweenness',
+        help: 'Share of the shortest dependency paths going through the module: high values are bottlenecks, where changes ripple through the most paths.',
+    },
+    closenessCentrality: {
+        title: 'Closeness',
+        help: 'Inverse mean distance from the modules importing it, directly or not (Wasserman-Faust): high values are quickly reached by a large part of the project.',
+    },
+    pageRank: {
+        title: 'PageRank',
+        help: 'Importance of the module from the importance of the modules importing it: high values are core modules many others rely on.',
+    },
+    hubScore: {
+        title: 'HITS Hub',
+        help: 'High when the module imports many authoritative modules (orchestrators, entry points).',
+    },
+    authorityScore: {
+        title: 'HITS Authority',
+        help: 'High when the module is imported by many hubs (shared services, utilities).',
+    },
+    eigenvectorCentrality: {
+        title: 'Eigenvector',
+        help: 'Importance of the module from the importance of the modules importing it, without damping: not defined (n/a) when it does not converge, e.g. on an acyclic graph.',
+    },
+};
+
+/**
+ * Format the section of the centralities computed besides the degree ones (sortable table,
+ * explanations). Empty when none was computed.
+ * @param {Object} reports - The detailed results of the Modularity Analysis.
+ * @returns {string}
+ */
+const formatCentralitiesSection = (reports) => {
+    const fields = Object.keys(centralityDescriptions).filter(
+        (field) => reports?.[field] !== undefined,
+    );
+    if (!fields.length) {
+        return '';
+    }
+
+    const centralityData = Object.fromEntries(fields.map((field) => [field, reports[field]]));
+
+    return `
+    <h3>Bottlenecks and Influence</h3>
+    <div class="section-container">
+      <input type="text" id="centralitiesSearch" class="search-box" placeholder="Search for a file...">
+      <table id="centralities-table">
+          <thead><tr><th data-field="file">File</th>${fields.map((field) => `<th data-field="${field}">${centralityDescriptions[field].title}</th>`).join('')}</tr></thead>
+          <tbody></tbody>
+      </table>
+      ${fields.map((field) => `<p class="help"><strong>${centralityDescriptions[field].title}:</strong> ${centralityDescriptions[field].help}${reports[field] ? '' : ' Not computed on this graph.'}</p>`).join('\n      ')}
+      <p class="help">Click a column header to sort the modules.</p>
+    </div>
+    <script>
+        const centralityData = ${JSON.stringify(centralityData).replace(/</g, '\\u003c')};
+        const centralityFiles = Object.keys(${JSON.stringify(reports?.degreeCentrality || {}).replace(/</g, '\\u003c')});
+        const centralitySorting = { field: ${JSON.stringify(fields[0])}, ascending: false };
+        const formatCentrality = (value) => typeof value === "number" ? String(Number(value.toPrecision(4))) : "n/a";
+        const renderCentralities = () => {
+            const searchText = document.getElementById("centralitiesSearch").value.toLowerCase();
+            const readValue = (file) => centralitySorting.field === "file" ? file : (centralityData[centralitySorting.field]?.[file] ?? -1);
+            const rows = centralityFiles
+                .filter((file) => file.toLowerCase().includes(searchText))
+                .sort((a, b) => {
+                    const order = centralitySorting.field === "file" ? a.localeCompare(b) : readValue(a) - readValue(b);
+                    return centralitySorting.ascending ? order : -order;
+                });
+            const body = document.querySelector("#centralities-table tbody");
+            body.innerHTML = "";
+            rows.forEach((file) => {
+                const row = body.insertRow();
+                row.insertCell(0).textContent = file;
+                Object.keys(centralityData).forEach((field, index) => {
+                    row.insertCell(index + 1).textContent = formatCentrality(centralityData[field]?.[file]);
+                });
+            });
+        };
+        document.querySelectorAll("#centralities-table th").forEach((header) => {
+            header.style.cursor = "pointer";
+            header.addEventListener("click", () => {
+                const field = header.dataset.field;
+                centralitySorting.ascending = centralitySorting.field === field ? !centralitySorting.ascending : field === "file";
+                centralitySorting.field = field;
+                renderCentralities();
+            });
+        });
+        document.getElementById("centralitiesSearch").addEventListener("input", renderCentralities);
+        renderCentralities();
+    </script>`;
+};
+
+/**
+ * Format the package metrics section: the main sequence chart (abstractness by instability) of
+ * the directories and modules, and their Ca, Ce, I, A and D sorted by distance.
+ * Empty without package metrics.
+ * @param {Object} reports - The detailed results of the Modularity Analysis.
+ * @returns {string}
+ */
+const formatPackageMetricsSection = (reports) => {
+    if (!reports?.packageMetrics) {
+        return '';
+    }
+
+    return `
+    <h2>Package Metrics</h2>
+    <div class="section-chart-container">
+        <div class="chart-container" style="width: 60%;">
+            <canvas id="mainSequenceChart"></canvas>
+        </div>
+    </div>
+    <div class="section-container">
+      <select id="packageLevel" class="search-box">
+          <option value="directories">Directories</option>
+          <option value="modules">Modules</option>
+      </select>
+      <input type="text" id="packageSearch" class="search-box" placeholder="Search for a file...">
+      <table id="package-metrics-table">
+          <thead><tr><th>Path</th><th>Ca</th><th>Ce</th><th>Instability (I)</th><th>Abstractness (A)</th><th>Distance (D)</th></tr></thead>
+          <tbody></tbody>
+      </table>
+      <p class="help"><strong>Ca</strong> (afferent coupling) counts the modules depending on a module, or the modules outside a directory depending on its modules; <strong>Ce</strong> (efferent coupling) the modules a module depends on, or the modules of a directory depending on modules outside.</p>
+      <p class="help"><strong>I</strong> = Ce / (Ca + Ce): 0 for a stable module many others rely on, 1 for an unstable one nothing relies on. <strong>A</strong>: share of abstract classes, interfaces and type aliases among the exported classes, interfaces and type aliases.</p>
+      <p class="help"><strong>D</strong> = |A + I - 1|: distance from the main sequence (A + I = 1). Stable and concrete modules (I and A close to 0) are in the zone of pain, hard to change; unstable and abstract ones (close to 1) in the zone of uselessness. Directories only hold their own modules.</p>
+    </div>
+    <script>
+        const packageMetrics = ${JSON.stringify(reports.packageMetrics).replace(/</g, '\\u003c')};
+        const formatPackageValue = (value) => typeof value === "number" ? String(Number(value.toFixed(2))) : "n/a";
+        const readMainSequencePoints = (level) => Object.entries(packageMetrics[level] || {})
+            .filter(([, values]) => values.instability !== null)
+            .map(([name, values]) => ({ x: values.instability, y: values.abstractness, name, distance: values.distance }));
+
+        new Chart(document.getElementById("mainSequenceChart"), {
+            type: "scatter",
+            data: {
+                datasets: [
+                    { type: "line", label: "Main Sequence", data: [{ x: 0, y: 1 }, { x: 1, y: 0 }], borderColor: "green", pointRadius: 0 },
+                    { label: "Directories", data: readMainSequencePoints("directories"), backgroundColor: "blue", pointRadius: 6 },
+                    { label: "Modules", data: readMainSequencePoints("modules"), backgroundColor: "rgba(128, 128, 128, 0.5)", pointRadius: 3 },
+                ],
+            },
+            options: {
+                scales: {
+                    x: { min: 0, max: 1, title: { display: true, text: "Instability (I)" } },
+                    y: { min: 0, max: 1, title: { display: true, text: "Abstractness (A)" } },
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => context.raw.name
+                                ? context.raw.name + " (I: " + formatPackageValue(context.raw.x) + ", A: " + formatPackageValue(context.raw.y) + ", D: " + formatPackageValue(context.raw.distance) + ")"
+                                : context.dataset.label,
+                        },
+                    },
+                },
+            },
+        });
+
+        const renderPackageMetrics = () => {
+            const level = document.getElementById("packageLevel").value;
+            const searchText = document.getElementById("packageSearch").value.toLowerCase();
+            const body = document.querySelector("#package-metrics-table tbody");
+            body.innerHTML = "";
+            Object.entries(packageMetrics[level] || {})
+                .filter(([name]) => name.toLowerCase().includes(searchText))
+                .sort(([, first], [, second]) => (second.distance ?? -1) - (first.distance ?? -1))
+                .forEach(([name, values]) => {
+                    const row = body.insertRow();
+                    row.insertCell(0).textContent = name;
+                    ["afferentCoupling", "efferentCoupling", "instability", "abstractness", "distance"].forEach((field, index) => {
+                        row.insertCell(index + 1).textContent = formatPackageValue(values[field]);
+                    });
+                });
+        };
+        if (!Object.keys(packageMetrics.directories || {}).length) {
+            document.getElementById("packageLevel").value = "modules";
+        }
+        document.getElementById("packageLevel").addEventListener("change", renderPackageMetrics);
+        document.getElementById("packageSearch").addEventListener("input", renderPackageMetrics);
+        renderPackageMetrics();
+    </script>`;
+};
+
+/**
+ * Format the circular dependencies section: the strongly connected components holding cycles,
+ * each one with its modules, the cycles reported by Madge and the imports to remove to break
+ * them, ranked by the number of cycles they break. Empty without cycle components.
+ * @param {Object} reports - The detailed results of the Modularity Analysis.
+ * @returns {string}
+ */
+const formatCycleComponentsSection = (reports) => {
+    if (!reports?.cycleComponents) {
+        return '';
+    }
+
+    return `
+    <h2>Circular Dependencies</h2>
+    <div class="section-container">
+      <p id="cycle-components-summary"></p>
+      <div id="cycle-components"></div>
+      <p class="help">A strongly connected component groups modules that all depend on each other, directly or not. Removing the suggested imports (an approximate minimum feedback edge set) makes the component acyclic; the imports breaking the most cycles come first. Cycle counts followed by + are lower bounds: the enumeration of the cycles stopped at its limits.</p>
+    </div>
+    <script>
+        const cycleComponents = ${JSON.stringify(reports.cycleComponents).replace(/</g, '\\u003c')};
+        document.getElementById("cycle-components-summary").textContent = cycleComponents.length
+            ? cycleComponents.length + " component(s) with circular dependencies, " + ${JSON.stringify(reports.circular?.length || 0)} + " cycle(s) reported by Madge."
+            : "No circular dependency.";
+        cycleComponents.forEach((component, index) => {
+            const container = document.getElementById("cycle-components");
+            const title = document.createElement("h3");
+            title.textContent = "Component " + (index + 1) + ": " + component.modules.length + " module(s), "
+                + component.cycles + (component.truncated ? "+" : "") + " cycle(s)";
+            const modules = document.createElement("p");
+            modules.className = "help";
+            modules.textContent = component.modules.join(", ");
+            const table = document.createElement("table");
+            const header = table.insertRow();
+            ["Import to remove", "Imported module", "Cycles broken"].forEach((text) => {
+                const cell = document.createElement("th");
+                cell.textContent = text;
+                header.appendChild(cell);
+            });
+            component.feedbackEdges.forEach(({ from, to, cycles }) => {
+                const row = table.insertRow();
+                row.insertCell(0).textContent = from;
+                row.insertCell(1).textContent = to;
+                row.insertCell(2).textContent = cycles + (component.truncated ? "+" : "");
+            });
+            const circular = document.createElement("ul");
+            component.circular.forEach((cycle) => {
+                const item = document.createElement("li");
+                item.textContent = [...cycle, cycle[0]].join(" > ");
+                circular.appendChild(item);
+            });
+            container.append(title, modules, table, circular);
+        });
+    </script>`;
+};
+
+/**
+ * Format the architecture rules section: the imports violating the rules of the configuration
+ * file, with the line of the import. Empty when no rule was evaluated.
+ * @param {Object} reports - The detailed results of the Modularity Analysis.
+ * @returns {string}
+ */
+const formatArchitectureRulesSection = (reports) => {
+    if (!reports?.architectureRules) {
+        return '';
+    }
+
+    return `
+    <h2>Architecture Rules</h2>
+    <div class="section-container">
+      <input type="text" id="ruleViolationsSearch" class="search-box" placeholder="Search for a file or a rule...">
+      <table id="rule-violations-table">
+          <thead><tr><th>Severity</th><th>Rule</th><th>File</th><th>Imports</th><th>Comment</th></tr></thead>
+          <tbody></tbody>
+      </table>
+      <p class="help">${reports.ruleViolations?.length || 0} violation(s) of the ${reports.architectureRules} rule(s) of <strong>modularity.rules</strong> in the configuration file. Only violations of severity <strong>error</strong> count toward the quality gate; not-in-allowed marks an import matching no allowed rule.</p>
+    </div>
+    <script>
+        const ruleViolations = ${JSON.stringify(reports.ruleViolations || []).replace(/</g, '\\u003c')};
+        const renderRuleViolations = () => {
+            const searchText = document.getElementById("ruleViolationsSearch").value.toLowerCase();
+            const body = document.querySelector("#rule-violations-table tbody");
+            body.innerHTML = "";
+            ruleViolations
+                .filter(({ rule, from, to }) => [rule, from, to].some((value) => value.toLowerCase().includes(searchText)))
+                .forEach(({ rule, severity, comment, from, to, line }) => {
+                    const row = body.insertRow();
+                    const severityCell = row.insertCell(0);
+                    severityCell.textContent = severity;
+                    severityCell.className = severity === "error" ? "bad-value" : "";
+                    row.insertCell(1).textContent = rule;
+                    row.insertCell(2).textContent = line ? from + ":" + line : from;
+                    row.insertCell(3).textContent = to;
+                    row.insertCell(4).textContent = comment || "";
+                });
+        };
+        document.getElementById("ruleViolationsSearch").addEventListener("input", renderRuleViolations);
+        renderRuleViolations();
+    </script>`;
+};
+
 /**
  * Format code modularity html reports
  * @param reports
@@ -30,15 +500,18 @@ const formatCodeModularityHtmlReports = (reports) => {
         .chart-container { width: 40%; }
         .help { font-size: 14px; color: gray; margin-top: 8px; }
         .bad-value { color: red; font-weight: bold; }
+        .changed-module { background-color: #fff3cd; }
+        .changed-neighbor { font-style: italic; }
         
         .cyclic-vizualization { object-fit: contain; max-width: 85%; border: 1px solid #ddd; padding: 10px; border-radius: 5px; }
         .summary-table { width: 80%; margin: 0 auto; border-collapse: collapse; }
         .summary-table th, .summary-table td { padding: 12px; border: 1px solid #ddd; text-align: left; }
         .summary-table th { background-color: #f4f4f4; }
+${dependencyGraphStyles}
     </style>
 </head>
 <body>
-    <h1>Project Modularity Analysis</h1>
+    <h1>Project Modularity Analysis${{ folder: ' (Directories)', package: ' (Packages)' }[reports.granularity] || ''}</h1>
     
     <h2>Summary</h2>
     <div class="section-container">
@@ -58,11 +531,27 @@ const formatCodeModularityHtmlReports = (reports) => {
       </table>
     </div>
     
+    <div id="changes-section" style="display: none;">
+      <h2>Changed Modules</h2>
+      <div class="section-container">
+        <table id="changes-table" class="summary-table">
+            <tr>
+                <th>File</th>
+                <th>Impact</th>
+                <th>Community</th>
+                <th>Degree Centrality</th>
+            </tr>
+        </table>
+        <p class="help">Changed modules are highlighted in the tables below, their direct dependencies and dependents (neighbors) in italic.</p>
+      </div>
+    </div>
+
     <h2>Dependencies Analysis</h2>
     <div class="cyclic-vizualization-container">
       <img class="cyclic-vizualization" src="${reports.svgFile || ''}" alt="Coupling, Centrality and Circular Dependencies Analysis">
     </div>
     
+${formatDependencyGraphSection(reports)}
     <h2>Communities Analysis</h2>
     <div class="section-container">
       <input type="text" id="communitySearch" class="search-box" placeholder="Search for a file...">
@@ -95,7 +584,7 @@ const formatCodeModularityHtmlReports = (reports) => {
           </tr>
       </table>
     </div>
-
+${formatCentralitiesSection(reports)}${formatPackageMetricsSection(reports)}${formatCycleComponentsSection(reports)}${formatArchitectureRulesSection(reports)}
     <script>
         const data = {
           modularity: ${reports?.modularity || 0},
@@ -104,8 +593,12 @@ const formatCodeModularityHtmlReports = (reports) => {
           degreeCentrality: ${JSON.stringify(reports?.degreeCentrality || {})},
           inDegreeCentrality: ${JSON.stringify(reports?.inDegreeCentrality || {})},
           outDegreeCentrality: ${JSON.stringify(reports?.outDegreeCentrality || {})},
+          changedModules: ${JSON.stringify(reports?.changedModules || [])},
+          changedNeighbors: ${JSON.stringify(reports?.changedNeighbors || [])},
         };
 
+${formatChangedModulesScript()}
+
         document.getElementById("modularity").textContent = data.modularity;
         document.getElementById("density").textContent = data.density;
 
@@ -118,7 +611,14 @@ const formatCodeModularityHtmlReports = (reports) => {
         for (const [community, files] of Object.entries(groupedCommunities)) {
             const row = communitiesTable.insertRow();
             row.insertCell(0).textContent = community;
-            row.insertCell(1).textContent = files.join(", ");
+            const filesCell = row.insertCell(1);
+            files.forEach((file, index) => {
+                const fileSpan = document.createElement("span");
+                fileSpan.textContent = file;
+                highlightImpact(fileSpan, file);
+                filesCell.appendChild(fileSpan);
+                if (index < files.length - 1) filesCell.appendChild(document.createTextNode(", "));
+            });
         }
         document.getElementById("communitySearch").addEventListener("input", function () {
             const searchText = this.value.toLowerCase();
@@ -130,6 +630,7 @@ const formatCodeModularityHtmlReports = (reports) => {
         const degreeTable = document.getElementById("degree-centrality-table");
         for (const [file, centrality] of Object.entries(data.degreeCentrality)) {
             const row = degreeTable.insertRow();
+            highlightImpact(row, file);
             row.insertCell(0).textContent = file;
             const centralityCell = row.insertCell(1);
             centralityCell.textContent = centrality;
@@ -1,23 +1,37 @@
+import Graph from 'graphology';
 import louvain from 'graphology-communities-louvain';
+import { stronglyConnectedComponents } from 'graphology-components';
+import betweennessCentrality from 'graphology-metrics/centrality/betweenness.js';
+import closenessCentrality from 'graphology-metrics/centrality/closeness.js';
 import {
     degreeCentrality,
     inDegreeCentrality,
     outDegreeCentrality,
 } from 'graphology-metrics/centrality/degree.js';
+import eigenvectorCentrality from 'graphology-metrics/centrality/eigenvector.js';
+import pagerank from 'graphology-metrics/centrality/pagerank.js';
 import { density } from 'graphology-metrics/graph/density.js';
+import lodash from 'lodash';
+import path from 'path';
 
 import AppLogger from '../../commons/AppLogger.js';
-import { louvainDefaultOptions } from '../../commons/AuditUtils.js';
+import {
+    cycleEnumerationDefaultOptions,
+    graphologyDefaultOptions,
+    louvainDefaultOptions,
+    modularityCentralityIds,
+} from '../../commons/AuditUtils.js';
 
 /**
  * Run Louvain community detection and return detailed results.
  *
  * @param {import('graphology').Graph} louvainGraph - Graphology graph to analyze.
+ * @param {Object} [louvainOptions=louvainDefaultOptions] - Louvain options (e.g. `resolution`).
  * @returns {LouvainDetails|{}} Object containing modularity and communities or empty object on error.
  */
-export const detectCommunities = (louvainGraph) => {
+export const detectCommunities = (louvainGraph, louvainOptions = louvainDefaultOptions) => {
     try {
-        return louvain.detailed(louvainGraph, louvainDefaultOptions) || {};
+        return louvain.detailed(louvainGraph, louvainOptions) || {};
     } catch (error) {
         AppLogger.info(`[CodeModularityAuditor - buildLouvainDetails] error:  ${error.message}`);
         return {};
@@ -45,6 +59,138 @@ export const readDegreeCentralities = (louvainGraph) => {
     };
 };
 
+/**
+ * Scales the scores so that the highest one is 1 (left as they are when they are all 0).
+ * @param {Object<string, number>} scores
+ * @returns {Object<string, number>}
+ */
+const scaleToMax = (scores) => {
+    const max = Math.max(0, ...Object.values(scores));
+    return max ? lodash.mapValues(scores, (score) => score / max) : scores;
+};
+
+/**
+ * Compute the HITS hub and authority scores (power iteration, scores summing to 1).
+ * Implemented here as the graphology-metrics one normalizes the hubs by the wrong maximum and
+ * fails to converge on most dependency graphs.
+ *
+ * @param {import('graphology').Graph} graph - Directed graph to measure.
+ * @param {Object} [options]
+ * @param {number} [options.maxIterations=100] - Maximum number of iterations.
+ * @param {number} [options.tolerance=1e-8] - Convergence tolerance (sum of the hub changes).
+ * @returns {{hubs: Object<string, number>, authorities: Object<string, number>}}
+ * @throws {Error} When the scores do not converge.
+ */
+export const computeHitsScores = (graph, { maxIterations = 100, tolerance = 1e-8 } = {}) => {
+    let hubs = Object.fromEntries(graph.mapNodes((node) => [node, 1 / graph.order]));
+    let authorities = {};
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const lastHubs = hubs;
+        authorities = Object.fromEntries(
+            graph.mapNodes((node) => [
+                node,
+                graph.inNeighbors(node).reduce((sum, source) => sum + lastHubs[source], 0),
+            ]),
+        );
+        authorities = scaleToMax(authorities);
+        hubs = scaleToMax(
+            Object.fromEntries(
+                graph.mapNodes((node) => [
+                    node,
+                    graph.outNeighbors(node).reduce((sum, target) => sum + authorities[target], 0),
+                ]),
+            ),
+        );
+
+        const error = graph.reduceNodes(
+            (sum, node) => sum + Math.abs(hubs[node] - lastHubs[node]),
+            0,
+        );
+        if (error < tolerance) {
+            const normalize = (scores) => {
+                const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+                return total ? lodash.mapValues(scores, (score) => score / total) : scores;
+            };
+            return { hubs: normalize(hubs), authorities: normalize(authorities) };
+        }
+    }
+
+    throw new Error('HITS failed to converge');
+};
+
+/**
+ * Centrality readers by id: each returns its maps (node -> score) keyed by result field.
+ * - betweenness: share of the shortest paths going through a module (bottlenecks), normalized.
+ * - closeness: inverse mean distance from the modules reaching a module through their imports
+ *   (Wasserman-Faust variant, so that it stays comparable in a disconnected graph).
+ * - pagerank: importance of a module from the importance of its dependents.
+ * - hits: hub score (imports many authorities) and authority score (imported by many hubs).
+ * - eigenvector: importance of a module from the importance of its dependents, without damping
+ *   (it does not converge on some graphs, e.g. acyclic ones).
+ * @const {Object<string, Function>}
+ */
+const centralityReaders = {
+    // shortest paths count the dependency hops, whatever the weight (imports) of the edges
+    betweenness: (graph) => ({
+        betweennessCentrality: betweennessCentrality(graph, { getEdgeWeight: null }),
+    }),
+    closeness: (graph) => ({
+        closenessCentrality: closenessCentrality(graph, { wassermanFaust: true }),
+    }),
+    pagerank: (graph) => ({ pageRank: pagerank(graph) }),
+    hits: (graph) => {
+        const { hubs, authorities } = computeHitsScores(graph);
+        return { hubScore: hubs, authorityScore: authorities };
+    },
+    eigenvector: (graph) => ({ eigenvectorCentrality: eigenvectorCentrality(graph) }),
+};
+
+/**
+ * Result fields of each centrality (see `centralityReaders`).
+ * @const {Object<string, string[]>}
+ */
+export const centralityFields = {
+    betweenness: ['betweennessCentrality'],
+    closeness: ['closenessCentrality'],
+    pagerank: ['pageRank'],
+    hits: ['hubScore', 'authorityScore'],
+    eigenvector: ['eigenvectorCentrality'],
+};
+
+/**
+ * Compute the selected centrality maps for all nodes. A centrality that cannot be computed
+ * (e.g. an iterative one that does not converge) has null maps.
+ *
+ * @param {import('graphology').Graph} louvainGraph - Graphology graph to measure.
+ * @param {string[]} [centralities=modularityCentralityIds] - Ids of the centralities to compute.
+ * @returns {Object} The `centralities` computed, and their maps by result field
+ * (`betweennessCentrality`, `closenessCentrality`, `pageRank`, `hubScore`, `authorityScore`, `eigenvectorCentrality`).
+ *
+ * @example
+ * const { centralities, betweennessCentrality } = readCentralities(graph, ['betweenness']);
+ */
+export const readCentralities = (louvainGraph, centralities = modularityCentralityIds) => {
+    const ids = modularityCentralityIds.filter((id) => centralities.includes(id));
+
+    return ids.reduce(
+        (acc, id) => {
+            try {
+                return { ...acc, ...centralityReaders[id](louvainGraph) };
+            } catch (error) {
+                AppLogger.info(
+                    `[CodeModularityMetrics - readCentralities] ${id} error:  ${error.message}`,
+                );
+                return {
+                    ...acc,
+                    ...Object.fromEntries(centralityFields[id].map((field) => [field, null])),
+                };
+            }
+        },
+        { centralities: ids },
+    );
+};
+
 /**
  * Compute the overall density of the graph.
  *
@@ -61,3 +207,314 @@ export const readDensity = (louvainGraph) => {
         density: density(louvainGraph),
     };
 };
+
+/**
+ * Read the modules touched by a change and their direct neighbors (dependencies and dependents).
+ *
+ * @param {Record<string, string[]>} tree - Madge adjacency object (module -> dependencies).
+ * @param {string[]} changedModules - Ids of the changed modules.
+ * @returns {{changedModules: string[], changedNeighbors: string[]}} Changed modules of the graph and
+ * their neighbors (not changed themselves), sorted.
+ */
+export const readChangeImpact = (tree, changedModules) => {
+    const changed = new Set((changedModules || []).filter((node) => tree?.[node]));
+    const neighbors = new Set();
+
+    Object.entries(tree || {}).forEach(([node, dependencies]) => {
+        if (changed.has(node)) {
+            dependencies.forEach((dependency) => neighbors.add(dependency));
+        }
+        if (dependencies.some((dependency) => changed.has(dependency))) {
+            neighbors.add(node);
+        }
+    });
+
+    return {
+        changedModules: [...changed].sort(),
+        changedNeighbors: [...neighbors].filter((node) => !changed.has(node)).sort(),
+    };
+};
+
+/**
+ * Robert C. Martin metrics of a module or a directory.
+ * @typedef {Object} PackageMetrics
+ * @property {number} afferentCoupling - Ca: modules outside depending on it.
+ * @property {number} efferentCoupling - Ce: modules (inside, for a directory) depending on modules outside.
+ * @property {number|null} instability - I = Ce / (Ca + Ce), null without dependencies nor dependents.
+ * @property {number} abstractness - A: share of abstract types among the exported types (0 without types).
+ * @property {number|null} distance - D = |A + I - 1|, distance from the main sequence.
+ */
+
+/**
+ * Computes the instability, abstractness and distance from the main sequence.
+ * @param {Object} counts
+ * @param {number} counts.afferentCoupling
+ * @param {number} counts.efferentCoupling
+ * @param {number} counts.types - Exported types.
+ * @param {number} counts.abstractTypes - Exported abstract types.
+ * @returns {PackageMetrics}
+ */
+const readMainSequence = ({ afferentCoupling, efferentCoupling, types, abstractTypes }) => {
+    const coupling = afferentCoupling + efferentCoupling;
+    const instability = coupling ? efferentCoupling / coupling : null;
+    const abstractness = types ? abstractTypes / types : 0;
+
+    return {
+        afferentCoupling,
+        efferentCoupling,
+        instability,
+        abstractness,
+        distance: instability === null ? null : Math.abs(abstractness + instability - 1),
+    };
+};
+
+/**
+ * Compute the Robert C. Martin package metrics (Ca, Ce, I, A, D) of the modules and of their
+ * directories. A directory only holds its own modules (not those of its subdirectories):
+ * its Ca counts the modules outside depending on its modules, its Ce its modules depending on
+ * modules outside. Modules can be grouped otherwise (e.g. by workspace package) with `directoryOf`.
+ *
+ * @param {Record<string, string[]>} tree - Madge adjacency object (module -> dependencies).
+ * @param {Record<string, import('./CodeModularityBuilder.js').ModuleAbstractness>} abstractness - Exported types by module.
+ * @param {(node: string) => string} [directoryOf] - Directory (group) of a module (defaults to its parent directory).
+ * @returns {{packageMetrics: {modules: Record<string, PackageMetrics>, directories: Record<string, PackageMetrics & {modules: number}>}}}
+ *
+ * @example
+ * const { packageMetrics } = readPackageMetrics(tree, readModuleAbstractness(tree, rootDir));
+ */
+export const readPackageMetrics = (
+    tree,
+    abstractness,
+    directoryOf = (node) => path.posix.dirname(node),
+) => {
+    const nodes = Object.keys(tree || {});
+    const readTypes = (node) => abstractness?.[node] || { types: 0, abstractTypes: 0 };
+
+    const dependents = lodash.mapValues(tree, () => new Set());
+    const directories = {};
+    const readDirectory = (directory) => {
+        if (!directories[directory]) {
+            directories[directory] = { modules: [], afferent: new Set(), efferent: new Set() };
+        }
+        return directories[directory];
+    };
+
+    nodes.forEach((node) => {
+        readDirectory(directoryOf(node)).modules.push(node);
+        tree[node].forEach((dependency) => {
+            dependents[dependency]?.add(node);
+            if (directoryOf(dependency) !== directoryOf(node)) {
+                readDirectory(directoryOf(dependency)).afferent.add(node);
+                readDirectory(directoryOf(node)).efferent.add(node);
+            }
+        });
+    });
+
+    return {
+        packageMetrics: {
+            modules: Object.fromEntries(
+                nodes.map((node) => [
+                    node,
+                    readMainSequence({
+                        afferentCoupling: dependents[node].size,
+                        efferentCoupling: new Set(tree[node]).size,
+                        ...readTypes(node),
+                    }),
+                ]),
+            ),
+            directories: lodash.mapValues(directories, ({ modules, afferent, efferent }) => ({
+                modules: modules.length,
+                ...readMainSequence({
+                    afferentCoupling: afferent.size,
+                    efferentCoupling: efferent.size,
+                    types: lodash.sumBy(modules, (node) => readTypes(node).types),
+                    abstractTypes: lodash.sumBy(modules, (node) => readTypes(node).abstractTypes),
+                }),
+            })),
+        },
+    };
+};
+
+/**
+ * Strongly connected component of the dependency graph holding circular dependencies.
+ * @typedef {Object} CycleComponent
+ * @property {string[]} modules - Modules of the component, sorted.
+ * @property {number} cycles - Elementary cycles of the component (a lower bound when `truncated`).
+ * @property {boolean} truncated - The enumeration of the cycles reached its limits.
+ * @property {string[][]} circular - Circular dependencies reported by Madge within the component.
+ * @property {Array<{from: string, to: string, cycles: number}>} feedbackEdges - Imports to remove to
+ * make the component acyclic, ranked by the number of its cycles they break.
+ */
+
+/**
+ * Identifies a dependency (edge) of the graph.
+ * @param {string} from
+ * @param {string} to
+ * @returns {string}
+ */
+const readEdgeKey = (from, to) => `${from}\u0000${to}`;
+
+/**
+ * Lists the dependencies (edge keys) of a cycle.
+ * @param {string[]} cycle - Modules of the cycle, each one importing the next (the last one the first).
+ * @returns {string[]}
+ */
+const readCycleEdges = (cycle) =>
+    cycle.map((node, index) => readEdgeKey(node, cycle[(index + 1) % cycle.length]));
+
+/**
+ * Checks whether a graph has a cycle (self-loop or strongly connected component of several nodes).
+ * @param {import('graphology').Graph} graph
+ * @returns {boolean}
+ */
+const isCyclicGraph = (graph) =>
+    graph.selfLoopCount > 0 ||
+    stronglyConnectedComponents(graph).some((component) => component.length > 1);
+
+/**
+ * Enumerates the elementary cycles of a graph: each cycle is listed once, from its first module
+ * in sorted order, by a depth-first search through the modules that come after it.
+ * @param {import('graphology').Graph} graph
+ * @param {{maxCycles: number, maxSteps: number}} limits
+ * @returns {{cycles: string[][], truncated: boolean}}
+ */
+const enumerateCycles = (graph, { maxCycles, maxSteps }) => {
+    const nodes = graph.nodes().sort();
+    const rank = Object.fromEntries(nodes.map((node, index) => [node, index]));
+    const successors = Object.fromEntries(
+        nodes.map((node) => [node, graph.outNeighbors(node).sort()]),
+    );
+    const cycles = [];
+    let steps = 0;
+
+    nodes.forEach((start) => {
+        const stack = [{ node: start, next: 0 }];
+        const onPath = new Set([start]);
+        while (stack.length && cycles.length < maxCycles && steps < maxSteps) {
+            steps += 1;
+            const frame = stack[stack.length - 1];
+            const successor = successors[frame.node][frame.next];
+            frame.next += 1;
+            if (successor === undefined) {
+                onPath.delete(stack.pop().node);
+            } else if (successor === start) {
+                cycles.push(stack.map(({ node }) => node));
+            } else if (rank[successor] > rank[start] && !onPath.has(successor)) {
+                stack.push({ node: successor, next: 0 });
+                onPath.add(successor);
+            }
+        }
+    });
+
+    return { cycles, truncated: cycles.length >= maxCycles || steps >= maxSteps };
+};
+
+/**
+ * Selects the dependencies breaking the cycles of a component, greedily: the dependency in the
+ * most remaining cycles first, until the component is acyclic (cycles left out by the limits of
+ * the enumeration are enumerated again on the remaining graph). Dependencies that are not needed
+ * any more once the others are removed are then put back, so the set is minimal.
+ * @param {import('graphology').Graph} componentGraph
+ * @param {string[][]} cycles - Enumerated cycles of the component.
+ * @param {{maxCycles: number, maxSteps: number}} limits
+ * @returns {string[]} Edge keys of the feedback edge set.
+ */
+const readFeedbackEdgeSet = (componentGraph, cycles, limits) => {
+    const graph = componentGraph.copy();
+    const feedbackEdges = [];
+    let remaining = cycles.map(readCycleEdges);
+
+    while (isCyclicGraph(graph)) {
+        if (!remaining.length) {
+            remaining = enumerateCycles(graph, limits).cycles.map(readCycleEdges);
+        }
+        const counts = lodash.countBy(remaining.flat());
+        const [edge] = Object.keys(counts).sort(
+            (first, second) => counts[second] - counts[first] || first.localeCompare(second),
+        );
+        graph.dropEdge(...edge.split('\u0000'));
+        feedbackEdges.push(edge);
+        remaining = remaining.filter((cycleEdges) => !cycleEdges.includes(edge));
+    }
+
+    return [...feedbackEdges].reverse().filter((edge) => {
+        graph.addEdge(...edge.split('\u0000'));
+        if (!isCyclicGraph(graph)) {
+            return false;
+        }
+        graph.dropEdge(...edge.split('\u0000'));
+        return true;
+    });
+};
+
+/**
+ * Group the circular dependencies into the strongly connected components of the dependency graph,
+ * and compute for each component an approximate minimum feedback edge set: the fewest imports
+ * to remove to make it acyclic, ranked by the number of elementary cycles each of them breaks.
+ *
+ * @param {import('graphology').Graph} louvainGraph - Graphology graph of the dependencies.
+ * @param {string[][]} [circular] - Circular dependencies reported by Madge.
+ * @param {{maxCycles: number, maxSteps: number}} [limits=cycleEnumerationDefaultOptions] - Limits of the cycle enumeration.
+ * @returns {{cycleComponents: CycleComponent[]}} Components sorted by size (largest first).
+ *
+ * @example
+ * const { cycleComponents } = readCycleComponents(graph, madgeInstance.circular());
+ * // [{ modules: ['a.js', 'b.js'], cycles: 1, feedbackEdges: [{ from: 'a.js', to: 'b.js', cycles: 1 }], ... }]
+ */
+export const readCycleComponents = (
+    louvainGraph,
+    circular = [],
+    limits = cycleEnumerationDefaultOptions,
+) => {
+    const cycleComponents = stronglyConnectedComponents(louvainGraph)
+        .filter(
+            (component) =>
+                component.length > 1 || louvainGraph.hasDirectedEdge(component[0], component[0]),
+        )
+        .map((component) => {
+            const modules = [...component].sort();
+            const componentGraph = new Graph(graphologyDefaultOptions);
+            modules.forEach((node) => componentGraph.addNode(node));
+            modules.forEach((node) =>
+                louvainGraph.forEachOutNeighbor(node, (neighbor) => {
+                    if (componentGraph.hasNode(neighbor)) {
+                        componentGraph.mergeEdge(node, neighbor);
+                    }
+                }),
+            );
+
+            const { cycles, truncated } = enumerateCycles(componentGraph, limits);
+            const cycleCounts = lodash.countBy(cycles.flatMap(readCycleEdges));
+
+            return {
+                modules,
+                cycles: cycles.length,
+                truncated,
+                circular: (circular || []).filter((cycle) =>
+                    cycle.every((node) => componentGraph.hasNode(node)),
+                ),
+                feedbackEdges: readFeedbackEdgeSet(componentGraph, cycles, limits)
+                    .map((edge) => {
+                        const [from, to] = edge.split('\u0000');
+                        return { from, to, cycles: cycleCounts[edge] || 0 };
+                    })
+                    .sort(
+                        (first, second) =>
+                            second.cycles - first.cycles ||
+                            first.from.localeCompare(second.from) ||
+                            first.to.localeCompare(second.to),
+                    ),
+            };
+        })
+        .sort(
+            (first, second) =>
+                second.modules.length - first.modules.length ||
+                first.modules[0].localeCompare(second.modules[0]),
+        );
+
+    AppLogger.info(
+        `[CodeModularityMetrics - readCycleComponents] cycleComponents:  ${cycleComponents.length}`,
+    );
+
+    return { cycleComponents };
+};
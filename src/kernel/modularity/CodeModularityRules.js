@@ -0,0 +1,174 @@
+/**
+ * Architecture rules of the modularity audit, declared in the dependency-cruiser rule syntax
+ * (`modularity.rules` in the configuration file) and evaluated by dependency-cruiser on the
+ * audited files:
+ * - `forbidden` rules: a dependency (or module) matching the rule is a violation;
+ * - `allowed` rules: a dependency that matches none of them is a violation (`not-in-allowed`).
+ * Every condition of dependency-cruiser is available (`path`, `pathNot`, `dependencyTypes`,
+ * `circular`, `orphan`, `reachable`, `couldNotResolve`...), and `$1`, `$2`... in `to` are the
+ * groups captured by `from.path` (e.g. to forbid imports of the internals of a sibling feature).
+ *
+ * @module CodeModularityRules
+ */
+import TyphonBabelParser from '@typhonjs/babel-parser';
+import { cruise } from 'dependency-cruiser';
+import fs from 'fs-extra';
+import path from 'path';
+
+import AppLogger from '../../commons/AppLogger.js';
+import {
+    architectureRulesDefaultOptions,
+    buildArchitectureRuleSet,
+    complexityParserOptions,
+} from '../../commons/AuditUtils.js';
+
+// CommonJS build: the parser class is the `default` property of the module
+const { default: BabelParser } = TyphonBabelParser;
+
+/**
+ * An architecture rule (see the rule syntax of dependency-cruiser).
+ * @typedef {Object} ArchitectureRule
+ * @property {string} [name] - Rule name, reported with its violations.
+ * @property {('error'|'warn'|'info'|'ignore')} [severity='warn'] - Only `error` violations count toward the quality gate.
+ * @property {string} [comment] - Why the rule exists.
+ * @property {Object} from - Conditions on the importing module.
+ * @property {Object} to - Conditions on the imported module.
+ */
+
+/**
+ * A violation of an architecture rule.
+ * @typedef {Object} ArchitectureRuleViolation
+ * @property {string} rule - Rule name (`not-in-allowed` for an import matching no `allowed` rule).
+ * @property {('error'|'warn'|'info')} severity
+ * @property {string|null} comment - Comment of the rule.
+ * @property {string} from - Importing module.
+ * @property {string} to - Imported module (the module itself for a module rule, e.g. `orphan`).
+ * @property {number|null} line - Line of the import in the importing module, null when not found.
+ */
+
+/**
+ * Reads the module specifiers imported by a module (`import`, `export ... from`, `require()`
+ * and `import()`), with their line.
+ * @param {string} file - Absolute path of the module.
+ * @returns {Array<{specifier: string, line: number}>} Empty when the module cannot be parsed.
+ */
+const readModuleImports = (file) => {
+    try {
+        const source = fs.readFileSync(file, 'utf-8');
+        const { program } = BabelParser.parse(source, { ...complexityParserOptions });
+        const imports = [];
+        const visit = (node) => {
+            if (!node || typeof node.type !== 'string') {
+                return;
+            }
+            const isCall =
+                node.type === 'CallExpression' &&
+                (node.callee?.type === 'Import' || node.callee?.name === 'require');
+            const specifier = isCall ? node.arguments?.[0] : node.source;
+            if (specifier?.type === 'StringLiteral') {
+                imports.push({ specifier: specifier.value, line: specifier.loc.start.line });
+            }
+            Object.values(node)
+                .flat()
+                .forEach((child) => child && typeof child === 'object' && visit(child));
+        };
+        visit(program);
+        return imports;
+    } catch (error) {
+        AppLogger.info(
+            `[CodeModularityRules - readModuleImports] ${file} error:  ${error.message}`,
+        );
+        return [];
+    }
+};
+
+/**
+ * Evaluate the architecture rules with dependency-cruiser on the audited files.
+ * Violations are reported for the audited files only; the line of an import is the one of its
+ * specifier, as resolved by dependency-cruiser.
+ *
+ * @async
+ * @param {import('../../commons/AuditFiles.js').AuditFileSet} auditFiles - Audited files.
+ * @param {Object} [rules=architectureRulesDefaultOptions] - `forbidden` and `allowed` rules, and the `allowedSeverity`
+ * of the imports matching no `allowed` rule.
+ * @returns {Promise<{architectureRules: number, ruleViolations?: ArchitectureRuleViolation[]}>} Number of rules
+ * evaluated and violations, sorted by importing module (no `ruleViolations` when dependency-cruiser failed).
+ *
+ * @example
+ * const { ruleViolations } = await evaluateArchitectureRules(auditFiles, {
+ *   forbidden: [{ name: 'no-pages-in-components', severity: 'error', from: { path: '^components/' }, to: { path: '^pages/' } }],
+ * });
+ */
+export const evaluateArchitectureRules = async (
+    auditFiles,
+    rules = architectureRulesDefaultOptions,
+) => {
+    const architectureRules = (rules?.forbidden?.length || 0) + (rules?.allowed?.length || 0);
+
+    if (!architectureRules || !auditFiles?.files?.length) {
+        return { architectureRules, ruleViolations: [] };
+    }
+
+    try {
+        const { rootDir } = auditFiles;
+        const auditedModules = new Set(
+            auditFiles.files.map((file) => path.relative(rootDir, file).split(path.sep).join('/')),
+        );
+        const { output } = await cruise([...auditedModules], {
+            baseDir: rootDir,
+            validate: true,
+            ruleSet: buildArchitectureRuleSet(rules),
+            doNotFollow: { path: 'node_modules' },
+        });
+
+        const specifiers = Object.fromEntries(
+            output.modules.map(({ source, dependencies }) => [
+                source,
+                Object.fromEntries(dependencies.map(({ resolved, module }) => [resolved, module])),
+            ]),
+        );
+        const comments = Object.fromEntries(
+            (rules.forbidden || []).map((rule) => [rule.name || 'unnamed', rule.comment || null]),
+        );
+        const importsByModule = {};
+        const readImportLine = (from, to) => {
+            const specifier = specifiers[from]?.[to];
+            if (specifier === undefined) {
+                return null;
+            }
+            if (!importsByModule[from]) {
+                importsByModule[from] = readModuleImports(path.join(rootDir, from));
+            }
+            return importsByModule[from].find((item) => item.specifier === specifier)?.line ?? null;
+        };
+
+        const ruleViolations = output.summary.violations
+            .filter(({ from }) => auditedModules.has(from))
+            .map(({ rule, from, to }) => ({
+                rule: rule.name,
+                severity: rule.severity,
+                comment: comments[rule.name] ?? null,
+                from,
+                to,
+                line: readImportLine(from, to),
+            }))
+            .sort(
+                (first, second) =>
+                    first.from.localeCompare(second.from) ||
+                    (first.line ?? 0) - (second.line ?? 0) ||
+                    first.to.localeCompare(second.to) ||
+                    first.rule.localeCompare(second.rule),
+            );
+
+        AppLogger.info(
+            `[CodeModularityRules - evaluateArchitectureRules] violations:  ${ruleViolations.length}`,
+        );
+
+        return { architectureRules, ruleViolations };
+    } catch (error) {
+        AppLogger.info(
+            `[CodeModularityRules - evaluateArchitectureRules] error:  ${error.message}`,
+        );
+        return { architectureRules };
+    }
+};
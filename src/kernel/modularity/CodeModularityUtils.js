@@ -3,16 +3,21 @@
  * @module CodeModularityUtils
  */
 import fs from 'fs-extra';
+import lodash from 'lodash';
 import path from 'path';
 import xml2js from 'xml2js';
 
 import AppLogger from '../../commons/AppLogger.js';
+import { inlineHtmlFile } from '../../commons/AuditHtml.js';
+import { buildAuditReportHeader } from '../../commons/AuditSchema.js';
 import CodeModularityConfig from './CodeModularityConfig.js';
+import { centralityFields } from './CodeModularityMetrics.js';
 
 /**
  * @typedef {Object} CodeModularityOptions
  * @property {string} outputDir - Output directory for the report files.
  * @property {('json'|'html')} fileFormat - Desired output format.
+ * @property {boolean} [singleFile] - Inline Chart.js and the SVG graph into the html report.
  */
 
 /**
@@ -50,6 +55,13 @@ import CodeModularityConfig from './CodeModularityConfig.js';
  * @property {string[]} leaves - Leaf modules.
  */
 
+/**
+ * @typedef {DirectoryTreeBuildResult} GroupedDirectoryTreeBuildResult
+ * @property {Record<string, string[]>} fileTree - Adjacency object of the files (file -> deps).
+ * @property {Record<string, string[]>} moduleGroups - Files by group (directory or workspace package).
+ * @property {Record<string, Record<string, number>>} edgeWeights - Imports by group and dependency group.
+ */
+
 /**
  * @typedef {Object} DirectoryTreeNormalized
  * @property {string[]} nodes - List of node ids.
@@ -62,6 +74,74 @@ import CodeModularityConfig from './CodeModularityConfig.js';
  */
 const xml2jsParser = new xml2js.Parser({});
 
+/**
+ * Builds the versioned JSON report (see `schemas/code-modularity-report.schema.json`):
+ * project values, then one record per module of the dependency graph and per directory.
+ *
+ * @param {Object} reports - The detailed results of the Modularity Analysis.
+ * @returns {Object} The JSON report.
+ */
+const buildCodeModularityJsonReport = (reports) => {
+    const tree = reports.tree || {};
+    const readValue = (values, node) => values?.[node] ?? null;
+    const fields = (reports.centralities || []).flatMap((id) => centralityFields[id] || []);
+    const readPackageValues = (values) => ({
+        afferentCoupling: values?.afferentCoupling ?? null,
+        efferentCoupling: values?.efferentCoupling ?? null,
+        instability: values?.instability ?? null,
+        abstractness: values?.abstractness ?? null,
+        distance: values?.distance ?? null,
+    });
+
+    return {
+        ...buildAuditReportHeader('modularity'),
+        modularity: reports.modularity ?? null,
+        communities: reports.count ?? null,
+        density: reports.density ?? null,
+        dependencies: Object.values(tree).flat().length,
+        granularity: reports.granularity || 'file',
+        centralities: reports.centralities || [],
+        modules: Object.keys(tree)
+            .sort()
+            .map((node) => ({
+                path: node,
+                community: readValue(reports.communities, node),
+                degreeCentrality: readValue(reports.degreeCentrality, node),
+                inDegreeCentrality: readValue(reports.inDegreeCentrality, node),
+                outDegreeCentrality: readValue(reports.outDegreeCentrality, node),
+                ...Object.fromEntries(
+                    fields.map((field) => [field, readValue(reports[field], node)]),
+                ),
+                ...readPackageValues(reports.packageMetrics?.modules?.[node]),
+                ...(reports.moduleGroups
+                    ? {
+                          files: reports.moduleGroups[node] || [],
+                          dependencyWeights: reports.edgeWeights?.[node] || {},
+                      }
+                    : {}),
+                dependencies: tree[node],
+            })),
+        directories: Object.entries(reports.packageMetrics?.directories || {})
+            .sort(([first], [second]) => first.localeCompare(second))
+            .map(([directory, values]) => ({
+                path: directory,
+                modules: values.modules,
+                ...readPackageValues(values),
+            })),
+        architectureRules: reports.architectureRules ?? 0,
+        ruleViolations: reports.ruleViolations || [],
+        circular: reports.circular || [],
+        cycleComponents: reports.cycleComponents || [],
+        ...(reports.changedModules
+            ? {
+                  changedModules: reports.changedModules,
+                  changedNeighbors: reports.changedNeighbors || [],
+              }
+            : {}),
+        svgFile: reports.svgFile || null,
+    };
+};
+
 /**
  * Formats the code modularity audit reports based on the specified file format.
  *
@@ -79,7 +159,7 @@ export const formatCodeModularityAuditReports = ({ fileFormat, reports }) => {
     }
 
     if (fileFormat === 'json') {
-        return JSON.stringify(reports, null, 2);
+        return JSON.stringify(buildCodeModularityJsonReport(reports), null, 2);
     }
 
     if (fileFormat === 'html') {
@@ -96,17 +176,30 @@ export const formatCodeModularityAuditReports = ({ fileFormat, reports }) => {
  * @param {Object} options - Options for writing the audit results.
  * @param {CodeModularityOptions} options.codeModularityOptions - Code modularity audit options.
  * @param {Object} options.codeModularityAnalysisResult - Results of the code modularity analysis.
- * @param {LouvainDetails} options.codeModularityAnalysisResult.louvainDetails - Louvain details.
+ * @param {Object<string, string[]>} options.codeModularityAnalysisResult.tree - Madge dependency tree.
+ * @param {number} [options.codeModularityAnalysisResult.modularity] - Louvain modularity score.
+ * @param {Object<string, number>} [options.codeModularityAnalysisResult.communities] - Louvain community by node.
+ * @param {number} [options.codeModularityAnalysisResult.count] - Number of Louvain communities.
  * @param {DensityResult|Object} options.codeModularityAnalysisResult.density - Density result.
  * @param {CentralityMaps|Object} options.codeModularityAnalysisResult.degreeCentrality - Degree map.
  * @param {CentralityMaps|Object} options.codeModularityAnalysisResult.inDegreeCentrality - In-degree map.
  * @param {CentralityMaps|Object} options.codeModularityAnalysisResult.outDegreeCentrality - Out-degree map.
+ * @param {Object} [options.codeModularityAnalysisResult.packageMetrics] - Package metrics by module and by directory.
+ * @param {string} [options.codeModularityAnalysisResult.granularity] - Nodes of the graph (`file`, `folder` or `package`).
+ * @param {Object<string, string[]>} [options.codeModularityAnalysisResult.moduleGroups] - Files by directory or package.
+ * @param {Object<string, Object<string, number>>} [options.codeModularityAnalysisResult.edgeWeights] - Imports by dependency.
+ * @param {number} [options.codeModularityAnalysisResult.architectureRules] - Number of architecture rules evaluated.
+ * @param {Object[]} [options.codeModularityAnalysisResult.ruleViolations] - Imports violating the architecture rules.
+ * @param {string[]} [options.codeModularityAnalysisResult.changedModules] - Changed modules (changed files audit).
+ * @param {string[]} [options.codeModularityAnalysisResult.changedNeighbors] - Neighbors of the changed modules.
+ * @param {string[][]} [options.codeModularityAnalysisResult.circular] - Circular dependency paths.
+ * @param {Object[]} [options.codeModularityAnalysisResult.cycleComponents] - Strongly connected components of the cycles.
  * @param {string|Buffer} [options.codeModularityAnalysisResult.svg] - Optional SVG string to persist.
  * @returns {boolean} `true` if the write operation was successful, `false` otherwise.
  * @example
  * writeCodeModularityAuditToFile({
  *   codeModularityOptions: { outputDir: 'out', fileFormat: 'json' },
- *   codeModularityAnalysisResult: { louvainDetails: { modularity: 0.5 } }
+ *   codeModularityAnalysisResult: { tree: { 'a.js': ['b.js'], 'b.js': [] }, modularity: 0.5 }
  * });
  */
 export const writeCodeModularityAuditToFile = ({
@@ -114,7 +207,7 @@ export const writeCodeModularityAuditToFile = ({
     codeModularityAnalysisResult,
 }) => {
     try {
-        const { outputDir, fileFormat } = codeModularityOptions || {};
+        const { outputDir, fileFormat, singleFile } = codeModularityOptions || {};
 
         AppLogger.info(
             `[CodeModularityUtils - writeCodeModularityAuditToFile] outputDir:  ${outputDir}`,
@@ -132,15 +225,30 @@ export const writeCodeModularityAuditToFile = ({
         }
 
         const {
-            louvainDetails,
+            tree,
+            modularity,
+            communities,
+            count,
             density,
             degreeCentrality,
             inDegreeCentrality,
             outDegreeCentrality,
+            changedModules,
+            changedNeighbors,
+            circular,
+            cycleComponents,
             svg,
+            graph,
+            centralities,
+            packageMetrics,
+            granularity,
+            moduleGroups,
+            edgeWeights,
+            architectureRules,
+            ruleViolations,
         } = codeModularityAnalysisResult;
 
-        AppLogger.info('[CodeModularityUtils - startAudit] louvainDetails:', louvainDetails);
+        AppLogger.info('[CodeModularityUtils - startAudit] modularity:', modularity);
         AppLogger.info('[CodeModularityUtils - startAudit] density:', density);
         AppLogger.info('[CodeModularityUtils - startAudit] degreeCentrality:', degreeCentrality);
         AppLogger.info(
@@ -184,12 +292,30 @@ export const writeCodeModularityAuditToFile = ({
         const formattedModularityAuditReports = formatCodeModularityAuditReports({
             fileFormat,
             reports: {
-                modularity: louvainDetails?.modularity,
-                communities: louvainDetails?.communities,
+                tree,
+                modularity,
+                communities,
+                count,
                 density,
                 degreeCentrality,
                 inDegreeCentrality,
                 outDegreeCentrality,
+                changedModules,
+                changedNeighbors,
+                circular,
+                cycleComponents,
+                centralities,
+                ...lodash.pick(
+                    codeModularityAnalysisResult,
+                    (centralities || []).flatMap((id) => centralityFields[id]),
+                ),
+                packageMetrics,
+                granularity,
+                moduleGroups,
+                edgeWeights,
+                architectureRules,
+                ruleViolations,
+                graph: graph?.export(),
                 svgFile: svgOutputFileName,
             },
         });
@@ -207,6 +333,10 @@ export const writeCodeModularityAuditToFile = ({
             fs.writeFileSync(svgOutputFile, svg);
         }
 
+        if (singleFile && fileFormat === 'html') {
+            inlineHtmlFile(codeModularityAuditOutputFile);
+        }
+
         return true;
     } catch (error) {
         AppLogger.info(